@@ -0,0 +1,56 @@
+/**
+ * C-Score weights.
+ *
+ * Each active platform account scores
+ *   problems * weights.problems + rating * weights.rating (rated platforms only)
+ *   + score * platforms[id].score (score-ranked platforms with a weight) + badges * weights.badges
+ * and users who opt in add GitHub contributions in the last year and stars on owned repositories.
+ * A user's C-Score is the sum.
+ *
+ * Bump `version` whenever a weight changes: users scored under another version are rescored
+ * when the server starts. Set CSCORE_CONFIG to a JSON file to override any of these values.
+ */
+const fs = require('fs');
+
+const defaults = {
+    version: 1,
+    weights: {
+        problems: 0.7,
+        rating: 0.3,
+        badges: 10
+    },
+    github: {
+        contributions: 0.1,
+        stars: 0.5
+    },
+    platforms: {
+        // Kattis has no solve count, so its score stands in for one
+        // (problems average roughly 3 points, so this keeps a solve worth about 0.7 like elsewhere)
+        kattis: {
+            score: 0.25
+        }
+    }
+};
+
+/**
+ * Merge override values into the defaults, one level of platform settings deep
+ */
+const mergeConfig = (base, overrides) => ({
+    version: overrides.version ?? base.version,
+    weights: { ...base.weights, ...(overrides.weights || {}) },
+    github: { ...base.github, ...(overrides.github || {}) },
+    platforms: Object.keys({ ...base.platforms, ...(overrides.platforms || {}) }).reduce((platforms, id) => {
+        platforms[id] = { ...(base.platforms[id] || {}), ...((overrides.platforms || {})[id] || {}) };
+        return platforms;
+    }, {})
+});
+
+const loadConfig = () => {
+    if (!process.env.CSCORE_CONFIG) {
+        return defaults;
+    }
+
+    return mergeConfig(defaults, JSON.parse(fs.readFileSync(process.env.CSCORE_CONFIG, 'utf8')));
+};
+
+module.exports = loadConfig();
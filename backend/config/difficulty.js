@@ -0,0 +1,79 @@
+/**
+ * Difficulty normalization settings.
+ *
+ * Every platform's native difficulty is mapped onto one common scale (Codeforces-style
+ * problem rating) and from there onto the easy/medium/hard buckets. A mapping can use:
+ *   rating    - { factor, offset } for numeric difficulties: factor * native + offset
+ *   positions - contest series -> task letter -> score (AtCoder "abc123_d")
+ *   stars     - star count -> score (CodeChef "3★")
+ *   labels    - lower-cased label -> score ("medium")
+ *
+ * Set DIFFICULTY_CONFIG to a JSON file to override any of these values.
+ */
+const fs = require('fs');
+
+const defaults = {
+    scale: {
+        min: 800,
+        max: 3500
+    },
+    // Upper bounds (inclusive) of the easy and medium buckets on the common scale
+    buckets: {
+        easyMax: 1200,
+        mediumMax: 1900
+    },
+    platforms: {
+        codeforces: {
+            rating: { factor: 1, offset: 0 }
+        },
+        atcoder: {
+            // AtCoder Problems' estimated difficulty is on AtCoder's (lower) rating scale
+            rating: { factor: 1, offset: 400 },
+            positions: {
+                abc: { a: 800, b: 1000, c: 1300, d: 1600, e: 2000, f: 2300, g: 2600, h: 2900 },
+                arc: { a: 1600, b: 2000, c: 2300, d: 2600, e: 2900, f: 3200 },
+                agc: { a: 2200, b: 2500, c: 2800, d: 3100, e: 3300, f: 3500 }
+            }
+        },
+        codechef: {
+            rating: { factor: 1, offset: 0 },
+            stars: { 1: 1000, 2: 1300, 3: 1500, 4: 1700, 5: 1900, 6: 2200, 7: 2600 }
+        },
+        leetcode: {
+            labels: { easy: 1100, medium: 1600, hard: 2100 }
+        },
+        hackerrank: {
+            labels: { easy: 1100, medium: 1600, hard: 2100, advanced: 2400, expert: 2700 }
+        },
+        hackerearth: {
+            labels: { easy: 1100, medium: 1600, hard: 2100 }
+        },
+        // Imported history from other judges: a label, or a rating on the common scale
+        other: {
+            rating: { factor: 1, offset: 0 },
+            labels: { easy: 1100, medium: 1600, hard: 2100 }
+        }
+    }
+};
+
+/**
+ * Merge override values into the defaults, one level of platform settings deep
+ */
+const mergeConfig = (base, overrides) => ({
+    scale: { ...base.scale, ...(overrides.scale || {}) },
+    buckets: { ...base.buckets, ...(overrides.buckets || {}) },
+    platforms: Object.keys({ ...base.platforms, ...(overrides.platforms || {}) }).reduce((platforms, id) => {
+        platforms[id] = { ...(base.platforms[id] || {}), ...((overrides.platforms || {})[id] || {}) };
+        return platforms;
+    }, {})
+});
+
+const loadConfig = () => {
+    if (!process.env.DIFFICULTY_CONFIG) {
+        return defaults;
+    }
+
+    return mergeConfig(defaults, JSON.parse(fs.readFileSync(process.env.DIFFICULTY_CONFIG, 'utf8')));
+};
+
+module.exports = loadConfig();
@@ -1,6 +1,34 @@
 const PlatformAccount = require('../models/PlatformAccount');
 const StatsHistory = require('../models/StatsHistory');
+const RatingHistory = require('../models/RatingHistory');
+const Submission = require('../models/Submission');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPlatform, hasCapability } = require('../services/platforms');
+const { getTagMastery: computeTagMastery } = require('../services/tagMastery');
+const { getUserStreak } = require('../services/streaks');
+const { userTimeZone, zonedParts, zonedMidnight } = require('../utils/timezone');
+
+/**
+ * Display name for a platform id, falling back to the id itself
+ */
+const platformLabel = (platformName) => getPlatform(platformName)?.displayName || platformName;
+
+/**
+ * Contest rating points for a platform, or the averaged 'overall' rating across the user's
+ * active rated accounts
+ */
+const contestRatingSeries = async (userId, platform, days, timeZone) => {
+    if (platform !== 'overall') {
+        return RatingHistory.getPlatformSeries(userId, platform, days, timeZone);
+    }
+
+    const accounts = await PlatformAccount.find({ userId, isActive: true }).select('platformName');
+    const ratedPlatforms = accounts
+        .map(account => account.platformName)
+        .filter(platformName => hasCapability(platformName, 'rating'));
+
+    return RatingHistory.getOverallSeries(userId, ratedPlatforms, days, timeZone);
+};
 
 /**
  * @desc    Get problems solved over time for charts
@@ -10,7 +38,7 @@ const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const getProblemsOverTime = asyncHandler(async (req, res) => {
     const { platform = 'overall', days = 30 } = req.query;
 
-    const progressData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days));
+    const progressData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days), userTimeZone(req.user));
 
     // Format data for Chart.js
     const chartData = {
@@ -59,6 +87,7 @@ const getProblemsOverTime = asyncHandler(async (req, res) => {
         data: {
             chartType: 'line',
             title: `Problems Solved Over Time (${platform})`,
+            granularity: StatsHistory.granularityFor(parseInt(days)),
             chartData,
             options: {
                 responsive: true,
@@ -118,8 +147,15 @@ const getProblemDistribution = asyncHandler(async (req, res) => {
     let easyCount = 0;
     let mediumCount = 0;
     let hardCount = 0;
+    let unclassifiedCount = 0;
 
     platformAccounts.forEach(account => {
+        // Platforms without difficulty buckets only report a total
+        if (!hasCapability(account.platformName, 'difficultyBuckets')) {
+            unclassifiedCount += account.stats.totalProblemsSolved;
+            return;
+        }
+
         easyCount += account.stats.easyProblemsSolved;
         mediumCount += account.stats.mediumProblemsSolved;
         hardCount += account.stats.hardProblemsSolved;
@@ -165,7 +201,8 @@ const getProblemDistribution = asyncHandler(async (req, res) => {
                 total: easyCount + mediumCount + hardCount,
                 easy: easyCount,
                 medium: mediumCount,
-                hard: hardCount
+                hard: hardCount,
+                unclassified: unclassifiedCount
             }
         }
     });
@@ -203,17 +240,33 @@ const getLanguageDistribution = asyncHandler(async (req, res) => {
                 if (languageMap.has(language)) {
                     const existing = languageMap.get(language);
                     existing.problemsSolved += langData.problemsSolved;
-                    existing.submissions += langData.submissions;
+                    existing.submissions += langData.submissions || 0;
                 } else {
-                    languageMap.set(language, { ...langData });
+                    languageMap.set(language, {
+                        problemsSolved: langData.problemsSolved || 0,
+                        // Not every platform reports submissions per language
+                        submissions: langData.submissions || 0
+                    });
                 }
             });
         }
     });
 
+    // Platforms' own totals can include problems older than our stored history and vice versa,
+    // so take whichever count is more complete
+    const history = await Submission.languageCounts(req.user.id, { platform });
+    history.forEach(entry => {
+        const existing = languageMap.get(entry._id) || { problemsSolved: 0, submissions: 0 };
+        languageMap.set(entry._id, {
+            problemsSolved: Math.max(existing.problemsSolved || 0, entry.problemsSolved),
+            submissions: Math.max(existing.submissions || 0, entry.submissions)
+        });
+    });
+
     // Convert to arrays for Chart.js
     const languages = Array.from(languageMap.keys());
     const problemCounts = languages.map(lang => languageMap.get(lang).problemsSolved);
+    const submissionCounts = languages.map(lang => languageMap.get(lang).submissions);
 
     // Color palette for languages
     const colors = [
@@ -229,6 +282,13 @@ const getLanguageDistribution = asyncHandler(async (req, res) => {
             backgroundColor: colors.slice(0, languages.length),
             borderColor: colors.slice(0, languages.length).map(color => color + '80'),
             borderWidth: 1
+        }, {
+            label: 'Submissions',
+            data: submissionCounts,
+            backgroundColor: colors.slice(0, languages.length).map(color => color + '40'),
+            borderColor: colors.slice(0, languages.length).map(color => color + '80'),
+            borderWidth: 1,
+            hidden: true
         }]
     };
 
@@ -277,13 +337,21 @@ const getLanguageDistribution = asyncHandler(async (req, res) => {
 const getRatingHistory = asyncHandler(async (req, res) => {
     const { platform = 'overall', days = 90 } = req.query;
 
-    const progressData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days));
+    // Contest history gives one point per rated contest, back to the first one; accounts
+    // without a backfilled history fall back to the daily stats snapshots
+    const timeZone = userTimeZone(req.user);
+    let ratingData = await contestRatingSeries(req.user.id, platform, parseInt(days), timeZone);
+    const source = ratingData.length > 0 ? 'contests' : 'snapshots';
+
+    if (source === 'snapshots') {
+        ratingData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days), timeZone);
+    }
 
     const chartData = {
-        labels: progressData.map(entry => entry.date),
+        labels: ratingData.map(entry => entry.date),
         datasets: [{
             label: 'Contest Rating',
-            data: progressData.map(entry => entry.rating),
+            data: ratingData.map(entry => entry.rating),
             borderColor: '#8B5CF6',
             backgroundColor: 'rgba(139, 92, 246, 0.1)',
             fill: true,
@@ -300,6 +368,8 @@ const getRatingHistory = asyncHandler(async (req, res) => {
         data: {
             chartType: 'line',
             title: `Rating History (${platform})`,
+            source,
+            granularity: source === 'contests' ? 'contest' : StatsHistory.granularityFor(parseInt(days)),
             chartData,
             options: {
                 responsive: true,
@@ -347,9 +417,13 @@ const getPlatformComparison = asyncHandler(async (req, res) => {
         throw new AppError('No platform accounts found', 404);
     }
 
-    const platforms = platformAccounts.map(account => account.platformName);
+    const platforms = platformAccounts.map(account => platformLabel(account.platformName));
+    const colors = platformAccounts.map(account => getPlatform(account.platformName)?.color || '#3B82F6');
     const problemCounts = platformAccounts.map(account => account.stats.totalProblemsSolved);
-    const ratings = platformAccounts.map(account => account.stats.contestRating);
+    // Leave a gap in the rating line for platforms without contest ratings
+    const ratings = platformAccounts.map(account => (
+        hasCapability(account.platformName, 'rating') ? account.stats.contestRating : null
+    ));
 
     const chartData = {
         labels: platforms,
@@ -357,8 +431,8 @@ const getPlatformComparison = asyncHandler(async (req, res) => {
             {
                 label: 'Problems Solved',
                 data: problemCounts,
-                backgroundColor: 'rgba(59, 130, 246, 0.8)',
-                borderColor: '#3B82F6',
+                backgroundColor: colors.map(color => color + 'CC'),
+                borderColor: colors,
                 borderWidth: 1,
                 yAxisID: 'y'
             },
@@ -426,47 +500,31 @@ const getPlatformComparison = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get streak data for charts
+ * @desc    Get streak data for charts: the unified streak's runs, oldest first
  * @route   GET /api/charts/streak-data
  * @access  Private
  */
 const getStreakData = asyncHandler(async (req, res) => {
-    const { platform } = req.query;
-
-    let platformAccounts;
-    
-    if (platform && platform !== 'all') {
-        platformAccounts = await PlatformAccount.find({
-            userId: req.user.id,
-            platformName: platform,
-            isActive: true
-        });
-    } else {
-        platformAccounts = await PlatformAccount.find({
-            userId: req.user.id,
-            isActive: true
-        });
-    }
+    const { platform = 'all' } = req.query;
 
-    const platforms = platformAccounts.map(account => account.platformName);
-    const currentStreaks = platformAccounts.map(account => account.stats.streak.current);
-    const maxStreaks = platformAccounts.map(account => account.stats.streak.max);
+    const streak = await getUserStreak(req.user, { platform });
+    const runs = [...streak.history, ...(streak.currentRun ? [streak.currentRun] : [])];
 
     const chartData = {
-        labels: platforms,
+        labels: runs.map(run => (run.start === run.end ? run.start : `${run.start} – ${run.end}`)),
         datasets: [
             {
-                label: 'Current Streak',
-                data: currentStreaks,
+                label: 'Active Days',
+                data: runs.map(run => run.length),
                 backgroundColor: 'rgba(16, 185, 129, 0.8)',
                 borderColor: '#10B981',
                 borderWidth: 1
             },
             {
-                label: 'Max Streak',
-                data: maxStreaks,
-                backgroundColor: 'rgba(245, 158, 11, 0.8)',
-                borderColor: '#F59E0B',
+                label: 'Frozen Days',
+                data: runs.map(run => run.frozenDays),
+                backgroundColor: 'rgba(59, 130, 246, 0.6)',
+                borderColor: '#3B82F6',
                 borderWidth: 1
             }
         ]
@@ -476,8 +534,14 @@ const getStreakData = asyncHandler(async (req, res) => {
         status: 'success',
         data: {
             chartType: 'bar',
-            title: `Streak Data (${platform || 'All Platforms'})`,
+            title: `Streak Data (${platform === 'all' ? 'All Platforms' : platformLabel(platform)})`,
             chartData,
+            streak: {
+                current: streak.current,
+                max: streak.max,
+                rules: streak.rules,
+                timeZone: streak.timeZone
+            },
             options: {
                 responsive: true,
                 plugins: {
@@ -491,6 +555,7 @@ const getStreakData = asyncHandler(async (req, res) => {
                 },
                 scales: {
                     y: {
+                        stacked: true,
                         beginAtZero: true,
                         title: {
                             display: true,
@@ -498,9 +563,10 @@ const getStreakData = asyncHandler(async (req, res) => {
                         }
                     },
                     x: {
+                        stacked: true,
                         title: {
                             display: true,
-                            text: 'Platform'
+                            text: 'Streak'
                         }
                     }
                 }
@@ -515,59 +581,149 @@ const getStreakData = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getSubmissionCalendar = asyncHandler(async (req, res) => {
-    const { platform, year = new Date().getFullYear() } = req.query;
+    const timeZone = userTimeZone(req.user);
+    const { platform, year = zonedParts(new Date(), timeZone).year } = req.query;
+    const calendarYear = parseInt(year);
 
-    // Get recent activity data for calendar heatmap
-    let platformAccounts;
-    
-    if (platform && platform !== 'all') {
-        platformAccounts = await PlatformAccount.find({
-            userId: req.user.id,
-            platformName: platform,
-            isActive: true
-        });
-    } else {
-        platformAccounts = await PlatformAccount.find({
-            userId: req.user.id,
-            isActive: true
-        });
+    if (Number.isNaN(calendarYear)) {
+        throw new AppError('Year must be a number', 400);
     }
 
-    // Aggregate activity by date
-    const activityMap = new Map();
-    
-    platformAccounts.forEach(account => {
-        if (account.stats.recentActivity) {
-            account.stats.recentActivity.forEach(activity => {
-                const date = activity.date.toISOString().split('T')[0];
-                const activityYear = new Date(activity.date).getFullYear();
-                
-                if (activityYear === parseInt(year)) {
-                    if (activityMap.has(date)) {
-                        activityMap.set(date, activityMap.get(date) + 1);
-                    } else {
-                        activityMap.set(date, 1);
-                    }
-                }
-            });
-        }
+    // Count stored submissions per local day over the user's calendar year
+    const dailyCounts = await Submission.dailyCounts(req.user.id, {
+        platform,
+        from: zonedMidnight(calendarYear, 0, 1, timeZone),
+        to: zonedMidnight(calendarYear + 1, 0, 1, timeZone),
+        timeZone
     });
 
     // Convert to array format for calendar
-    const calendarData = Array.from(activityMap.entries()).map(([date, count]) => ({
-        date,
-        count
+    const calendarData = dailyCounts.map(day => ({
+        date: day._id,
+        count: day.count
     }));
 
     res.status(200).json({
         status: 'success',
         data: {
             chartType: 'calendar',
-            title: `Submission Calendar ${year} (${platform || 'All Platforms'})`,
+            title: `Submission Calendar ${calendarYear} (${platform || 'All Platforms'})`,
             calendarData,
-            year: parseInt(year),
+            year: calendarYear,
+            timeZone,
             totalDays: calendarData.length,
-            totalSubmissions: Array.from(activityMap.values()).reduce((sum, count) => sum + count, 0)
+            totalSubmissions: calendarData.reduce((sum, day) => sum + day.count, 0)
+        }
+    });
+});
+
+/**
+ * @desc    Get submission verdict distribution for charts
+ * @route   GET /api/charts/verdict-distribution
+ * @access  Private
+ */
+const getVerdictDistribution = asyncHandler(async (req, res) => {
+    const { platform } = req.query;
+
+    const verdictCounts = await Submission.verdictCounts(req.user.id, { platform });
+
+    const verdictColors = {
+        'accepted': '#10B981',
+        'wrong-answer': '#EF4444',
+        'time-limit-exceeded': '#F59E0B',
+        'memory-limit-exceeded': '#8B5CF6',
+        'runtime-error': '#EC4899',
+        'compilation-error': '#6B7280',
+        'other': '#9CA3AF'
+    };
+
+    const chartData = {
+        labels: verdictCounts.map(verdict => verdict._id),
+        datasets: [{
+            data: verdictCounts.map(verdict => verdict.count),
+            backgroundColor: verdictCounts.map(verdict => verdictColors[verdict._id] || verdictColors.other),
+            borderWidth: 2,
+            borderColor: '#ffffff'
+        }]
+    };
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            chartType: 'doughnut',
+            title: `Submission Verdicts (${platform || 'All Platforms'})`,
+            chartData,
+            totalSubmissions: verdictCounts.reduce((sum, verdict) => sum + verdict.count, 0),
+            options: {
+                responsive: true,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    title: {
+                        display: true,
+                        text: 'Submission Verdicts'
+                    }
+                }
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Get solve counts, acceptance rate and difficulty per algorithm tag
+ * @route   GET /api/charts/tag-mastery
+ * @access  Private
+ */
+const getTagMastery = asyncHandler(async (req, res) => {
+    const { platform, limit = 15 } = req.query;
+
+    const { tags, weakestTopics } = await computeTagMastery(req.user.id, { platform });
+    const chartTags = tags.slice(0, parseInt(limit));
+
+    const chartData = {
+        labels: chartTags.map(tag => tag.tag),
+        datasets: [
+            {
+                label: 'Problems Solved',
+                data: chartTags.map(tag => tag.problemsSolved),
+                backgroundColor: '#6366F1'
+            },
+            {
+                label: 'Attempted, Not Solved',
+                data: chartTags.map(tag => tag.problemsAttempted - tag.problemsSolved),
+                backgroundColor: '#EF4444'
+            }
+        ]
+    };
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            chartType: 'bar',
+            title: `Topic Mastery (${platform || 'All Platforms'})`,
+            chartData,
+            tags,
+            weakestTopics,
+            options: {
+                responsive: true,
+                indexAxis: 'y',
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Problems by Topic'
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        beginAtZero: true
+                    },
+                    y: {
+                        stacked: true
+                    }
+                }
+            }
         }
     });
 });
@@ -579,5 +735,7 @@ module.exports = {
     getRatingHistory,
     getPlatformComparison,
     getStreakData,
-    getSubmissionCalendar
+    getSubmissionCalendar,
+    getVerdictDistribution,
+    getTagMastery
 };
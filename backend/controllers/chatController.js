@@ -2,6 +2,8 @@ const OpenAI = require('openai');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const User = require('../models/User');
 const PlatformAccount = require('../models/PlatformAccount');
+const { getTagMastery } = require('../services/tagMastery');
+const { hasCapability } = require('../services/platforms');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -11,6 +13,26 @@ const openai = new OpenAI({
 // In-memory chat history storage (in production, use Redis or database)
 const chatSessions = new Map();
 
+/**
+ * One line of topic statistics for the AI system prompt
+ */
+const formatTopic = (topic) =>
+    `- ${topic.tag}: ${topic.problemsSolved}/${topic.problemsAttempted} attempted problems solved, ` +
+    `${topic.acceptanceRate}% acceptance, average difficulty ${topic.averageDifficulty ?? 'unknown'}`;
+
+/**
+ * A platform's rating, or its score on archives ranked by score, for the AI system prompt
+ */
+const formatStanding = (platform) => {
+    if (hasCapability(platform.platform, 'rating')) {
+        return `Rating: ${platform.stats.contestRating}`;
+    }
+    if (hasCapability(platform.platform, 'score')) {
+        return `Score: ${platform.stats.score}`;
+    }
+    return 'no rating (practice archive)';
+};
+
 /**
  * @desc    Send a message to AI chat bot
  * @route   POST /api/chat/message
@@ -29,21 +51,27 @@ const sendMessage = asyncHandler(async (req, res) => {
         userId: userId, 
         isActive: true 
     });
+    const { tags, weakestTopics } = await getTagMastery(userId);
 
     // Build context for AI
     const userContext = {
         profile: {
             name: user.name,
             username: user.username,
-            cScore: user.cScore,
+            cScore: user.totalCScore,
             rank: user.rank,
-            bio: user.bio
+            bio: user.bio,
+            streak: user.streak?.current || 0
         },
         platforms: platformAccounts.map(account => ({
             platform: account.platformName,
             username: account.username,
             stats: account.stats
         })),
+        topics: {
+            strongest: tags.slice(0, 5),
+            weakest: weakestTopics
+        },
         additionalContext: context
     };
 
@@ -56,13 +84,20 @@ User Profile:
 - Name: ${userContext.profile.name}
 - C-Score: ${userContext.profile.cScore}
 - Rank: ${userContext.profile.rank}
+- Daily Streak (all platforms): ${userContext.profile.streak} days
 - Connected Platforms: ${userContext.platforms.map(p => `${p.platform} (${p.username})`).join(', ')}
 
 Platform Statistics:
 ${userContext.platforms.map(p => 
-    `${p.platform}: ${p.stats.totalProblemsSolved} problems solved, Rating: ${p.stats.contestRating}, Streak: ${p.stats.streak.current} days`
+    `${p.platform}: ${p.stats.totalProblemsSolved} problems solved, ${formatStanding(p)}, Streak: ${p.stats.streak.current} days`
 ).join('\n')}
 
+Most Solved Topics:
+${userContext.topics.strongest.map(formatTopic).join('\n') || 'Not enough submission data yet'}
+
+Weakest Topics (lowest share of attempted problems solved):
+${userContext.topics.weakest.map(formatTopic).join('\n') || 'Not enough submission data yet'}
+
 Your role is to:
 1. Provide coding guidance and help with problem-solving strategies
 2. Analyze the user's progress and suggest improvements
@@ -206,12 +241,11 @@ const getChatSuggestions = asyncHandler(async (req, res) => {
     const totalProblems = platformAccounts.reduce((sum, account) => 
         sum + account.stats.totalProblemsSolved, 0
     );
-    const avgRating = platformAccounts.reduce((sum, account) => 
+    const ratedAccounts = platformAccounts.filter(account => hasCapability(account.platformName, 'rating'));
+    const avgRating = ratedAccounts.length === 0 ? 0 : ratedAccounts.reduce((sum, account) => 
         sum + account.stats.contestRating, 0
-    ) / platformAccounts.length;
-    const currentStreak = Math.max(...platformAccounts.map(account => 
-        account.stats.streak.current
-    ));
+    ) / ratedAccounts.length;
+    const currentStreak = req.user.streak?.current || 0;
 
     // Generate personalized suggestions based on stats
     let suggestions = [];
@@ -239,6 +273,18 @@ const getChatSuggestions = asyncHandler(async (req, res) => {
         ];
     }
 
+    // Point at the weakest topics from the user's own submissions
+    const { weakestTopics } = await getTagMastery(userId);
+    if (weakestTopics.length > 0) {
+        const [weakest, ...others] = weakestTopics;
+        suggestions.unshift(
+            `Your weakest topic is ${weakest.tag}: you've solved ${weakest.problemsSolved} of ${weakest.problemsAttempted} attempted problems (${weakest.acceptanceRate}% acceptance). Practice a few more ${weakest.tag} problems`
+        );
+        if (others.length > 0) {
+            suggestions.splice(1, 0, `Also review ${others.map(topic => topic.tag).join(', ')}, where your solve rate is lowest`);
+        }
+    }
+
     // Add streak-based suggestions
     if (currentStreak === 0) {
         suggestions.push("Start a daily coding streak - consistency is key!");
@@ -262,7 +308,8 @@ const getChatSuggestions = asyncHandler(async (req, res) => {
                 avgRating: Math.round(avgRating),
                 currentStreak,
                 platformCount: platformAccounts.length
-            }
+            },
+            weakestTopics
         }
     });
 });
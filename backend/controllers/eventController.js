@@ -1,6 +1,29 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { isValidTimeZone, userTimeZone, localDateTimeString } = require('../utils/timezone');
+
+/**
+ * Time zone to show event times in: the timezone query parameter, else the signed-in user's setting
+ */
+const displayTimeZone = (req) => {
+    const { timezone } = req.query;
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        throw new AppError('Time zone must be an IANA name such as Europe/Berlin', 400);
+    }
+
+    return timezone || userTimeZone(req.user);
+};
+
+/**
+ * An event's start and end as local ISO 8601 strings with their UTC offset
+ */
+const localEventTimes = (event, timeZone) => ({
+    timeZone,
+    eventDate: localDateTimeString(event.eventDate, timeZone),
+    endDate: localDateTimeString(event.endDate, timeZone)
+});
 
 /**
  * @desc    Get all events with filtering and pagination
@@ -19,6 +42,7 @@ const getEvents = asyncHandler(async (req, res) => {
         sortOrder = 'asc',
         search
     } = req.query;
+    const timeZone = displayTimeZone(req);
 
     // Build filter object
     const filter = {};
@@ -68,6 +92,7 @@ const getEvents = asyncHandler(async (req, res) => {
         return {
             ...event,
             computedStatus,
+            localTimes: localEventTimes(event, timeZone),
             isRegistrationOpen: event.registrationDeadline ? 
                 now < event.registrationDeadline : 
                 now < event.startDate,
@@ -237,6 +262,7 @@ const deleteEvent = asyncHandler(async (req, res) => {
  */
 const getEventById = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const timeZone = displayTimeZone(req);
     
     const event = await Event.findById(id)
         .populate('organizer', 'name username avatar')
@@ -260,6 +286,7 @@ const getEventById = asyncHandler(async (req, res) => {
     const eventWithDetails = {
         ...event,
         computedStatus,
+        localTimes: localEventTimes(event, timeZone),
         isRegistrationOpen: event.registrationDeadline ? 
             now < event.registrationDeadline : 
             now < event.startDate,
@@ -382,6 +409,7 @@ const leaveEvent = asyncHandler(async (req, res) => {
  */
 const getUpcomingEvents = asyncHandler(async (req, res) => {
     const { limit = 10, type, difficulty } = req.query;
+    const timeZone = displayTimeZone(req);
     
     const now = new Date();
     const filter = {
@@ -402,6 +430,7 @@ const getUpcomingEvents = asyncHandler(async (req, res) => {
     // Add computed fields
     const eventsWithDetails = events.map(event => ({
         ...event,
+        localTimes: localEventTimes(event, timeZone),
         isRegistrationOpen: event.registrationDeadline ? 
             now < event.registrationDeadline : 
             now < event.startDate,
@@ -431,7 +460,7 @@ const getEventParticipants = asyncHandler(async (req, res) => {
     const event = await Event.findById(id)
         .populate({
             path: 'participants.user',
-            select: 'name username avatar cScore rank'
+            select: 'name username avatar totalCScore rank'
         })
         .lean();
     
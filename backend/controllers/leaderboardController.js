@@ -1,6 +1,50 @@
 const User = require('../models/User');
 const PlatformAccount = require('../models/PlatformAccount');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPlatformIds, hasCapability } = require('../services/platforms');
+
+// Ratings are averaged over rated platforms only; archives like CSES or Project Euler have none
+const RATED_PLATFORMS = getPlatformIds().filter(id => hasCapability(id, 'rating'));
+const IS_RATED = { $in: ['$$this.platformName', RATED_PLATFORMS] };
+
+// Leaderboards and ranks only count active accounts whose ownership was verified
+const VERIFIED_ACCOUNTS = {
+    $lookup: {
+        from: 'platformaccounts',
+        let: { userId: '$_id' },
+        pipeline: [
+            { $match: { $expr: { $eq: ['$userId', '$$userId'] }, isActive: true, isVerified: true } }
+        ],
+        as: 'platforms'
+    }
+};
+
+// Overall boards use the unified cross-platform streak from the streak engine, not per-platform numbers
+const UNIFIED_STREAK = {
+    'aggregatedStats.maxStreak': { $ifNull: ['$streak.max', 0] },
+    'aggregatedStats.currentStreak': { $ifNull: ['$streak.current', 0] }
+};
+
+/**
+ * Stats field a platform leaderboard sorts on. The rating category ranks score-based
+ * platforms (SPOJ, Kattis) by score, and is unavailable on platforms with neither.
+ */
+const platformSortField = (platform, category) => {
+    switch (category) {
+        case 'rating':
+            if (hasCapability(platform, 'rating')) {
+                return 'contestRating';
+            }
+            if (hasCapability(platform, 'score')) {
+                return 'score';
+            }
+            throw new AppError(`${platform} has no rating or score to rank by`, 400);
+        case 'streak':
+            return 'streak.max';
+        default:
+            return 'totalProblemsSolved';
+    }
+};
 
 /**
  * @desc    Get general leaderboard
@@ -22,7 +66,7 @@ const getLeaderboard = asyncHandler(async (req, res) => {
     // Determine sort field based on category
     switch (category) {
         case 'cscore':
-            sortField = { cScore: -1 };
+            sortField = { totalCScore: -1 };
             break;
         case 'problems':
             sortField = { 'aggregatedStats.totalProblems': -1 };
@@ -34,20 +78,13 @@ const getLeaderboard = asyncHandler(async (req, res) => {
             sortField = { 'aggregatedStats.maxStreak': -1 };
             break;
         default:
-            sortField = { cScore: -1 };
+            sortField = { totalCScore: -1 };
     }
 
     if (platform === 'overall') {
-        // Overall leaderboard - aggregate user stats across all platforms
+        // Overall leaderboard - aggregate user stats across all verified platforms
         pipeline = [
-            {
-                $lookup: {
-                    from: 'platformaccounts',
-                    localField: '_id',
-                    foreignField: 'userId',
-                    as: 'platforms'
-                }
-            },
+            VERIFIED_ACCOUNTS,
             {
                 $addFields: {
                     aggregatedStats: {
@@ -57,7 +94,7 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                                 totalProblems: 0,
                                 totalRating: 0,
                                 platformCount: 0,
-                                maxStreak: 0,
+                                ratedPlatformCount: 0,
                                 avgRating: 0
                             },
                             in: {
@@ -65,13 +102,13 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                                     $add: ['$$value.totalProblems', '$$this.stats.totalProblemsSolved']
                                 },
                                 totalRating: {
-                                    $add: ['$$value.totalRating', '$$this.stats.contestRating']
+                                    $add: ['$$value.totalRating', { $cond: [IS_RATED, '$$this.stats.contestRating', 0] }]
                                 },
                                 platformCount: {
                                     $add: ['$$value.platformCount', 1]
                                 },
-                                maxStreak: {
-                                    $max: ['$$value.maxStreak', '$$this.stats.streak.max']
+                                ratedPlatformCount: {
+                                    $add: ['$$value.ratedPlatformCount', { $cond: [IS_RATED, 1, 0] }]
                                 },
                                 avgRating: 0 // Will be calculated after
                             }
@@ -83,11 +120,12 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                 $addFields: {
                     'aggregatedStats.avgRating': {
                         $cond: {
-                            if: { $gt: ['$aggregatedStats.platformCount', 0] },
-                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.platformCount'] },
+                            if: { $gt: ['$aggregatedStats.ratedPlatformCount', 0] },
+                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.ratedPlatformCount'] },
                             else: 0
                         }
-                    }
+                    },
+                    ...UNIFIED_STREAK
                 }
             },
             {
@@ -106,7 +144,7 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                     name: 1,
                     username: 1,
                     avatar: 1,
-                    cScore: 1,
+                    cScore: '$totalCScore',
                     rank: 1,
                     isPublic: 1,
                     aggregatedStats: 1,
@@ -120,12 +158,11 @@ const getLeaderboard = asyncHandler(async (req, res) => {
         // Platform-specific leaderboard
         const platformAccounts = await PlatformAccount.find({ 
             platformName: platform, 
-            isActive: true 
+            isActive: true,
+            isVerified: true
         })
-        .populate('userId', 'name username avatar cScore rank isPublic createdAt')
-        .sort(`stats.${category === 'problems' ? 'totalProblemsSolved' : 
-                       category === 'rating' ? 'contestRating' : 
-                       category === 'streak' ? 'streak.max' : 'totalProblemsSolved'} -1`)
+        .populate('userId', 'name username avatar totalCScore rank isPublic createdAt')
+        .sort(`stats.${platformSortField(platform, category)} -1`)
         .limit(parseInt(limit));
 
         leaderboardData = platformAccounts
@@ -135,7 +172,7 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                 name: account.userId.name,
                 username: account.userId.username,
                 avatar: account.userId.avatar,
-                cScore: account.userId.cScore,
+                cScore: account.userId.totalCScore,
                 rank: account.userId.rank,
                 platformUsername: account.username,
                 platformStats: account.stats,
@@ -165,15 +202,14 @@ const getLeaderboard = asyncHandler(async (req, res) => {
                 isActive: true
             });
             
-            if (userAccount) {
+            if (userAccount && userAccount.isVerified) {
                 const allAccounts = await PlatformAccount.find({ 
                     platformName: platform, 
-                    isActive: true 
+                    isActive: true,
+                    isVerified: true
                 })
                 .populate('userId', 'isPublic')
-                .sort(`stats.${category === 'problems' ? 'totalProblemsSolved' : 
-                               category === 'rating' ? 'contestRating' : 
-                               category === 'streak' ? 'streak.max' : 'totalProblemsSolved'} -1`);
+                .sort(`stats.${platformSortField(platform, category)} -1`);
                 
                 userPosition = allAccounts
                     .filter(account => account.userId && account.userId.isPublic)
@@ -212,14 +248,7 @@ const getUserRank = asyncHandler(async (req, res) => {
     if (platform === 'overall') {
         // Get user's overall rank
         const pipeline = [
-            {
-                $lookup: {
-                    from: 'platformaccounts',
-                    localField: '_id',
-                    foreignField: 'userId',
-                    as: 'platforms'
-                }
-            },
+            VERIFIED_ACCOUNTS,
             {
                 $addFields: {
                     aggregatedStats: {
@@ -229,7 +258,7 @@ const getUserRank = asyncHandler(async (req, res) => {
                                 totalProblems: 0,
                                 totalRating: 0,
                                 platformCount: 0,
-                                maxStreak: 0,
+                                ratedPlatformCount: 0,
                                 avgRating: 0
                             },
                             in: {
@@ -237,13 +266,13 @@ const getUserRank = asyncHandler(async (req, res) => {
                                     $add: ['$$value.totalProblems', '$$this.stats.totalProblemsSolved']
                                 },
                                 totalRating: {
-                                    $add: ['$$value.totalRating', '$$this.stats.contestRating']
+                                    $add: ['$$value.totalRating', { $cond: [IS_RATED, '$$this.stats.contestRating', 0] }]
                                 },
                                 platformCount: {
                                     $add: ['$$value.platformCount', 1]
                                 },
-                                maxStreak: {
-                                    $max: ['$$value.maxStreak', '$$this.stats.streak.max']
+                                ratedPlatformCount: {
+                                    $add: ['$$value.ratedPlatformCount', { $cond: [IS_RATED, 1, 0] }]
                                 }
                             }
                         }
@@ -254,11 +283,12 @@ const getUserRank = asyncHandler(async (req, res) => {
                 $addFields: {
                     'aggregatedStats.avgRating': {
                         $cond: {
-                            if: { $gt: ['$aggregatedStats.platformCount', 0] },
-                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.platformCount'] },
+                            if: { $gt: ['$aggregatedStats.ratedPlatformCount', 0] },
+                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.ratedPlatformCount'] },
                             else: 0
                         }
-                    }
+                    },
+                    ...UNIFIED_STREAK
                 }
             },
             {
@@ -268,7 +298,7 @@ const getUserRank = asyncHandler(async (req, res) => {
             },
             {
                 $sort: { 
-                    [category === 'cscore' ? 'cScore' : 
+                    [category === 'cscore' ? 'totalCScore' : 
                      category === 'problems' ? 'aggregatedStats.totalProblems' :
                      category === 'rating' ? 'aggregatedStats.avgRating' :
                      'aggregatedStats.maxStreak']: -1 
@@ -291,27 +321,29 @@ const getUserRank = asyncHandler(async (req, res) => {
         const userAccount = await PlatformAccount.findOne({
             userId: userId,
             platformName: platform,
-            isActive: true
+            isActive: true,
+            isVerified: true
         });
 
         if (!userAccount) {
-            throw new AppError(`No ${platform} account found`, 404);
+            throw new AppError(`No verified ${platform} account found`, 404);
         }
 
-        const sortField = category === 'problems' ? 'stats.totalProblemsSolved' : 
-                         category === 'rating' ? 'stats.contestRating' : 
-                         category === 'streak' ? 'stats.streak.max' : 
-                         'stats.totalProblemsSolved';
+        const field = platformSortField(platform, category);
+        const sortField = `stats.${field}`;
+        const value = field.split('.').reduce((stats, key) => stats?.[key], userAccount.stats);
 
         const totalUsers = await PlatformAccount.countDocuments({
             platformName: platform,
-            isActive: true
+            isActive: true,
+            isVerified: true
         });
 
         const usersAbove = await PlatformAccount.countDocuments({
             platformName: platform,
             isActive: true,
-            [sortField]: { $gt: userAccount.stats[sortField.split('.')[1]] }
+            isVerified: true,
+            [sortField]: { $gt: value }
         });
 
         userRank = {
@@ -320,7 +352,7 @@ const getUserRank = asyncHandler(async (req, res) => {
             percentile: Math.round(((totalUsers - usersAbove) / totalUsers) * 100),
             platform,
             category,
-            value: userAccount.stats[sortField.split('.')[1]]
+            value
         };
     }
 
@@ -346,7 +378,7 @@ const getTopPerformers = asyncHandler(async (req, res) => {
         
         switch (category) {
             case 'cscore':
-                sortField = { cScore: -1 };
+                sortField = { totalCScore: -1 };
                 break;
             case 'problems':
                 sortField = { 'aggregatedStats.totalProblems': -1 };
@@ -360,14 +392,7 @@ const getTopPerformers = asyncHandler(async (req, res) => {
         }
 
         const pipeline = [
-            {
-                $lookup: {
-                    from: 'platformaccounts',
-                    localField: '_id',
-                    foreignField: 'userId',
-                    as: 'platforms'
-                }
-            },
+            VERIFIED_ACCOUNTS,
             {
                 $addFields: {
                     aggregatedStats: {
@@ -377,7 +402,7 @@ const getTopPerformers = asyncHandler(async (req, res) => {
                                 totalProblems: 0,
                                 totalRating: 0,
                                 platformCount: 0,
-                                maxStreak: 0,
+                                ratedPlatformCount: 0,
                                 avgRating: 0
                             },
                             in: {
@@ -385,13 +410,13 @@ const getTopPerformers = asyncHandler(async (req, res) => {
                                     $add: ['$$value.totalProblems', '$$this.stats.totalProblemsSolved']
                                 },
                                 totalRating: {
-                                    $add: ['$$value.totalRating', '$$this.stats.contestRating']
+                                    $add: ['$$value.totalRating', { $cond: [IS_RATED, '$$this.stats.contestRating', 0] }]
                                 },
                                 platformCount: {
                                     $add: ['$$value.platformCount', 1]
                                 },
-                                maxStreak: {
-                                    $max: ['$$value.maxStreak', '$$this.stats.streak.max']
+                                ratedPlatformCount: {
+                                    $add: ['$$value.ratedPlatformCount', { $cond: [IS_RATED, 1, 0] }]
                                 }
                             }
                         }
@@ -402,11 +427,12 @@ const getTopPerformers = asyncHandler(async (req, res) => {
                 $addFields: {
                     'aggregatedStats.avgRating': {
                         $cond: {
-                            if: { $gt: ['$aggregatedStats.platformCount', 0] },
-                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.platformCount'] },
+                            if: { $gt: ['$aggregatedStats.ratedPlatformCount', 0] },
+                            then: { $divide: ['$aggregatedStats.totalRating', '$aggregatedStats.ratedPlatformCount'] },
                             else: 0
                         }
-                    }
+                    },
+                    ...UNIFIED_STREAK
                 }
             },
             {
@@ -426,7 +452,7 @@ const getTopPerformers = asyncHandler(async (req, res) => {
                     name: 1,
                     username: 1,
                     avatar: 1,
-                    cScore: 1,
+                    cScore: '$totalCScore',
                     rank: 1,
                     aggregatedStats: 1
                 }
@@ -472,12 +498,12 @@ const getLeaderboardByCategory = asyncHandler(async (req, res) => {
 const getGlobalStats = asyncHandler(async (req, res) => {
     // Get total users and platform accounts
     const totalUsers = await User.countDocuments({ isPublic: true });
-    const totalAccounts = await PlatformAccount.countDocuments({ isActive: true });
+    const totalAccounts = await PlatformAccount.countDocuments({ isActive: true, isVerified: true });
 
     // Get platform distribution
     const platformDistribution = await PlatformAccount.aggregate([
         {
-            $match: { isActive: true }
+            $match: { isActive: true, isVerified: true }
         },
         {
             $group: {
@@ -492,31 +518,27 @@ const getGlobalStats = asyncHandler(async (req, res) => {
 
     // Get top statistics
     const topStats = await User.aggregate([
-        {
-            $lookup: {
-                from: 'platformaccounts',
-                localField: '_id',
-                foreignField: 'userId',
-                as: 'platforms'
-            }
-        },
+        VERIFIED_ACCOUNTS,
         {
             $addFields: {
                 totalProblems: {
                     $sum: '$platforms.stats.totalProblemsSolved'
                 },
                 avgRating: {
-                    $avg: '$platforms.stats.contestRating'
+                    $avg: {
+                        $map: {
+                            input: { $filter: { input: '$platforms', cond: IS_RATED } },
+                            in: '$$this.stats.contestRating'
+                        }
+                    }
                 },
-                maxStreak: {
-                    $max: '$platforms.stats.streak.max'
-                }
+                maxStreak: { $ifNull: ['$streak.max', 0] }
             }
         },
         {
             $group: {
                 _id: null,
-                maxCScore: { $max: '$cScore' },
+                maxCScore: { $max: '$totalCScore' },
                 maxProblems: { $max: '$totalProblems' },
                 maxRating: { $max: '$avgRating' },
                 maxStreak: { $max: '$maxStreak' },
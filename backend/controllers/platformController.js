@@ -0,0 +1,73 @@
+const { listPlatforms, getPlatformIds, isPlatform } = require('../services/platforms');
+const { getThrottleState, resetBreaker } = require('../services/platforms/throttle');
+const SyncJob = require('../models/SyncJob');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get supported platforms with display metadata and capabilities
+ * @route   GET /api/platforms
+ * @access  Public
+ */
+const getPlatforms = asyncHandler(async (req, res) => {
+    const platforms = listPlatforms();
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            platforms,
+            total: platforms.length
+        }
+    });
+});
+
+/**
+ * @desc    Get outbound rate limiter and circuit breaker state per platform
+ * @route   GET /api/platforms/status
+ * @access  Private/Admin
+ */
+const getPlatformStatus = asyncHandler(async (req, res) => {
+    const queued = await SyncJob.aggregate([
+        { $match: { status: 'queued' } },
+        { $group: { _id: '$platformName', count: { $sum: 1 } } }
+    ]);
+    const queuedByPlatform = Object.fromEntries(queued.map(entry => [entry._id, entry.count]));
+
+    const platforms = getThrottleState(getPlatformIds()).map(state => ({
+        ...state,
+        queuedJobs: queuedByPlatform[state.platform] || 0
+    }));
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            platforms
+        }
+    });
+});
+
+/**
+ * @desc    Close a platform's circuit breaker
+ * @route   POST /api/platforms/:platform/breaker/reset
+ * @access  Private/Admin
+ */
+const resetPlatformBreaker = asyncHandler(async (req, res) => {
+    const { platform } = req.params;
+
+    if (!isPlatform(platform)) {
+        throw new AppError(`Unknown platform: ${platform}`, 404);
+    }
+
+    resetBreaker(platform);
+
+    res.status(200).json({
+        status: 'success',
+        message: `${platform} circuit breaker reset`,
+        data: getThrottleState([platform])[0]
+    });
+});
+
+module.exports = {
+    getPlatforms,
+    getPlatformStatus,
+    resetPlatformBreaker
+};
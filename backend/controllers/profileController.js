@@ -3,6 +3,22 @@ const fs = require('fs').promises;
 const sharp = require('sharp');
 const User = require('../models/User');
 const PlatformAccount = require('../models/PlatformAccount');
+const Submission = require('../models/Submission');
+const GithubProfile = require('../models/GithubProfile');
+const GithubHistory = require('../models/GithubHistory');
+const { getPlatform, hasCapability } = require('../services/platforms');
+const { profileContainsToken } = require('../services/platformSync');
+const {
+    VERIFICATION_HINT: GITHUB_VERIFICATION_HINT,
+    syncGithubProfile,
+    removeGithubProfile,
+    fetchProfileText: fetchGithubProfileText
+} = require('../services/github');
+const { updateUserCScore } = require('../services/cScore');
+const { calculateGithubCScore, githubCountsTowardsCScore } = require('../services/scoring');
+const { enqueueAccountSync, enqueueUserSync } = require('../services/syncQueue');
+const { streakRules, updateUserStreak } = require('../services/streaks');
+const { userTimeZone } = require('../utils/timezone');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -15,10 +31,13 @@ const getProfile = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user.id);
     
     // Get platform accounts
-    const platformAccounts = await PlatformAccount.find({ 
-        userId: req.user.id, 
-        isActive: true 
-    });
+    const [platformAccounts, githubProfile] = await Promise.all([
+        PlatformAccount.find({ 
+            userId: req.user.id, 
+            isActive: true 
+        }),
+        GithubProfile.findOne({ userId: req.user.id })
+    ]);
 
     res.status(200).json({
         status: 'success',
@@ -34,11 +53,14 @@ const getProfile = asyncHandler(async (req, res) => {
                 profilePicture: user.profilePicture,
                 location: user.location,
                 github: user.github,
+                githubVerified: user.githubVerified,
                 linkedIn: user.linkedIn,
                 website: user.website,
                 isEmailVerified: user.isEmailVerified,
                 profileCompletion: user.profileCompletion,
                 totalCScore: user.totalCScore,
+                uniqueCScore: user.uniqueCScore,
+                uniqueProblemsSolved: user.uniqueProblemsSolved,
                 settings: user.settings,
                 createdAt: user.createdAt,
                 lastLogin: user.lastLogin
@@ -50,8 +72,14 @@ const getProfile = asyncHandler(async (req, res) => {
                 stats: account.stats,
                 lastUpdated: account.lastUpdated,
                 syncStatus: account.syncStatus,
+                isVerified: account.isVerified,
                 platformCScore: account.platformCScore
-            }))
+            })),
+            github: githubProfile ? {
+                ...githubProfile.toSummary(),
+                syncStatus: githubProfile.syncStatus,
+                githubCScore: calculateGithubCScore(githubProfile)
+            } : null
         }
     });
 });
@@ -64,7 +92,7 @@ const getProfile = asyncHandler(async (req, res) => {
 const updateProfile = asyncHandler(async (req, res) => {
     const allowedFields = [
         'username', 'firstName', 'lastName', 'bio', 'location', 
-        'github', 'linkedIn', 'website', 'settings'
+        'github', 'linkedIn', 'website'
     ];
     
     const updates = {};
@@ -76,6 +104,15 @@ const updateProfile = asyncHandler(async (req, res) => {
         }
     });
 
+    // Settings are set one path at a time, so settings left out of the request keep their values
+    if (req.body.settings) {
+        Object.entries(User.flattenSettings(req.body.settings)).forEach(([path, value]) => {
+            if (User.SETTINGS_PATHS.includes(path)) {
+                updates[`settings.${path}`] = value;
+            }
+        });
+    }
+
     // Check if username is being changed and if it's available
     if (updates.username && updates.username !== req.user.username) {
         const existingUser = await User.findOne({ 
@@ -88,6 +125,14 @@ const updateProfile = asyncHandler(async (req, res) => {
         }
     }
 
+    const previous = await User.findById(req.user.id).select('github settings');
+
+    // A verification belongs to one GitHub account; a new username has to be verified again
+    if ('github' in updates && updates.github !== previous.github) {
+        updates.githubVerified = false;
+        updates.$unset = { githubVerifiedAt: 1, githubVerification: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
         req.user.id,
         updates,
@@ -97,6 +142,29 @@ const updateProfile = asyncHandler(async (req, res) => {
         }
     );
 
+    // A new GitHub username is synced in the background; a removed one takes its data with it
+    const githubChanged = 'github' in updates && updates.github !== previous.github;
+    if (githubChanged) {
+        await removeGithubProfile(user._id);
+        if (user.github) {
+            syncGithubProfile(user).catch(error => {
+                logger.warn(`GitHub sync failed for ${user.github}: ${error.message}`);
+            });
+        }
+    }
+    if (githubChanged || previous.settings?.includeGithubInCScore !== user.settings?.includeGithubInCScore) {
+        await updateUserCScore(user._id);
+    }
+    // Streaks are counted in the user's time zone; resync so they follow the new one
+    const timeZoneChanged = userTimeZone(previous) !== userTimeZone(user);
+    if (timeZoneChanged) {
+        await enqueueUserSync(user._id, 'manual');
+    }
+    // The unified streak is rebuilt from stored submissions, so new rules apply right away
+    if (timeZoneChanged || JSON.stringify(streakRules(previous)) !== JSON.stringify(streakRules(user))) {
+        await updateUserStreak(user._id);
+    }
+
     logger.info(`Profile updated for user: ${user.username}`);
 
     res.status(200).json({
@@ -113,6 +181,7 @@ const updateProfile = asyncHandler(async (req, res) => {
                 profilePicture: user.profilePicture,
                 location: user.location,
                 github: user.github,
+                githubVerified: user.githubVerified,
                 linkedIn: user.linkedIn,
                 website: user.website,
                 profileCompletion: user.profileCompletion,
@@ -246,6 +315,12 @@ const addPlatformAccount = asyncHandler(async (req, res) => {
         syncStatus: 'pending'
     });
 
+    // Sync right away so stats and the contest rating history are filled in without waiting
+    // for the scheduled run
+    if (!hasCapability(platformName, 'importOnly')) {
+        await enqueueAccountSync(platformAccount, 'manual');
+    }
+
     logger.info(`Platform account added: ${platformName} for user: ${req.user.username}`);
 
     res.status(201).json({
@@ -258,6 +333,7 @@ const addPlatformAccount = asyncHandler(async (req, res) => {
                 platformUsername: platformAccount.platformUsername,
                 stats: platformAccount.stats,
                 syncStatus: platformAccount.syncStatus,
+                isVerified: platformAccount.isVerified,
                 createdAt: platformAccount.createdAt
             }
         }
@@ -286,9 +362,21 @@ const updatePlatformAccount = asyncHandler(async (req, res) => {
     if (platformUsername) platformAccount.platformUsername = platformUsername;
     if (platformUserId) platformAccount.platformUserId = platformUserId;
     
+    const wasVerified = platformAccount.isVerified;
+    const usernameChanged = platformAccount.isModified('platformUsername');
     platformAccount.syncStatus = 'pending'; // Mark for re-sync
     await platformAccount.save();
 
+    // Synced submissions belong to the old profile (imported history belongs to the account)
+    if (usernameChanged && !hasCapability(platformAccount.platformName, 'importOnly')) {
+        await Submission.deleteMany({ accountId: platformAccount._id });
+    }
+
+    // A new username drops the ownership proof, and with it the account's C-Score
+    if (wasVerified && !platformAccount.isVerified) {
+        await updateUserCScore(req.user.id);
+    }
+
     logger.info(`Platform account updated: ${platformAccount.platformName} for user: ${req.user.username}`);
 
     res.status(200).json({
@@ -327,6 +415,7 @@ const removePlatformAccount = asyncHandler(async (req, res) => {
     // Deactivate instead of deleting to preserve history
     platformAccount.isActive = false;
     await platformAccount.save();
+    await updateUserCScore(req.user.id);
 
     logger.info(`Platform account removed: ${platformAccount.platformName} for user: ${req.user.username}`);
 
@@ -396,17 +485,20 @@ const getPublicProfile = asyncHandler(async (req, res) => {
         username,
         isActive: true,
         'settings.publicProfile': true
-    }).select('username firstName lastName bio profilePicture location totalCScore createdAt');
+    }).select('username firstName lastName bio profilePicture location github totalCScore uniqueCScore uniqueProblemsSolved createdAt');
 
     if (!user) {
         throw new AppError('User not found or profile is private', 404);
     }
 
     // Get public platform accounts
-    const platformAccounts = await PlatformAccount.find({
-        userId: user._id,
-        isActive: true
-    }).select('platformName platformUsername stats lastUpdated');
+    const [platformAccounts, githubProfile] = await Promise.all([
+        PlatformAccount.find({
+            userId: user._id,
+            isActive: true
+        }).select('platformName platformUsername isVerified stats lastUpdated'),
+        GithubProfile.findOne({ userId: user._id, syncStatus: 'success' })
+    ]);
 
     res.status(200).json({
         status: 'success',
@@ -418,18 +510,276 @@ const getPublicProfile = asyncHandler(async (req, res) => {
                 profilePicture: user.profilePicture,
                 location: user.location,
                 totalCScore: user.totalCScore,
+                uniqueCScore: user.uniqueCScore,
+                uniqueProblemsSolved: user.uniqueProblemsSolved,
                 joinedAt: user.createdAt
             },
             platformAccounts: platformAccounts.map(account => ({
                 platformName: account.platformName,
                 platformUsername: account.platformUsername,
+                isVerified: account.isVerified,
                 stats: {
                     totalProblemsSolved: account.stats.totalProblemsSolved,
                     contestRating: account.stats.contestRating,
                     globalRank: account.stats.globalRank
                 },
                 lastUpdated: account.lastUpdated
-            }))
+            })),
+            github: githubProfile ? githubProfile.toSummary() : null
+        }
+    });
+});
+
+/**
+ * @desc    Get the current user's GitHub activity and its history
+ * @route   GET /api/profile/github
+ * @access  Private
+ */
+const getGithubActivity = asyncHandler(async (req, res) => {
+    const { days = 90 } = req.query;
+
+    const [githubProfile, history] = await Promise.all([
+        GithubProfile.findOne({ userId: req.user.id }),
+        GithubHistory.getHistory(req.user.id, parseInt(days))
+    ]);
+
+    if (!githubProfile) {
+        throw new AppError('No GitHub activity yet. Add your GitHub username to your profile.', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            github: {
+                ...githubProfile.toSummary(),
+                syncStatus: githubProfile.syncStatus,
+                lastSyncError: githubProfile.lastSyncError,
+                githubCScore: calculateGithubCScore(githubProfile),
+                verified: Boolean(req.user.githubVerified),
+                includedInCScore: githubCountsTowardsCScore(req.user)
+            },
+            history
+        }
+    });
+});
+
+/**
+ * @desc    Refresh the current user's GitHub activity
+ * @route   POST /api/profile/github/sync
+ * @access  Private
+ */
+const syncGithubActivity = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select('github githubVerified settings');
+
+    if (!user.github) {
+        throw new AppError('Add your GitHub username to your profile first', 400);
+    }
+
+    const githubProfile = await syncGithubProfile(user);
+
+    logger.info(`GitHub activity synced for user: ${req.user.username}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'GitHub activity synced successfully',
+        data: {
+            github: {
+                ...githubProfile.toSummary(),
+                syncStatus: githubProfile.syncStatus,
+                githubCScore: calculateGithubCScore(githubProfile)
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Issue a code for proving ownership of the GitHub account
+ * @route   POST /api/profile/github/verification
+ * @access  Private
+ */
+const startGithubVerification = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user.github) {
+        throw new AppError('Add your GitHub username to your profile first', 400);
+    }
+
+    if (user.githubVerified) {
+        throw new AppError('GitHub account is already verified', 400);
+    }
+
+    const token = user.createGithubVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: 'success',
+        message: `Add ${token} to ${GITHUB_VERIFICATION_HINT}, then confirm verification`,
+        data: {
+            token,
+            expiresAt: user.githubVerification.expiresAt,
+            where: GITHUB_VERIFICATION_HINT
+        }
+    });
+});
+
+/**
+ * @desc    Confirm GitHub ownership by finding the issued code on the GitHub profile
+ * @route   POST /api/profile/github/verify
+ * @access  Private
+ */
+const verifyGithubAccount = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user.github) {
+        throw new AppError('Add your GitHub username to your profile first', 400);
+    }
+
+    if (user.githubVerified) {
+        throw new AppError('GitHub account is already verified', 400);
+    }
+
+    const { token, expiresAt } = user.githubVerification || {};
+
+    if (!token || expiresAt < new Date()) {
+        throw new AppError('No active verification code. Request a new one first', 400);
+    }
+
+    // A GitHub account can only be verified by one user
+    const claimedElsewhere = await User.exists({
+        _id: { $ne: user._id },
+        github: user.github,
+        githubVerified: true
+    });
+
+    if (claimedElsewhere) {
+        throw new AppError(`${user.github} has already been verified by another user`, 409);
+    }
+
+    const profileText = await fetchGithubProfileText(user.github);
+
+    if (!profileText.includes(token)) {
+        throw new AppError(`Verification code ${token} was not found on your GitHub profile`, 400);
+    }
+
+    await user.markGithubVerified();
+    // Verified GitHub activity counts towards the C-Score for users who opted in
+    await updateUserCScore(user._id);
+
+    logger.info(`GitHub account verified: ${user.github} for user: ${user.username}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'GitHub account verified successfully',
+        data: {
+            github: user.github,
+            githubVerified: user.githubVerified,
+            githubVerifiedAt: user.githubVerifiedAt
+        }
+    });
+});
+
+/**
+ * @desc    Issue a code for proving ownership of a platform account
+ * @route   POST /api/profile/platforms/:platformId/verification
+ * @access  Private
+ */
+const startPlatformVerification = asyncHandler(async (req, res) => {
+    const platformAccount = await PlatformAccount.findOne({
+        _id: req.params.platformId,
+        userId: req.user.id,
+        isActive: true
+    });
+
+    if (!platformAccount) {
+        throw new AppError('Platform account not found', 404);
+    }
+
+    if (platformAccount.isVerified) {
+        throw new AppError('Platform account is already verified', 400);
+    }
+
+    const platform = getPlatform(platformAccount.platformName);
+
+    if (!platform || typeof platform.fetchProfileText !== 'function') {
+        throw new AppError(`Verifying ${platformAccount.platformName} accounts is not supported yet`, 400);
+    }
+
+    const token = platformAccount.createVerificationToken();
+    await platformAccount.save();
+
+    res.status(200).json({
+        status: 'success',
+        message: `Add ${token} to ${platform.verificationHint}, then confirm verification`,
+        data: {
+            token,
+            expiresAt: platformAccount.verification.expiresAt,
+            where: platform.verificationHint
+        }
+    });
+});
+
+/**
+ * @desc    Confirm ownership by finding the issued code on the platform profile
+ * @route   POST /api/profile/platforms/:platformId/verify
+ * @access  Private
+ */
+const verifyPlatformAccount = asyncHandler(async (req, res) => {
+    const platformAccount = await PlatformAccount.findOne({
+        _id: req.params.platformId,
+        userId: req.user.id,
+        isActive: true
+    });
+
+    if (!platformAccount) {
+        throw new AppError('Platform account not found', 404);
+    }
+
+    if (platformAccount.isVerified) {
+        throw new AppError('Platform account is already verified', 400);
+    }
+
+    const { token, expiresAt } = platformAccount.verification || {};
+
+    if (!token || expiresAt < new Date()) {
+        throw new AppError('No active verification code. Request a new one first', 400);
+    }
+
+    // A handle can only be verified by one user
+    const claimedElsewhere = await PlatformAccount.exists({
+        _id: { $ne: platformAccount._id },
+        platformName: platformAccount.platformName,
+        platformUsername: platformAccount.platformUsername,
+        isActive: true,
+        isVerified: true
+    });
+
+    if (claimedElsewhere) {
+        throw new AppError(`${platformAccount.platformUsername} has already been verified by another user`, 409);
+    }
+
+    const found = await profileContainsToken(platformAccount.platformName, platformAccount.platformUsername, token);
+
+    if (!found) {
+        throw new AppError(`Verification code ${token} was not found on your ${platformAccount.platformName} profile`, 400);
+    }
+
+    await platformAccount.markVerified();
+    // Only verified accounts count towards the C-Score
+    await updateUserCScore(req.user.id);
+
+    logger.info(`Platform account verified: ${platformAccount.platformName} for user: ${req.user.username}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Platform account verified successfully',
+        data: {
+            platformAccount: {
+                id: platformAccount._id,
+                platformName: platformAccount.platformName,
+                platformUsername: platformAccount.platformUsername,
+                isVerified: platformAccount.isVerified,
+                verifiedAt: platformAccount.verifiedAt
+            }
         }
     });
 });
@@ -442,6 +792,12 @@ module.exports = {
     addPlatformAccount,
     updatePlatformAccount,
     removePlatformAccount,
+    startPlatformVerification,
+    verifyPlatformAccount,
     getUserProfiles,
-    getPublicProfile
+    getPublicProfile,
+    getGithubActivity,
+    syncGithubActivity,
+    startGithubVerification,
+    verifyGithubAccount
 };
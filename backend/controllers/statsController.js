@@ -1,8 +1,17 @@
-const User = require('../models/User');
 const PlatformAccount = require('../models/PlatformAccount');
 const StatsHistory = require('../models/StatsHistory');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { syncPlatformData } = require('../services/platformSync');
+const SyncJob = require('../models/SyncJob');
+const { enqueueAccountSync, enqueueUserSync } = require('../services/syncQueue');
+const { updateUserCScore, explainUserCScore } = require('../services/cScore');
+const { countsTowardsCScore, duplicateSolvePoints } = require('../services/scoring');
+const { hasCapability, isPlatform } = require('../services/platforms');
+const { countDuplicateSolves } = require('../services/problemEquivalence');
+const { subscribeToSyncEvents } = require('../services/syncEvents');
+const { previewImport, importSubmissions } = require('../services/submissionImport');
+const { getGrowthComparison } = require('../services/growth');
+const { getUserStreak } = require('../services/streaks');
+const { userTimeZone } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 /**
@@ -33,13 +42,16 @@ const getStats = asyncHandler(async (req, res) => {
     // Aggregate stats
     const aggregatedStats = {
         totalProblemsSolved: 0,
+        uniqueProblemsSolved: 0,
         easyProblemsSolved: 0,
         mediumProblemsSolved: 0,
         hardProblemsSolved: 0,
+        unclassifiedProblemsSolved: 0,
         totalContestsParticipated: 0,
         averageContestRating: 0,
         maxContestRating: 0,
         totalCScore: 0,
+        uniqueCScore: 0,
         platformBreakdown: {},
         streakData: {
             currentStreak: 0,
@@ -60,37 +72,45 @@ const getStats = asyncHandler(async (req, res) => {
     platformAccounts.forEach(account => {
         const stats = account.stats;
         
-        // Aggregate problem counts
+        // Aggregate problem counts; buckets only come from platforms that map onto the common scale
         aggregatedStats.totalProblemsSolved += stats.totalProblemsSolved;
-        aggregatedStats.easyProblemsSolved += stats.easyProblemsSolved;
-        aggregatedStats.mediumProblemsSolved += stats.mediumProblemsSolved;
-        aggregatedStats.hardProblemsSolved += stats.hardProblemsSolved;
+        if (hasCapability(account.platformName, 'difficultyBuckets')) {
+            aggregatedStats.easyProblemsSolved += stats.easyProblemsSolved;
+            aggregatedStats.mediumProblemsSolved += stats.mediumProblemsSolved;
+            aggregatedStats.hardProblemsSolved += stats.hardProblemsSolved;
+        } else {
+            aggregatedStats.unclassifiedProblemsSolved += stats.totalProblemsSolved;
+        }
         
         // Aggregate contest data
         aggregatedStats.totalContestsParticipated += stats.contestsParticipated;
-        if (stats.contestRating > 0) {
+        if (hasCapability(account.platformName, 'rating') && stats.contestRating > 0) {
             totalRating += stats.contestRating;
             platformsWithRating++;
         }
         aggregatedStats.maxContestRating = Math.max(aggregatedStats.maxContestRating, stats.maxContestRating);
         
-        // Aggregate C-Score
-        aggregatedStats.totalCScore += account.platformCScore;
+        // Aggregate C-Score (unverified and import-only accounts are shown but not scored)
+        if (countsTowardsCScore(account)) {
+            aggregatedStats.totalCScore += account.platformCScore;
+        }
         
         // Aggregate submission stats
         aggregatedStats.submissionStats.totalSubmissions += stats.submissionStats.totalSubmissions;
         aggregatedStats.submissionStats.acceptedSubmissions += stats.submissionStats.acceptedSubmissions;
         
-        // Aggregate streak data
+        // Aggregate streak data (replaced by the unified streak below when showing all platforms)
         aggregatedStats.streakData.currentStreak = Math.max(aggregatedStats.streakData.currentStreak, stats.streak.current);
         aggregatedStats.streakData.maxStreak = Math.max(aggregatedStats.streakData.maxStreak, stats.streak.max);
         
         // Platform breakdown
         aggregatedStats.platformBreakdown[account.platformName] = {
             problems: stats.totalProblemsSolved,
-            rating: stats.contestRating,
+            rating: hasCapability(account.platformName, 'rating') ? stats.contestRating : null,
+            score: hasCapability(account.platformName, 'score') ? stats.score : null,
             contests: stats.contestsParticipated,
             rank: stats.globalRank,
+            countryRank: stats.countryRank,
             lastUpdated: account.lastUpdated
         };
         
@@ -100,9 +120,13 @@ const getStats = asyncHandler(async (req, res) => {
                 if (aggregatedStats.languageStats.has(language)) {
                     const existing = aggregatedStats.languageStats.get(language);
                     existing.problemsSolved += langData.problemsSolved;
-                    existing.submissions += langData.submissions;
+                    existing.submissions += langData.submissions || 0;
                 } else {
-                    aggregatedStats.languageStats.set(language, { ...langData });
+                    aggregatedStats.languageStats.set(language, {
+                        problemsSolved: langData.problemsSolved || 0,
+                        // Not every platform reports submissions per language
+                        submissions: langData.submissions || 0
+                    });
                 }
             });
         }
@@ -116,6 +140,21 @@ const getStats = asyncHandler(async (req, res) => {
         }
     });
 
+    // Count problems mirrored across judges once; the C-Score only loses mirrors it counted
+    const duplicateSolves = await countDuplicateSolves(req.user.id, { platform });
+    const scoredDuplicateSolves = await countDuplicateSolves(req.user.id, {
+        platform,
+        accountIds: platformAccounts.filter(countsTowardsCScore).map(account => account._id)
+    });
+    aggregatedStats.uniqueProblemsSolved = Math.max(0, aggregatedStats.totalProblemsSolved - duplicateSolves);
+    aggregatedStats.uniqueCScore = Math.max(0, aggregatedStats.totalCScore - duplicateSolvePoints(scoredDuplicateSolves));
+
+    // Across all platforms, a day counts once however many judges it was spent on
+    if (!platform || platform === 'all') {
+        aggregatedStats.streakData.currentStreak = req.user.streak?.current || 0;
+        aggregatedStats.streakData.maxStreak = req.user.streak?.max || 0;
+    }
+
     // Calculate average rating
     if (platformsWithRating > 0) {
         aggregatedStats.averageContestRating = Math.round(totalRating / platformsWithRating);
@@ -180,22 +219,19 @@ const getPlatformStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update stats manually
+ * @desc    Overwrite a user's platform stats (for support and testing; users import history instead)
  * @route   PUT /api/stats/update
- * @access  Private
+ * @access  Private (Admin)
  */
 const updateStats = asyncHandler(async (req, res) => {
-    // This endpoint allows manual stat updates for testing
-    // In production, you might want to restrict this or remove it
-    
-    const { platform, stats } = req.body;
+    const { platform, stats, userId = req.user.id } = req.body;
 
     if (!platform || !stats) {
         throw new AppError('Platform and stats are required', 400);
     }
 
     const platformAccount = await PlatformAccount.findOne({
-        userId: req.user.id,
+        userId,
         platformName: platform,
         isActive: true
     });
@@ -207,9 +243,10 @@ const updateStats = asyncHandler(async (req, res) => {
     await platformAccount.updateStats(stats);
 
     // Update user's total C-Score
-    await updateUserCScore(req.user.id);
+    await updateUserCScore(userId);
+    await StatsHistory.recordAccountSnapshots(platformAccount);
 
-    logger.info(`Stats manually updated for ${platform} - User: ${req.user.username}`);
+    logger.warn(`Stats manually overwritten for ${platform} - User: ${userId}, by admin: ${req.user.username}`);
 
     res.status(200).json({
         status: 'success',
@@ -224,67 +261,115 @@ const updateStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Sync all platforms for user
- * @route   POST /api/stats/sync
- * @access  Private
+ * Helper function to find the account an import goes to.
+ * Import-only platforms may have no account yet; other platforms must be linked first.
  */
-const syncAllPlatforms = asyncHandler(async (req, res) => {
-    const platformAccounts = await PlatformAccount.find({
+const findImportAccount = async (req) => {
+    const { platform } = req.body;
+
+    if (!isPlatform(platform)) {
+        throw new AppError('A supported platform is required', 400);
+    }
+
+    const platformAccount = await PlatformAccount.findOne({
         userId: req.user.id,
+        platformName: platform,
         isActive: true
     });
 
-    if (platformAccounts.length === 0) {
-        throw new AppError('No platform accounts found', 404);
+    if (!platformAccount && !hasCapability(platform, 'importOnly')) {
+        throw new AppError(`Link your ${platform} account before importing its history`, 404);
     }
 
-    const syncResults = [];
-
-    // Sync each platform
-    for (const account of platformAccounts) {
-        try {
-            const updatedStats = await syncPlatformData(account.platformName, account.platformUsername);
-            await account.updateStats(updatedStats);
-            
-            syncResults.push({
-                platform: account.platformName,
-                status: 'success',
-                stats: account.stats
-            });
-        } catch (error) {
-            await account.recordSyncError(error);
-            syncResults.push({
-                platform: account.platformName,
-                status: 'error',
-                error: error.message
-            });
+    return platformAccount;
+};
+
+/**
+ * @desc    Validate a submission history import and show what it would add
+ * @route   POST /api/stats/import/preview
+ * @access  Private
+ */
+const previewSubmissionImport = asyncHandler(async (req, res) => {
+    const platformAccount = await findImportAccount(req);
+
+    const preview = await previewImport(req.body.platform, platformAccount, req.body);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            platform: req.body.platform,
+            preview
         }
+    });
+});
+
+/**
+ * @desc    Import submission history from a CSV or JSON export
+ * @route   POST /api/stats/import
+ * @access  Private
+ */
+const importSubmissionHistory = asyncHandler(async (req, res) => {
+    const { platform, platformUsername } = req.body;
+    let platformAccount = await findImportAccount(req);
+
+    if (!platformAccount) {
+        platformAccount = await PlatformAccount.findOneAndUpdate(
+            { userId: req.user.id, platformName: platform },
+            {
+                $set: { isActive: true },
+                $setOnInsert: { platformUsername: platformUsername || req.user.username }
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
     }
 
-    // Update user's total C-Score
-    await updateUserCScore(req.user.id);
+    const report = await importSubmissions(platformAccount, req.body, { timeZone: userTimeZone(req.user) });
 
-    logger.info(`All platforms synced for user: ${req.user.username}`);
+    logger.info(`${platform} history imported for user: ${req.user.username}`);
 
     res.status(200).json({
         status: 'success',
-        message: 'Platform sync completed',
+        message: `Imported ${report.inserted} submissions`,
+        data: {
+            platform,
+            report
+        }
+    });
+});
+
+/**
+ * @desc    Queue a sync of all platforms for user
+ * @route   POST /api/stats/sync
+ * @access  Private
+ */
+const syncAllPlatforms = asyncHandler(async (req, res) => {
+    const jobs = await enqueueUserSync(req.user.id, 'manual');
+
+    if (jobs.length === 0) {
+        throw new AppError('No platform accounts found', 404);
+    }
+
+    logger.info(`Queued sync of ${jobs.length} platforms for user: ${req.user.username}`);
+
+    res.status(202).json({
+        status: 'success',
+        message: 'Platform sync queued',
         data: {
-            syncResults,
-            totalPlatforms: platformAccounts.length,
-            successCount: syncResults.filter(r => r.status === 'success').length,
-            errorCount: syncResults.filter(r => r.status === 'error').length
+            jobs: jobs.map(formatSyncJob),
+            totalPlatforms: jobs.length
         }
     });
 });
 
 /**
- * @desc    Sync specific platform for user
+ * @desc    Queue a sync of a specific platform for user
+ *          (pass full=true in the body or query to refetch the whole history)
  * @route   POST /api/stats/sync/:platform
  * @access  Private
  */
 const syncPlatform = asyncHandler(async (req, res) => {
     const { platform } = req.params;
+    const fullResync = req.body.full === true || req.body.full === 'true' || req.query.full === 'true';
 
     const platformAccount = await PlatformAccount.findOne({
         userId: req.user.id,
@@ -296,31 +381,71 @@ const syncPlatform = asyncHandler(async (req, res) => {
         throw new AppError(`No ${platform} account found`, 404);
     }
 
-    try {
-        const updatedStats = await syncPlatformData(platform, platformAccount.platformUsername);
-        await platformAccount.updateStats(updatedStats);
+    if (hasCapability(platform, 'importOnly')) {
+        throw new AppError(`${platform} accounts are filled by importing submission history, not by syncing`, 400);
+    }
 
-        // Update user's total C-Score
-        await updateUserCScore(req.user.id);
+    const job = await enqueueAccountSync(platformAccount, 'manual', { fullResync });
 
-        logger.info(`${platform} synced for user: ${req.user.username}`);
+    logger.info(`${platform} ${fullResync ? 'full resync' : 'sync'} queued for user: ${req.user.username}`);
 
-        res.status(200).json({
-            status: 'success',
-            message: `${platform} stats synced successfully`,
-            data: {
-                platform: platform,
-                stats: platformAccount.stats,
-                platformCScore: platformAccount.platformCScore,
-                lastUpdated: platformAccount.lastUpdated
-            }
-        });
-    } catch (error) {
-        await platformAccount.recordSyncError(error);
-        throw new AppError(`Failed to sync ${platform}: ${error.message}`, 500);
-    }
+    res.status(202).json({
+        status: 'success',
+        message: `${platform} ${fullResync ? 'full resync' : 'sync'} queued`,
+        data: {
+            job: formatSyncJob(job)
+        }
+    });
+});
+
+/**
+ * @desc    Get status of the user's recent sync jobs
+ * @route   GET /api/stats/sync/status
+ * @access  Private
+ */
+const getSyncStatus = asyncHandler(async (req, res) => {
+    const jobs = await SyncJob.find({ userId: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            jobs: jobs.map(formatSyncJob)
+        }
+    });
 });
 
+// Comment line sent periodically so proxies don't close an idle event stream
+const SSE_HEARTBEAT_MS = 25000;
+
+/**
+ * @desc    Stream live sync progress (queued, fetching, parsed, saved, sync-error) as Server-Sent Events
+ * @route   GET /api/stats/sync/events
+ * @access  Private
+ */
+const streamSyncEvents = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        // no-transform also keeps the compression middleware from buffering the stream
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribeToSyncEvents(req.user.id, (event) => {
+        res.write(`event: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
+
 /**
  * @desc    Get stats history for charts
  * @route   GET /api/stats/history
@@ -329,13 +454,14 @@ const syncPlatform = asyncHandler(async (req, res) => {
 const getStatsHistory = asyncHandler(async (req, res) => {
     const { platform = 'overall', days = 30 } = req.query;
 
-    const progressData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days));
+    const progressData = await StatsHistory.getProgressData(req.user.id, platform, parseInt(days), userTimeZone(req.user));
 
     res.status(200).json({
         status: 'success',
         data: {
             platform,
             period: `${days} days`,
+            granularity: StatsHistory.granularityFor(parseInt(days)),
             progressData
         }
     });
@@ -361,27 +487,105 @@ const getGrowthMetrics = asyncHandler(async (req, res) => {
 });
 
 /**
- * Helper function to update user's total C-Score
+ * @desc    Compare growth over a period (or any from/to range) with the previous period or year
+ * @route   GET /api/stats/growth/compare
+ * @access  Private
  */
-const updateUserCScore = async (userId) => {
-    const platformAccounts = await PlatformAccount.find({
-        userId,
-        isActive: true
+const compareGrowth = asyncHandler(async (req, res) => {
+    const { platform = 'overall', period, from, to, compare } = req.query;
+
+    const growth = await getGrowthComparison(req.user.id, platform, {
+        period,
+        from: from && new Date(from),
+        to: to && new Date(to),
+        compare,
+        timeZone: userTimeZone(req.user)
     });
 
-    const totalCScore = platformAccounts.reduce((total, account) => {
-        return total + account.platformCScore;
-    }, 0);
+    res.status(200).json({
+        status: 'success',
+        data: {
+            platform,
+            ...growth
+        }
+    });
+});
 
-    await User.findByIdAndUpdate(userId, { totalCScore });
-};
+/**
+ * @desc    Get the unified daily streak across platforms, with past runs and the rules used
+ * @route   GET /api/stats/streak
+ * @access  Private
+ */
+const getStreak = asyncHandler(async (req, res) => {
+    const { platform = 'all' } = req.query;
+
+    if (platform !== 'all' && !isPlatform(platform)) {
+        throw new AppError('Invalid platform', 400);
+    }
+
+    const streak = await getUserStreak(req.user, { platform });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            platform,
+            current: streak.current,
+            max: streak.max,
+            currentRun: streak.currentRun || null,
+            history: streak.history,
+            rules: streak.rules,
+            timeZone: streak.timeZone,
+            computedAt: streak.computedAt || new Date()
+        }
+    });
+});
+
+/**
+ * @desc    Explain the user's C-Score: each component's value, weight and points
+ * @route   GET /api/stats/cscore/explain
+ * @access  Private
+ */
+const explainCScore = asyncHandler(async (req, res) => {
+    const explanation = await explainUserCScore(req.user.id);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            ...explanation,
+            // What leaderboards use; it differs only until the user is rescored after a weights change
+            storedCScore: req.user.totalCScore,
+            storedVersion: req.user.cScoreVersion ?? null
+        }
+    });
+});
+
+/**
+ * Helper function to shape a sync job for API responses
+ */
+const formatSyncJob = (job) => ({
+    id: job._id,
+    platform: job.platformName,
+    status: job.status,
+    fullResync: job.fullResync,
+    attempts: job.attempts,
+    runAt: job.runAt,
+    completedAt: job.completedAt,
+    lastError: job.lastError
+});
 
 module.exports = {
     getStats,
     getPlatformStats,
     updateStats,
+    previewSubmissionImport,
+    importSubmissionHistory,
     syncAllPlatforms,
     syncPlatform,
+    getSyncStatus,
+    streamSyncEvents,
     getStatsHistory,
-    getGrowthMetrics
+    getGrowthMetrics,
+    compareGrowth,
+    getStreak,
+    explainCScore
 };
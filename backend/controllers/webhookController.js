@@ -0,0 +1,240 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { sendTestDelivery, attemptDelivery } = require('../services/webhooks');
+const logger = require('../utils/logger');
+
+/**
+ * Shape a webhook for API responses (the secret is only shown on create or rotate)
+ */
+const formatWebhook = (webhook, secret) => ({
+    id: webhook._id,
+    url: webhook.url,
+    scope: webhook.scope,
+    events: webhook.events,
+    description: webhook.description,
+    isActive: webhook.isActive,
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastDeliveryStatus: webhook.lastDeliveryStatus,
+    createdAt: webhook.createdAt,
+    ...(secret ? { secret } : {})
+});
+
+/**
+ * Find a webhook the current user may manage: their own, or any global one for admins
+ */
+const findManagedWebhook = async (req) => {
+    const webhook = await Webhook.findById(req.params.id);
+
+    const isOwner = webhook && String(webhook.userId) === String(req.user.id);
+    const isGlobalAdmin = webhook && webhook.scope === 'global' && req.user.role === 'admin';
+
+    if (!isOwner && !isGlobalAdmin) {
+        throw new AppError('Webhook not found', 404);
+    }
+
+    return webhook;
+};
+
+/**
+ * @desc    Get the user's webhooks (admins can pass scope=global for global webhooks)
+ * @route   GET /api/webhooks
+ * @access  Private
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+    const query = req.query.scope === 'global' && req.user.role === 'admin'
+        ? { scope: 'global' }
+        : { userId: req.user.id };
+
+    const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            webhooks: webhooks.map(webhook => formatWebhook(webhook)),
+            availableEvents: Webhook.EVENTS
+        }
+    });
+});
+
+/**
+ * @desc    Register a webhook
+ * @route   POST /api/webhooks
+ * @access  Private (global scope: Admin)
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+    const { url, events, description, scope = 'user' } = req.body;
+
+    if (scope === 'global' && req.user.role !== 'admin') {
+        throw new AppError('Only admins can register global webhooks', 403);
+    }
+
+    const secret = req.body.secret || Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+        userId: req.user.id,
+        scope,
+        url,
+        events: [...new Set(events)],
+        description,
+        secret
+    });
+
+    logger.info(`Webhook ${webhook._id} registered by user ${req.user.username} for ${webhook.events.join(', ')}`);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Webhook registered. Store the secret now; it will not be shown again.',
+        data: {
+            webhook: formatWebhook(webhook, secret)
+        }
+    });
+});
+
+/**
+ * @desc    Update a webhook (pass rotateSecret=true for a new signing secret)
+ * @route   PUT /api/webhooks/:id
+ * @access  Private
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+    const { url, events, description, isActive, rotateSecret } = req.body;
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive;
+
+    let secret;
+    if (rotateSecret === true || rotateSecret === 'true') {
+        secret = Webhook.generateSecret();
+        webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Webhook updated successfully',
+        data: {
+            webhook: formatWebhook(webhook, secret)
+        }
+    });
+});
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Webhook deleted successfully'
+    });
+});
+
+/**
+ * @desc    Get a webhook's delivery log
+ * @route   GET /api/webhooks/:id/deliveries
+ * @access  Private
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { webhookId: webhook._id };
+    if (status) {
+        query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+        WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            deliveries: deliveries.map(delivery => ({
+                id: delivery._id,
+                event: delivery.event,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                responseStatus: delivery.responseStatus,
+                nextAttemptAt: delivery.status === 'pending' ? delivery.runAt : null,
+                deliveredAt: delivery.deliveredAt,
+                lastError: delivery.lastError,
+                payload: delivery.payload,
+                createdAt: delivery.createdAt
+            })),
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                total
+            }
+        }
+    });
+});
+
+/**
+ * @desc    Send a signed ping to a webhook and report whether it was delivered
+ * @route   POST /api/webhooks/:id/test
+ * @access  Private
+ */
+const testWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    const delivery = await sendTestDelivery(webhook);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            delivered: delivery.status === 'delivered'
+        }
+    });
+});
+
+/**
+ * @desc    Send a failed or delivered event again
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access  Private
+ */
+const redeliverWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findManagedWebhook(req);
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: req.params.deliveryId, webhookId: webhook._id, status: { $in: ['delivered', 'failed'] } },
+        { $set: { status: 'pending', runAt: new Date() }, $inc: { maxAttempts: 1 } },
+        { new: true }
+    );
+
+    if (!delivery) {
+        throw new AppError('Delivery not found or still in progress', 404);
+    }
+
+    const result = await attemptDelivery(delivery._id);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            delivered: result.status === 'delivered'
+        }
+    });
+});
+
+module.exports = {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    testWebhook,
+    redeliverWebhook
+};
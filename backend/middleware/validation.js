@@ -1,4 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { getPlatformIds } = require('../services/platforms');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const { assertDeliverableUrl } = require('../services/webhooks');
+const { PERIODS, COMPARISONS } = require('../services/growth');
+const { isValidTimeZone } = require('../utils/timezone');
 
 /**
  * Middleware to check validation results
@@ -110,8 +116,9 @@ const validateProfileUpdate = [
         .isLength({ max: 100 })
         .withMessage('Location cannot exceed 100 characters'),
     
+    // An empty value removes the GitHub username
     body('github')
-        .optional()
+        .optional({ checkFalsy: true })
         .trim()
         .matches(/^[a-zA-Z0-9_-]+$/)
         .withMessage('Invalid GitHub username format'),
@@ -126,6 +133,60 @@ const validateProfileUpdate = [
         .optional()
         .isURL()
         .withMessage('Please provide a valid URL'),
+
+    body('settings')
+        .optional()
+        .isObject()
+        .withMessage('Settings must be an object')
+        .bail()
+        .custom(settings => {
+            const unknown = Object.keys(User.flattenSettings(settings))
+                .filter(path => !User.SETTINGS_PATHS.includes(path));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown settings: ${unknown.join(', ')}`);
+            }
+            return true;
+        }),
+
+    body('settings.theme')
+        .optional()
+        .isIn(['light', 'dark'])
+        .withMessage('Theme must be light or dark'),
+
+    body('settings.emailNotifications')
+        .optional()
+        .isBoolean()
+        .withMessage('emailNotifications must be a boolean'),
+
+    body('settings.publicProfile')
+        .optional()
+        .isBoolean()
+        .withMessage('publicProfile must be a boolean'),
+
+    body('settings.includeGithubInCScore')
+        .optional()
+        .isBoolean()
+        .withMessage('includeGithubInCScore must be a boolean'),
+
+    body('settings.timezone')
+        .optional()
+        .custom(isValidTimeZone)
+        .withMessage('Time zone must be an IANA name such as Europe/Berlin'),
+
+    body('settings.streakRules.acceptedOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('acceptedOnly must be a boolean'),
+
+    body('settings.streakRules.minProblemsPerDay')
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('minProblemsPerDay must be between 1 and 20'),
+
+    body('settings.streakRules.freezeDaysPerMonth')
+        .optional()
+        .isInt({ min: 0, max: 10 })
+        .withMessage('freezeDaysPerMonth must be between 0 and 10'),
     
     checkValidationResult
 ];
@@ -135,7 +196,7 @@ const validateProfileUpdate = [
  */
 const validatePlatformAccount = [
     body('platformName')
-        .isIn(['leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth'])
+        .isIn(getPlatformIds())
         .withMessage('Invalid platform name'),
     
     body('platformUsername')
@@ -183,7 +244,7 @@ const validateEvent = [
         .withMessage('Event name cannot exceed 200 characters'),
     
     body('platformName')
-        .isIn(['leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth', 'general'])
+        .isIn([...getPlatformIds(), 'general'])
         .withMessage('Invalid platform name'),
     
     body('eventDate')
@@ -221,7 +282,7 @@ const validateEvent = [
 const validatePlatformQuery = [
     query('platform')
         .optional()
-        .isIn(['all', 'leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth'])
+        .isIn(['all', ...getPlatformIds()])
         .withMessage('Invalid platform name'),
     
     checkValidationResult
@@ -230,7 +291,7 @@ const validatePlatformQuery = [
 const validateChartQuery = [
     query('platform')
         .optional()
-        .isIn(['all', 'leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth'])
+        .isIn(['all', ...getPlatformIds()])
         .withMessage('Invalid platform name'),
     
     query('days')
@@ -241,6 +302,40 @@ const validateChartQuery = [
     checkValidationResult
 ];
 
+const validateGrowthQuery = [
+    query('platform')
+        .optional()
+        .isIn(['overall', ...getPlatformIds()])
+        .withMessage('Invalid platform name'),
+
+    query('period')
+        .optional()
+        .isIn(PERIODS)
+        .withMessage(`Period must be one of: ${PERIODS.join(', ')}`),
+
+    query('from')
+        .if(query('period').not().exists())
+        .exists()
+        .withMessage('Pass a period or a from date')
+        .bail()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date')
+        .custom((to, { req }) => !req.query.from || new Date(to) > new Date(req.query.from))
+        .withMessage('to must be after from'),
+
+    query('compare')
+        .optional()
+        .isIn(COMPARISONS)
+        .withMessage(`Compare must be one of: ${COMPARISONS.join(', ')}`),
+
+    checkValidationResult
+];
+
 const validatePaginationQuery = [
     query('page')
         .optional()
@@ -303,6 +398,58 @@ const validateEmail = [
     checkValidationResult
 ];
 
+/**
+ * Webhook URLs must be HTTPS (plain HTTP is accepted outside production) on a public host
+ */
+const checkWebhookUrl = async (value) => {
+    await assertDeliverableUrl(value);
+    return true;
+};
+
+/**
+ * Webhook validation rules (fields are optional when updating)
+ */
+const validateWebhook = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+        field('url')
+            .trim()
+            .custom(checkWebhookUrl),
+
+        field('events')
+            .isArray({ min: 1 })
+            .withMessage('Subscribe to at least one event'),
+
+        body('events.*')
+            .isIn(Webhook.EVENTS)
+            .withMessage(`Events must be one of: ${Webhook.EVENTS.join(', ')}`),
+
+        body('scope')
+            .optional()
+            .isIn(['user', 'global'])
+            .withMessage('Scope must be user or global'),
+
+        body('secret')
+            .optional()
+            .isLength({ min: 16, max: 128 })
+            .withMessage('Secret must be between 16 and 128 characters'),
+
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description cannot exceed 200 characters'),
+
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be true or false'),
+
+        checkValidationResult
+    ];
+};
+
 module.exports = {
     validateRegister,
     validateLogin,
@@ -312,9 +459,11 @@ module.exports = {
     validateEvent,
     validatePlatformQuery,
     validateChartQuery,
+    validateGrowthQuery,
     validatePaginationQuery,
     validateObjectId,
     validatePasswordChange,
     validateEmail,
+    validateWebhook,
     checkValidationResult
 };
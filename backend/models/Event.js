@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
+const { getPlatformIds } = require('../services/platforms');
 
 const eventSchema = new mongoose.Schema({
     platformName: {
         type: String,
         required: true,
-        enum: ['leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth', 'general'],
+        enum: [...getPlatformIds(), 'general'],
         lowercase: true
     },
     eventName: {
@@ -123,6 +124,8 @@ const eventSchema = new mongoose.Schema({
         type: String, // External platform's event ID
         sparse: true
     },
+    // Set once event.starting webhooks have been raised
+    startingNotifiedAt: Date,
     metadata: {
         // Additional platform-specific data
         contestType: String,
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, startOfLocalDay } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const githubHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    totalContributions: {
+        type: Number,
+        default: 0
+    },
+    currentStreak: {
+        type: Number,
+        default: 0
+    },
+    publicRepos: {
+        type: Number,
+        default: 0
+    },
+    followers: {
+        type: Number,
+        default: 0
+    },
+    totalStars: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+githubHistorySchema.index({ userId: 1, date: -1 });
+
+// Static method to record one snapshot per user and local day (later syncs that day replace it)
+githubHistorySchema.statics.recordSnapshot = function(profile, timeZone = DEFAULT_TIME_ZONE) {
+    const today = startOfLocalDay(new Date(), timeZone);
+    const tomorrow = startOfLocalDay(new Date(today.getTime() + 1.5 * DAY_MS), timeZone);
+
+    return this.findOneAndUpdate(
+        {
+            userId: profile.userId,
+            date: { $gte: today, $lt: tomorrow }
+        },
+        {
+            $set: {
+                date: new Date(),
+                totalContributions: profile.totalContributions,
+                currentStreak: profile.streak.current,
+                publicRepos: profile.publicRepos,
+                followers: profile.followers,
+                totalStars: profile.totalStars
+            }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Static method to get a user's snapshots for the last few days, oldest first
+githubHistorySchema.statics.getHistory = function(userId, days = 90) {
+    return this.find({
+        userId,
+        date: { $gte: new Date(Date.now() - days * DAY_MS) }
+    })
+        .sort({ date: 1 })
+        .select('date totalContributions currentStreak publicRepos followers totalStars -_id');
+};
+
+module.exports = mongoose.model('GithubHistory', githubHistorySchema);
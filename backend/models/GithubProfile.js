@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const githubProfileSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    username: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Contributions per day over the last year, oldest first
+    contributionCalendar: [{
+        _id: false,
+        date: String, // YYYY-MM-DD
+        count: Number
+    }],
+    totalContributions: {
+        type: Number,
+        default: 0
+    },
+    streak: {
+        current: { type: Number, default: 0 },
+        max: { type: Number, default: 0 }
+    },
+    // Public, non-fork repositories per primary language
+    languages: [{
+        _id: false,
+        name: String,
+        repositories: Number
+    }],
+    publicRepos: {
+        type: Number,
+        default: 0
+    },
+    followers: {
+        type: Number,
+        default: 0
+    },
+    totalStars: {
+        type: Number,
+        default: 0
+    },
+    totalForks: {
+        type: Number,
+        default: 0
+    },
+    topRepositories: [{
+        _id: false,
+        name: String,
+        url: String,
+        description: String,
+        language: String,
+        stars: Number
+    }],
+    syncStatus: {
+        type: String,
+        enum: ['pending', 'success', 'error'],
+        default: 'pending'
+    },
+    lastSyncedAt: Date,
+    lastSyncError: {
+        message: String,
+        timestamp: Date
+    }
+}, {
+    timestamps: true
+});
+
+githubProfileSchema.index({ lastSyncedAt: 1 });
+
+// Method to shape the public part of the profile
+githubProfileSchema.methods.toSummary = function() {
+    return {
+        username: this.username,
+        totalContributions: this.totalContributions,
+        streak: this.streak,
+        contributionCalendar: this.contributionCalendar,
+        languages: this.languages,
+        publicRepos: this.publicRepos,
+        followers: this.followers,
+        totalStars: this.totalStars,
+        totalForks: this.totalForks,
+        topRepositories: this.topRepositories,
+        lastSyncedAt: this.lastSyncedAt
+    };
+};
+
+module.exports = mongoose.model('GithubProfile', githubProfileSchema);
@@ -1,4 +1,10 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { getPlatformIds } = require('../services/platforms');
+const { platformCScore } = require('../services/scoring');
+
+// Only the latest submissions are embedded; the full history lives in the Submission collection
+const RECENT_ACTIVITY_LIMIT = 20;
 
 const platformAccountSchema = new mongoose.Schema({
     userId: {
@@ -9,7 +15,7 @@ const platformAccountSchema = new mongoose.Schema({
     platformName: {
         type: String,
         required: true,
-        enum: ['leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth'],
+        enum: getPlatformIds(),
         lowercase: true
     },
     platformUsername: {
@@ -25,6 +31,16 @@ const platformAccountSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Ownership is proven by putting a server-issued code on the platform profile
+    isVerified: {
+        type: Boolean,
+        default: false
+    },
+    verifiedAt: Date,
+    verification: {
+        token: String,
+        expiresAt: Date
+    },
     stats: {
         totalProblemsSolved: {
             type: Number,
@@ -66,6 +82,11 @@ const platformAccountSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        // Platform points for archives ranked by score instead of rating (SPOJ points, Kattis score)
+        score: {
+            type: Number,
+            default: 0
+        },
         streak: {
             current: {
                 type: Number,
@@ -98,6 +119,7 @@ const platformAccountSchema = new mongoose.Schema({
             },
             default: new Map()
         },
+        // Newest first, capped at RECENT_ACTIVITY_LIMIT
         recentActivity: [{
             date: {
                 type: Date,
@@ -110,7 +132,7 @@ const platformAccountSchema = new mongoose.Schema({
             },
             status: {
                 type: String,
-                enum: ['accepted', 'wrong-answer', 'time-limit-exceeded', 'runtime-error', 'compilation-error']
+                enum: ['accepted', 'wrong-answer', 'time-limit-exceeded', 'memory-limit-exceeded', 'runtime-error', 'compilation-error']
             },
             language: String,
             contestName: String
@@ -122,13 +144,33 @@ const platformAccountSchema = new mongoose.Schema({
     },
     lastSyncError: {
         message: String,
+        code: String, // e.g. PROFILE_NOT_FOUND, PRIVATE_PROFILE, LAYOUT_CHANGED
         timestamp: Date
     },
     syncStatus: {
         type: String,
         enum: ['success', 'error', 'pending', 'never'],
         default: 'never'
-    }
+    },
+    // Where the last incremental sync stopped: { version, lastSubmissionId, lastSubmissionTime }
+    syncCursor: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+    },
+    lastFullSyncAt: Date,
+    // Submissions per calendar day as published by platforms with an activity calendar
+    // (the platform's own days), for streaks on platforms without a submission history
+    activityCalendar: {
+        type: [{
+            _id: false,
+            date: String, // YYYY-MM-DD
+            count: Number
+        }],
+        default: undefined,
+        select: false
+    },
+    // When the contest rating history was last fetched into RatingHistory
+    ratingHistoryBackfilledAt: Date
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -140,15 +182,11 @@ platformAccountSchema.index({ userId: 1, platformName: 1 }, { unique: true });
 platformAccountSchema.index({ platformName: 1, platformUsername: 1 });
 platformAccountSchema.index({ userId: 1 });
 platformAccountSchema.index({ lastUpdated: 1 });
+platformAccountSchema.index({ platformName: 1, isVerified: 1 });
 
-// Virtual for calculating platform-specific C-Score
+// Virtual for the platform-specific C-Score under the current weights (see config/cScore.js)
 platformAccountSchema.virtual('platformCScore').get(function() {
-    const stats = this.stats;
-    return Math.round(
-        (stats.totalProblemsSolved * 0.7) + 
-        (stats.contestRating * 0.3) + 
-        (stats.badges * 10)
-    );
+    return platformCScore(this.platformName, this.stats);
 });
 
 // Virtual for acceptance rate calculation
@@ -173,6 +211,7 @@ platformAccountSchema.methods.updateStats = function(newStats) {
         }
     };
     
+    this.stats.recentActivity = this.stats.recentActivity.slice(0, RECENT_ACTIVITY_LIMIT);
     this.lastUpdated = new Date();
     this.syncStatus = 'success';
     this.lastSyncError = undefined;
@@ -180,11 +219,31 @@ platformAccountSchema.methods.updateStats = function(newStats) {
     return this.save();
 };
 
+// Method to issue a fresh ownership verification code
+platformAccountSchema.methods.createVerificationToken = function() {
+    this.verification = {
+        token: `ctp-${crypto.randomBytes(4).toString('hex')}`,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+    };
+
+    return this.verification.token;
+};
+
+// Method to mark the account as owned by the user
+platformAccountSchema.methods.markVerified = function() {
+    this.isVerified = true;
+    this.verifiedAt = new Date();
+    this.verification = undefined;
+
+    return this.save();
+};
+
 // Method to record sync error
 platformAccountSchema.methods.recordSyncError = function(error) {
     this.syncStatus = 'error';
     this.lastSyncError = {
         message: error.message || 'Unknown error',
+        code: error.code || 'SYNC_FAILED',
         timestamp: new Date()
     };
     
@@ -210,6 +269,16 @@ platformAccountSchema.statics.findStaleAccounts = function(hoursOld = 24) {
 
 // Pre-save middleware to calculate acceptance rate
 platformAccountSchema.pre('save', function(next) {
+    // A cursor and ownership proof belong to one platform profile; start over when the username changes
+    if (!this.isNew && this.isModified('platformUsername')) {
+        this.syncCursor = undefined;
+        this.activityCalendar = undefined;
+        this.ratingHistoryBackfilledAt = undefined;
+        this.isVerified = false;
+        this.verifiedAt = undefined;
+        this.verification = undefined;
+    }
+
     const { totalSubmissions, acceptedSubmissions } = this.stats.submissionStats;
     if (totalSubmissions > 0) {
         this.stats.submissionStats.acceptanceRate = Math.round((acceptedSubmissions / totalSubmissions) * 100);
@@ -217,4 +286,6 @@ platformAccountSchema.pre('save', function(next) {
     next();
 });
 
+platformAccountSchema.statics.RECENT_ACTIVITY_LIMIT = RECENT_ACTIVITY_LIMIT;
+
 module.exports = mongoose.model('PlatformAccount', platformAccountSchema);
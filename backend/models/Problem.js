@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { getPlatformIds } = require('../services/platforms');
+
+const problemSchema = new mongoose.Schema({
+    platformName: {
+        type: String,
+        required: true,
+        enum: getPlatformIds(),
+        lowercase: true
+    },
+    // Platform's own problem key, e.g. "1520-D" on Codeforces or "two-sum" on LeetCode
+    externalId: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    url: String,
+    tags: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+    // Difficulty as the platform reports it (problem rating, "Medium", ...)
+    nativeDifficulty: mongoose.Schema.Types.Mixed,
+    // Difficulty on the common cross-platform scale (see config/difficulty.js)
+    normalizedDifficulty: Number,
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard']
+    },
+    // Shared by problems that are the same task on different judges (see services/problemEquivalence.js)
+    equivalenceGroup: String,
+    source: {
+        type: String,
+        enum: ['sync', 'import'],
+        default: 'sync'
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for lookups, tag analytics and title matching
+problemSchema.index({ platformName: 1, externalId: 1 }, { unique: true });
+problemSchema.index({ tags: 1 });
+problemSchema.index({ platformName: 1, normalizedDifficulty: 1 });
+problemSchema.index({ title: 'text' });
+problemSchema.index({ equivalenceGroup: 1 }, { sparse: true });
+
+// Fields a sync or import may fill in; missing values never overwrite known ones
+const METADATA_FIELDS = ['title', 'url', 'nativeDifficulty', 'normalizedDifficulty', 'difficulty'];
+
+// Static method to insert or update problems seen on a platform
+problemSchema.statics.upsertMany = async function(platformName, problems, { source = 'sync' } = {}) {
+    if (problems.length === 0) {
+        return { inserted: 0, updated: 0 };
+    }
+
+    const operations = problems.map(problem => {
+        const $set = { lastSeenAt: new Date() };
+
+        METADATA_FIELDS.forEach(field => {
+            if (problem[field] !== undefined && problem[field] !== null && problem[field] !== '') {
+                $set[field] = problem[field];
+            }
+        });
+        if (problem.tags && problem.tags.length > 0) {
+            $set.tags = problem.tags;
+        }
+        if (source === 'import') {
+            $set.source = 'import';
+        }
+
+        return {
+            updateOne: {
+                filter: { platformName, externalId: String(problem.externalId) },
+                update: {
+                    $set,
+                    $setOnInsert: { platformName, externalId: String(problem.externalId) }
+                },
+                upsert: true
+            }
+        };
+    });
+
+    const result = await this.bulkWrite(operations, { ordered: false });
+
+    return {
+        inserted: result.upsertedCount,
+        updated: result.modifiedCount
+    };
+};
+
+module.exports = mongoose.model('Problem', problemSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { getPlatformIds } = require('../services/platforms');
+const { DEFAULT_TIME_ZONE, localDateString } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One rated contest result per document, backfilled from the platform's contest history
+const ratingHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    platformName: {
+        type: String,
+        required: true,
+        enum: getPlatformIds(),
+        lowercase: true
+    },
+    contestId: {
+        type: String,
+        required: true
+    },
+    contestName: String,
+    date: {
+        type: Date,
+        required: true
+    },
+    // Rating after the contest
+    rating: {
+        type: Number,
+        required: true
+    },
+    rank: Number
+}, {
+    timestamps: true
+});
+
+ratingHistorySchema.index({ userId: 1, platformName: 1, contestId: 1 }, { unique: true });
+ratingHistorySchema.index({ userId: 1, date: 1 });
+
+// Static method to replace an account's contest history with freshly fetched points.
+// Contests missing from the platform's history (e.g. after a username change) are dropped.
+ratingHistorySchema.statics.replaceForAccount = async function(account, points) {
+    const { userId, platformName } = account;
+
+    if (points.length > 0) {
+        await this.bulkWrite(points.map(point => ({
+            updateOne: {
+                filter: { userId, platformName, contestId: String(point.contestId) },
+                update: {
+                    $set: {
+                        contestName: point.contestName,
+                        date: point.date,
+                        rating: point.rating,
+                        rank: point.rank
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    await this.deleteMany({
+        userId,
+        platformName,
+        contestId: { $nin: points.map(point => String(point.contestId)) }
+    });
+
+    return points.length;
+};
+
+// Static method to get one platform's contest ratings for the last few days, oldest first,
+// dated in the user's time zone
+ratingHistorySchema.statics.getPlatformSeries = async function(userId, platformName, days = 90, timeZone = DEFAULT_TIME_ZONE) {
+    const points = await this.find({
+        userId,
+        platformName,
+        date: { $gte: new Date(Date.now() - days * DAY_MS) }
+    }).sort({ date: 1 });
+
+    return points.map(point => ({
+        date: localDateString(point.date, timeZone),
+        rating: point.rating,
+        contestName: point.contestName,
+        rank: point.rank
+    }));
+};
+
+// Static method to get the overall rating for the last few days, oldest first.
+// After each contest day the overall rating is the average of the latest rating on every
+// listed platform with a contest so far, matching the 'overall' StatsHistory rollup.
+ratingHistorySchema.statics.getOverallSeries = async function(userId, platformNames, days = 90, timeZone = DEFAULT_TIME_ZONE) {
+    const startDate = new Date(Date.now() - days * DAY_MS);
+    const points = await this.find({ userId, platformName: { $in: platformNames } })
+        .sort({ date: 1 })
+        .select('platformName date rating');
+
+    const latest = new Map();
+    const byDay = new Map();
+
+    points.forEach(point => {
+        latest.set(point.platformName, point.rating);
+        if (point.date >= startDate) {
+            const ratings = Array.from(latest.values());
+            byDay.set(localDateString(point.date, timeZone), Math.round(ratings.reduce((total, rating) => total + rating, 0) / ratings.length));
+        }
+    });
+
+    return Array.from(byDay, ([date, rating]) => ({ date, rating }));
+};
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
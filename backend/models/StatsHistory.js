@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { getPlatformIds, hasCapability } = require('../services/platforms');
+const PlatformAccount = require('./PlatformAccount');
+const User = require('./User');
+const { DEFAULT_TIME_ZONE, userTimeZone, startOfLocalDay, localDateString } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily snapshots are rolled into weekly ones after this many days, weekly into monthly after a year
+const DAILY_RETENTION_DAYS = 90;
+const WEEKLY_RETENTION_DAYS = 365;
+
+// Period each snapshot type covers, as a $dateToString format (ISO weeks for weekly)
+const PERIOD_FORMATS = {
+    daily: '%Y-%m-%d',
+    weekly: '%G-W%V',
+    monthly: '%Y-%m'
+};
 
 const statsHistorySchema = new mongoose.Schema({
     userId: {
@@ -9,7 +26,7 @@ const statsHistorySchema = new mongoose.Schema({
     platformName: {
         type: String,
         required: true,
-        enum: ['leetcode', 'codeforces', 'hackerrank', 'codechef', 'atcoder', 'hackerearth', 'overall'],
+        enum: [...getPlatformIds(), 'overall'],
         lowercase: true
     },
     date: {
@@ -45,6 +62,10 @@ const statsHistorySchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        countryRank: {
+            type: Number,
+            default: 0
+        },
         cScore: {
             type: Number,
             default: 0
@@ -59,8 +80,9 @@ const statsHistorySchema = new mongoose.Schema({
             maxStreak: { type: Number, default: 0 }
         }
     },
+    // Changes since the previous day's snapshot
     metadata: {
-        // Additional platform-specific data
+        // Positive when the user moved up (a smaller rank number)
         rankChange: {
             type: Number,
             default: 0
@@ -92,26 +114,57 @@ statsHistorySchema.virtual('formattedDate').get(function() {
     return this.date.toISOString().split('T')[0];
 });
 
-// Static method to create snapshot
-statsHistorySchema.statics.createSnapshot = async function(userId, platformName, stats, snapshotType = 'daily') {
+/**
+ * Rating, problem and rank changes between a previous snapshot and new stats.
+ * Ranks of 0 are unknown, so no rank change is recorded against them.
+ */
+const snapshotChanges = (previous, stats) => {
+    if (!previous) {
+        return { rankChange: 0, ratingChange: 0, problemsChange: 0 };
+    }
+
+    const previousRank = previous.stats.globalRank;
+    const rank = stats.globalRank || 0;
+
+    return {
+        rankChange: previousRank > 0 && rank > 0 ? previousRank - rank : 0,
+        ratingChange: (stats.contestRating || 0) - previous.stats.contestRating,
+        problemsChange: (stats.problemsSolved?.total || 0) - previous.stats.problemsSolved.total
+    };
+};
+
+// Static method to create snapshot (one per day, where the day is the user's local day)
+statsHistorySchema.statics.createSnapshot = async function(userId, platformName, stats, snapshotType = 'daily', timeZone = DEFAULT_TIME_ZONE) {
     try {
         // Check if snapshot already exists for today
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const existing = await this.findOne({
-            userId,
-            platformName,
-            snapshotType,
-            date: {
-                $gte: today,
-                $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-            }
-        });
+        const today = startOfLocalDay(new Date(), timeZone);
+        // Local days run 23 to 25 hours around DST changes, so step past the middle of tomorrow
+        const tomorrow = startOfLocalDay(new Date(today.getTime() + 1.5 * DAY_MS), timeZone);
+
+        const [existing, previous] = await Promise.all([
+            this.findOne({
+                userId,
+                platformName,
+                snapshotType,
+                date: {
+                    $gte: today,
+                    $lt: tomorrow
+                }
+            }),
+            // Older history may already be compacted, so the previous snapshot can be of any type
+            this.findOne({
+                userId,
+                platformName,
+                date: { $lt: today }
+            }).sort({ date: -1 })
+        ]);
+
+        const metadata = snapshotChanges(previous, stats);
 
         if (existing) {
             // Update existing snapshot
             existing.stats = stats;
+            existing.metadata = metadata;
             existing.date = new Date(); // Update timestamp
             return await existing.save();
         } else {
@@ -120,6 +173,7 @@ statsHistorySchema.statics.createSnapshot = async function(userId, platformName,
                 userId,
                 platformName,
                 stats,
+                metadata,
                 snapshotType,
                 date: new Date()
             });
@@ -129,23 +183,127 @@ statsHistorySchema.statics.createSnapshot = async function(userId, platformName,
     }
 };
 
-// Static method to get progress data for charts
-statsHistorySchema.statics.getProgressData = async function(userId, platformName = 'overall', days = 30) {
-    const startDate = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-    
-    const data = await this.find({
-        userId,
-        platformName,
-        date: { $gte: startDate }
-    }).sort({ date: 1 }).select('date stats.problemsSolved stats.contestRating');
+// Static method to snapshot a platform account's current stats
+statsHistorySchema.statics.snapshotAccount = function(account, snapshotType = 'daily', timeZone = DEFAULT_TIME_ZONE) {
+    const stats = account.stats;
+
+    return this.createSnapshot(account.userId, account.platformName, {
+        problemsSolved: {
+            total: stats.totalProblemsSolved,
+            easy: stats.easyProblemsSolved,
+            medium: stats.mediumProblemsSolved,
+            hard: stats.hardProblemsSolved
+        },
+        contestRating: stats.contestRating,
+        maxRating: stats.maxContestRating,
+        contestsParticipated: stats.contestsParticipated,
+        globalRank: stats.globalRank,
+        countryRank: stats.countryRank,
+        cScore: account.platformCScore,
+        submissionStats: {
+            totalSubmissions: stats.submissionStats.totalSubmissions,
+            acceptedSubmissions: stats.submissionStats.acceptedSubmissions,
+            acceptanceRate: account.acceptanceRate
+        },
+        streakData: {
+            currentStreak: stats.streak.current,
+            maxStreak: stats.streak.max
+        }
+    }, snapshotType, timeZone);
+};
+
+// Static method to snapshot a user's 'overall' rollup across their active platform accounts.
+// Solves, contests and submissions are summed; the rating is the average over rated platforms,
+// the rank is the user's overall leaderboard rank, the C-Score their total and the streak
+// their unified cross-platform streak.
+statsHistorySchema.statics.snapshotOverall = async function(userId, snapshotType = 'daily') {
+    const [accounts, user] = await Promise.all([
+        PlatformAccount.find({ userId, isActive: true }),
+        User.findById(userId).select('totalCScore rank streak settings.timezone')
+    ]);
+
+    const sum = (read) => accounts.reduce((total, account) => total + (read(account.stats) || 0), 0);
+    const rated = accounts.filter(account => hasCapability(account.platformName, 'rating') && account.stats.contestRating > 0);
+
+    const totalSubmissions = sum(stats => stats.submissionStats.totalSubmissions);
+    const acceptedSubmissions = sum(stats => stats.submissionStats.acceptedSubmissions);
+
+    return this.createSnapshot(userId, 'overall', {
+        problemsSolved: {
+            total: sum(stats => stats.totalProblemsSolved),
+            easy: sum(stats => stats.easyProblemsSolved),
+            medium: sum(stats => stats.mediumProblemsSolved),
+            hard: sum(stats => stats.hardProblemsSolved)
+        },
+        contestRating: rated.length > 0
+            ? Math.round(rated.reduce((total, account) => total + account.stats.contestRating, 0) / rated.length)
+            : 0,
+        maxRating: Math.max(0, ...rated.map(account => account.stats.maxContestRating)),
+        contestsParticipated: sum(stats => stats.contestsParticipated),
+        globalRank: user?.rank || 0,
+        cScore: user?.totalCScore || 0,
+        submissionStats: {
+            totalSubmissions,
+            acceptedSubmissions,
+            acceptanceRate: totalSubmissions > 0 ? Math.round((acceptedSubmissions / totalSubmissions) * 100) : 0
+        },
+        streakData: {
+            currentStreak: user?.streak?.current || 0,
+            maxStreak: user?.streak?.max || 0
+        }
+    }, snapshotType, userTimeZone(user));
+};
+
+// Static method to snapshot an account after its stats changed, and the user's overall rollup
+statsHistorySchema.statics.recordAccountSnapshots = async function(account) {
+    const user = await User.findById(account.userId).select('settings.timezone');
+    await this.snapshotAccount(account, 'daily', userTimeZone(user));
+    return this.snapshotOverall(account.userId);
+};
+
+// Static method to pick the snapshot granularity for a chart covering the given number of days
+statsHistorySchema.statics.granularityFor = function(days) {
+    if (days <= DAILY_RETENTION_DAYS) {
+        return 'daily';
+    }
+    return days <= WEEKLY_RETENTION_DAYS ? 'weekly' : 'monthly';
+};
+
+// Static method to get progress data for charts.
+// Snapshots of every type in the range are bucketed by the granularity that suits the range,
+// keeping the latest snapshot per bucket, so long ranges mix compacted and recent history evenly.
+// Buckets and dates follow the user's time zone.
+statsHistorySchema.statics.getProgressData = async function(userId, platformName = 'overall', days = 30, timeZone = DEFAULT_TIME_ZONE) {
+    const startDate = new Date(Date.now() - (days * DAY_MS));
+    const granularity = this.granularityFor(days);
+
+    const data = await this.aggregate([
+        {
+            $match: {
+                userId: new mongoose.Types.ObjectId(userId),
+                platformName,
+                date: { $gte: startDate }
+            }
+        },
+        { $sort: { date: 1 } },
+        {
+            $group: {
+                _id: { $dateToString: { format: PERIOD_FORMATS[granularity], date: '$date', timezone: timeZone } },
+                date: { $last: '$date' },
+                problemsSolved: { $last: '$stats.problemsSolved' },
+                contestRating: { $last: '$stats.contestRating' }
+            }
+        },
+        { $sort: { date: 1 } }
+    ]);
 
     return data.map(entry => ({
-        date: entry.formattedDate,
-        problems: entry.stats.problemsSolved.total,
-        rating: entry.stats.contestRating,
-        easy: entry.stats.problemsSolved.easy,
-        medium: entry.stats.problemsSolved.medium,
-        hard: entry.stats.problemsSolved.hard
+        date: localDateString(entry.date, timeZone),
+        problems: entry.problemsSolved.total,
+        rating: entry.contestRating,
+        easy: entry.problemsSolved.easy,
+        medium: entry.problemsSolved.medium,
+        hard: entry.problemsSolved.hard
     }));
 };
 
@@ -221,14 +379,114 @@ statsHistorySchema.statics.getGrowthMetrics = async function(userId, platformNam
     return growth;
 };
 
-// Method to cleanup old records (keep only recent snapshots)
-statsHistorySchema.statics.cleanupOldRecords = async function(daysToKeep = 365) {
-    const cutoffDate = new Date(Date.now() - (daysToKeep * 24 * 60 * 60 * 1000));
-    
-    return await this.deleteMany({
-        date: { $lt: cutoffDate },
-        snapshotType: 'daily'
-    });
+// Values compared by range growth, read from a snapshot's stats
+const GROWTH_METRICS = {
+    problems: stats => stats.problemsSolved.total,
+    easy: stats => stats.problemsSolved.easy,
+    medium: stats => stats.problemsSolved.medium,
+    hard: stats => stats.problemsSolved.hard,
+    rating: stats => stats.contestRating,
+    contests: stats => stats.contestsParticipated,
+    cScore: stats => stats.cScore
 };
 
+// Static method to calculate growth between two dates.
+// The start is the last snapshot on or before `from` (or the first one in the range, for
+// history that begins inside it) and the end the last snapshot on or before `to`.
+// Returns null when there is no history in the range.
+statsHistorySchema.statics.getRangeGrowth = async function(userId, platformName, from, to) {
+    const [before, end] = await Promise.all([
+        this.findOne({ userId, platformName, date: { $lte: from } }).sort({ date: -1 }),
+        this.findOne({ userId, platformName, date: { $lte: to } }).sort({ date: -1 })
+    ]);
+    const start = before || await this.findOne({ userId, platformName, date: { $gt: from, $lte: to } }).sort({ date: 1 });
+
+    if (!start || !end) {
+        return null;
+    }
+
+    const metrics = Object.entries(GROWTH_METRICS);
+    const read = (snapshot) => Object.fromEntries(metrics.map(([metric, value]) => [metric, value(snapshot.stats) || 0]));
+    const startValues = read(start);
+    const endValues = read(end);
+
+    return {
+        start: { date: start.date, ...startValues },
+        end: { date: end.date, ...endValues },
+        deltas: Object.fromEntries(metrics.map(([metric]) => [metric, endValues[metric] - startValues[metric]]))
+    };
+};
+
+// Static method to roll one snapshot type into a coarser one.
+// Only whole periods older than the cutoff are rolled up: each keeps its latest stats and the
+// summed changes of the snapshots it replaces. Rerunning after a partial run is safe.
+statsHistorySchema.statics.compactSnapshots = async function(fromType, toType, cutoff) {
+    const periods = await this.aggregate([
+        { $match: { snapshotType: fromType, date: { $lt: cutoff } } },
+        { $sort: { date: 1 } },
+        {
+            $group: {
+                _id: {
+                    userId: '$userId',
+                    platformName: '$platformName',
+                    period: { $dateToString: { format: PERIOD_FORMATS[toType], date: '$date' } }
+                },
+                date: { $last: '$date' },
+                stats: { $last: '$stats' },
+                rankChange: { $sum: '$metadata.rankChange' },
+                ratingChange: { $sum: '$metadata.ratingChange' },
+                problemsChange: { $sum: '$metadata.problemsChange' }
+            }
+        }
+    ]).allowDiskUse(true);
+
+    if (periods.length === 0) {
+        return { compacted: 0, removed: 0 };
+    }
+
+    await this.bulkWrite(periods.map(period => ({
+        updateOne: {
+            filter: {
+                userId: period._id.userId,
+                platformName: period._id.platformName,
+                snapshotType: toType,
+                date: period.date
+            },
+            update: {
+                $set: {
+                    stats: period.stats,
+                    metadata: {
+                        rankChange: period.rankChange,
+                        ratingChange: period.ratingChange,
+                        problemsChange: period.problemsChange
+                    }
+                }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+
+    const { deletedCount } = await this.deleteMany({ snapshotType: fromType, date: { $lt: cutoff } });
+
+    return { compacted: periods.length, removed: deletedCount };
+};
+
+// Static method to compact old history: dailies into weeklies, then weeklies into monthlies.
+// Cutoffs fall on the start of a UTC ISO week or month so no period is split.
+statsHistorySchema.statics.compactHistory = async function(now = new Date()) {
+    const weekCutoff = new Date(now.getTime() - DAILY_RETENTION_DAYS * DAY_MS);
+    weekCutoff.setUTCHours(0, 0, 0, 0);
+    weekCutoff.setUTCDate(weekCutoff.getUTCDate() - ((weekCutoff.getUTCDay() + 6) % 7));
+
+    const monthCutoff = new Date(now.getTime() - WEEKLY_RETENTION_DAYS * DAY_MS);
+    const monthStart = new Date(Date.UTC(monthCutoff.getUTCFullYear(), monthCutoff.getUTCMonth(), 1));
+
+    const weekly = await this.compactSnapshots('daily', 'weekly', weekCutoff);
+    const monthly = await this.compactSnapshots('weekly', 'monthly', monthStart);
+
+    return { weekly, monthly };
+};
+
+statsHistorySchema.statics.GROWTH_METRICS = Object.keys(GROWTH_METRICS);
+
 module.exports = mongoose.model('StatsHistory', statsHistorySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const runSchema = new mongoose.Schema({
+    start: String, // YYYY-MM-DD in the user's time zone
+    end: String,
+    length: Number, // Active days; frozen days keep a run alive without adding to it
+    frozenDays: { type: Number, default: 0 }
+}, { _id: false });
+
+// A user's unified daily streak across all linked platforms, with its past runs
+const streakSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    current: {
+        type: Number,
+        default: 0
+    },
+    max: {
+        type: Number,
+        default: 0
+    },
+    // The run the current streak belongs to (also the latest run when the streak is broken)
+    currentRun: runSchema,
+    // Past runs, oldest first; single-day runs are not kept
+    history: [runSchema],
+    // Rules and time zone the streak was computed with
+    rules: {
+        acceptedOnly: Boolean,
+        minProblemsPerDay: Number,
+        freezeDaysPerMonth: Number
+    },
+    timeZone: String,
+    computedAt: Date
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Streak', streakSchema);
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const { getPlatformIds } = require('../services/platforms');
+
+const VERDICTS = ['accepted', 'wrong-answer', 'time-limit-exceeded', 'memory-limit-exceeded', 'runtime-error', 'compilation-error', 'other'];
+
+const submissionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PlatformAccount',
+        required: true
+    },
+    platformName: {
+        type: String,
+        required: true,
+        enum: getPlatformIds(),
+        lowercase: true
+    },
+    // Platform submission id, or problem@timestamp when the platform doesn't expose one
+    externalId: {
+        type: String,
+        required: true
+    },
+    // Set while externalId is the problem@timestamp placeholder
+    syntheticId: {
+        type: Boolean,
+        default: false
+    },
+    problemId: String,
+    problemTitle: String,
+    problemDifficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard']
+    },
+    // Difficulty as the platform (or an imported file) gave it, before normalization
+    nativeDifficulty: mongoose.Schema.Types.Mixed,
+    verdict: {
+        type: String,
+        enum: VERDICTS,
+        default: 'other'
+    },
+    language: String,
+    contestName: String,
+    submittedAt: {
+        type: Date,
+        required: true
+    },
+    // Whether the platform reported the submission or a user uploaded it; uploads are
+    // self-reported and never count towards a synced account's stats or the streak
+    source: {
+        type: String,
+        enum: ['sync', 'import'],
+        default: 'sync'
+    }
+}, {
+    timestamps: true
+});
+
+// A submission is stored once per account however often it is synced
+submissionSchema.index({ accountId: 1, externalId: 1 }, { unique: true });
+// Submissions without a platform id are recognized by their time and problem
+submissionSchema.index({ accountId: 1, submittedAt: 1 });
+// Indexes for calendar, verdict and language analytics
+submissionSchema.index({ userId: 1, submittedAt: -1 });
+submissionSchema.index({ userId: 1, platformName: 1, submittedAt: -1 });
+submissionSchema.index({ userId: 1, verdict: 1 });
+submissionSchema.index({ userId: 1, language: 1 });
+
+/**
+ * Build a submission document from a recentActivity-shaped entry,
+ * optionally carrying the platform's externalId and problemId
+ */
+submissionSchema.statics.fromActivity = function(account, activity, { source = 'sync' } = {}) {
+    const { externalId, problemId } = activity;
+    const submittedAt = new Date(activity.date);
+    const problem = problemId || activity.problemTitle;
+
+    return {
+        userId: account.userId._id || account.userId,
+        accountId: account._id,
+        platformName: account.platformName,
+        externalId: externalId ? String(externalId) : `${problem}@${submittedAt.getTime()}`,
+        syntheticId: !externalId,
+        problemId: problem,
+        problemTitle: activity.problemTitle,
+        problemDifficulty: activity.problemDifficulty,
+        nativeDifficulty: activity.problem?.nativeDifficulty ?? undefined,
+        verdict: VERDICTS.includes(activity.status) ? activity.status : 'other',
+        language: activity.language,
+        contestName: activity.contestName,
+        submittedAt,
+        source
+    };
+};
+
+// Placeholders migrated from recentActivity only know the problem's title (it stands in as
+// their problemId), so a submission also matches one with its title at the same time
+const sameSubmission = (submission) => ({
+    accountId: submission.accountId,
+    submittedAt: submission.submittedAt,
+    $or: [
+        { problemId: submission.problemId ?? null },
+        ...(submission.problemTitle ? [{ problemTitle: submission.problemTitle }] : [])
+    ]
+});
+
+const isDuplicateKeyError = (error) => (error.writeErrors || [error]).every(writeError => writeError.code === 11000);
+
+// Static method to insert submissions, skipping ones already stored. Submissions without a
+// platform id are matched on time and problem id or title, and a stored placeholder takes the real id
+// once a sync supplies it, so the same submission is never stored twice. A synced submission
+// replaces an uploaded copy of itself rather than being skipped for it.
+submissionSchema.statics.recordMany = async function(submissions) {
+    if (submissions.length === 0) {
+        return 0;
+    }
+
+    const identified = submissions.filter(submission => !submission.syntheticId);
+    if (identified.length > 0) {
+        try {
+            await this.bulkWrite(identified.map(submission => ({
+                updateOne: {
+                    filter: { ...sameSubmission(submission), syntheticId: true },
+                    update: { $set: { externalId: submission.externalId, syntheticId: false, problemId: submission.problemId } }
+                }
+            })), { ordered: false });
+        } catch (error) {
+            // The real id was already stored beside the placeholder
+            if (!isDuplicateKeyError(error)) {
+                throw error;
+            }
+        }
+    }
+
+    const synced = identified.filter(submission => submission.source !== 'import');
+    if (synced.length > 0) {
+        await this.bulkWrite(synced.map(submission => ({
+            updateOne: {
+                filter: { accountId: submission.accountId, externalId: submission.externalId, source: 'import' },
+                update: { $set: submission }
+            }
+        })), { ordered: false });
+    }
+
+    const result = await this.bulkWrite(submissions.map(submission => ({
+        updateOne: {
+            filter: submission.syntheticId
+                ? sameSubmission(submission)
+                : { accountId: submission.accountId, externalId: submission.externalId },
+            update: { $setOnInsert: submission },
+            upsert: true
+        }
+    })), { ordered: false });
+
+    return result.upsertedCount;
+};
+
+// Static method to build a match stage for a user's submissions
+submissionSchema.statics.matchFor = function(userId, { platform, from, to } = {}) {
+    const match = { userId: new mongoose.Types.ObjectId(userId) };
+
+    if (platform && platform !== 'all') {
+        match.platformName = platform;
+    }
+    if (from || to) {
+        match.submittedAt = {};
+        if (from) match.submittedAt.$gte = from;
+        if (to) match.submittedAt.$lt = to;
+    }
+
+    return match;
+};
+
+// Static method to count submissions per day in a time zone (options.timeZone, default UTC)
+submissionSchema.statics.dailyCounts = function(userId, options = {}) {
+    return this.aggregate([
+        { $match: this.matchFor(userId, options) },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$submittedAt', timezone: options.timeZone || 'UTC' } },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+};
+
+// Static method to count distinct problems per day in a time zone, for streaks. Uploaded
+// submissions are left out. Options: accountIds to limit to some accounts, acceptedOnly
+// to count only solved problems.
+submissionSchema.statics.dailyProblemCounts = function(userId, { accountIds, acceptedOnly = false, timeZone = 'UTC' } = {}) {
+    const match = { ...this.matchFor(userId), source: { $ne: 'import' } };
+    if (accountIds) match.accountId = { $in: accountIds };
+    if (acceptedOnly) match.verdict = 'accepted';
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$submittedAt', timezone: timeZone } },
+                    problem: { $concat: ['$platformName', ':', { $ifNull: ['$problemId', '$problemTitle', ''] }] }
+                }
+            }
+        },
+        { $group: { _id: '$_id.day', problems: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+    ]);
+};
+
+// Static method to count submissions by verdict
+submissionSchema.statics.verdictCounts = function(userId, options = {}) {
+    return this.aggregate([
+        { $match: this.matchFor(userId, options) },
+        { $group: { _id: '$verdict', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+};
+
+// Static method to count submissions and distinct accepted problems by language
+submissionSchema.statics.languageCounts = function(userId, options = {}) {
+    return this.aggregate([
+        { $match: { ...this.matchFor(userId, options), language: { $nin: [null, ''] } } },
+        {
+            $group: {
+                _id: '$language',
+                submissions: { $sum: 1 },
+                accepted: {
+                    $addToSet: {
+                        $cond: [
+                            { $eq: ['$verdict', 'accepted'] },
+                            { $concat: ['$platformName', ':', { $ifNull: ['$problemId', ''] }] },
+                            null
+                        ]
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                submissions: 1,
+                problemsSolved: { $size: { $setDifference: ['$accepted', [null]] } }
+            }
+        },
+        { $sort: { submissions: -1 } }
+    ]);
+};
+
+// Static method to tally attempted and solved problems per catalog tag.
+// Submissions whose problem is not in the catalog (or has no tags) are left out.
+submissionSchema.statics.tagCounts = function(userId, options = {}) {
+    return this.aggregate([
+        { $match: { ...this.matchFor(userId, options), problemId: { $nin: [null, ''] } } },
+        {
+            $group: {
+                _id: { platformName: '$platformName', problemId: '$problemId' },
+                submissions: { $sum: 1 },
+                acceptedSubmissions: { $sum: { $cond: [{ $eq: ['$verdict', 'accepted'] }, 1, 0] } }
+            }
+        },
+        {
+            $lookup: {
+                from: 'problems',
+                let: { platformName: '$_id.platformName', problemId: '$_id.problemId' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$platformName', '$$platformName'] },
+                                    { $eq: ['$externalId', '$$problemId'] }
+                                ]
+                            }
+                        }
+                    },
+                    { $project: { tags: 1, normalizedDifficulty: 1 } }
+                ],
+                as: 'problem'
+            }
+        },
+        { $unwind: '$problem' },
+        { $unwind: '$problem.tags' },
+        {
+            $group: {
+                _id: '$problem.tags',
+                problemsAttempted: { $sum: 1 },
+                problemsSolved: { $sum: { $cond: [{ $gt: ['$acceptedSubmissions', 0] }, 1, 0] } },
+                submissions: { $sum: '$submissions' },
+                acceptedSubmissions: { $sum: '$acceptedSubmissions' },
+                // $avg skips nulls, so unrated and unsolved problems don't count
+                averageDifficulty: {
+                    $avg: { $cond: [{ $gt: ['$acceptedSubmissions', 0] }, '$problem.normalizedDifficulty', null] }
+                }
+            }
+        },
+        { $sort: { problemsSolved: -1 } }
+    ]);
+};
+
+// Static method to count distinct solved problems per problem-equivalence group,
+// leaving out uploaded submissions. Options: accountIds to limit to some accounts.
+submissionSchema.statics.equivalenceGroupCounts = function(userId, options = {}) {
+    return this.aggregate([
+        {
+            $match: {
+                ...this.matchFor(userId, options),
+                ...(options.accountIds ? { accountId: { $in: options.accountIds } } : {}),
+                verdict: 'accepted',
+                problemId: { $nin: [null, ''] },
+                source: { $ne: 'import' }
+            }
+        },
+        { $group: { _id: { platformName: '$platformName', problemId: '$problemId' } } },
+        {
+            $lookup: {
+                from: 'problems',
+                let: { platformName: '$_id.platformName', problemId: '$_id.problemId' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$platformName', '$$platformName'] },
+                                    { $eq: ['$externalId', '$$problemId'] }
+                                ]
+                            }
+                        }
+                    },
+                    { $project: { equivalenceGroup: 1 } }
+                ],
+                as: 'problem'
+            }
+        },
+        { $unwind: '$problem' },
+        { $match: { 'problem.equivalenceGroup': { $exists: true } } },
+        { $group: { _id: '$problem.equivalenceGroup', count: { $sum: 1 } } }
+    ]);
+};
+
+module.exports = mongoose.model('Submission', submissionSchema);
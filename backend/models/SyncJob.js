@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const BACKOFF_BASE_MS = 30 * 1000; // 30 seconds
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const syncJobSchema = new mongoose.Schema({
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PlatformAccount',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    platformName: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'dead'],
+        default: 'queued'
+    },
+    trigger: {
+        type: String,
+        enum: ['scheduled', 'manual'],
+        default: 'scheduled'
+    },
+    // Ignore the account's sync cursor and refetch the whole history
+    fullResync: {
+        type: Boolean,
+        default: false
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    completedAt: Date,
+    lastError: {
+        message: String,
+        code: String,
+        timestamp: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for claiming work and looking up a user's jobs
+syncJobSchema.index({ status: 1, runAt: 1 });
+syncJobSchema.index({ accountId: 1, status: 1 });
+syncJobSchema.index({ userId: 1, createdAt: -1 });
+// Completed jobs are only kept for a week
+syncJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Exponential backoff delay for the given attempt number
+ */
+syncJobSchema.statics.backoffDelay = function(attempts) {
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), BACKOFF_MAX_MS);
+};
+
+// Static method to queue a sync for an account (reuses a queued or running job, upgrading a
+// queued one to a full resync if one is requested; a running job can't change what it fetches,
+// so a full resync is queued behind it unless it already is one)
+syncJobSchema.statics.enqueue = function(account, { trigger = 'scheduled', maxAttempts, fullResync = false } = {}) {
+    return this.findOneAndUpdate(
+        {
+            accountId: account._id,
+            $or: [
+                { status: 'queued' },
+                { status: 'running', ...(fullResync ? { fullResync: true } : {}) }
+            ]
+        },
+        {
+            ...(fullResync ? { $set: { fullResync: true } } : {}),
+            $setOnInsert: {
+                accountId: account._id,
+                userId: account.userId._id || account.userId,
+                platformName: account.platformName,
+                trigger,
+                runAt: new Date(),
+                ...(maxAttempts ? { maxAttempts } : {})
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Static method to atomically claim the next due job
+syncJobSchema.statics.claimNext = function(workerId) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: now } },
+        {
+            $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+// Static method to check whether another job for the same account is being processed
+syncJobSchema.statics.hasRunningSibling = function(job) {
+    return this.exists({ accountId: job.accountId, status: 'running', _id: { $ne: job._id } });
+};
+
+// Static method to requeue jobs left running by a crashed or restarted worker
+syncJobSchema.statics.releaseStaleLocks = function(lockTimeoutMs) {
+    return this.updateMany(
+        {
+            status: 'running',
+            lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) }
+        },
+        {
+            $set: { status: 'queued', runAt: new Date() },
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        }
+    );
+};
+
+// Method to mark a job as done
+syncJobSchema.methods.markCompleted = function() {
+    this.status = 'completed';
+    this.completedAt = new Date();
+    this.lockedAt = undefined;
+    this.lockedBy = undefined;
+
+    return this.save();
+};
+
+// Method to record a failed attempt: retry with backoff or dead-letter the job
+syncJobSchema.methods.markFailed = function(error) {
+    this.lastError = {
+        message: error.message || 'Unknown error',
+        code: error.code || 'SYNC_FAILED',
+        timestamp: new Date()
+    };
+    this.lockedAt = undefined;
+    this.lockedBy = undefined;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'dead';
+    } else {
+        this.status = 'queued';
+        this.runAt = new Date(Date.now() + this.constructor.backoffDelay(this.attempts));
+    }
+
+    return this.save();
+};
+
+// Method to put a job back in the queue without counting the attempt,
+// e.g. while the platform's circuit breaker is open
+syncJobSchema.methods.defer = function(runAt) {
+    this.status = 'queued';
+    this.attempts = Math.max(0, this.attempts - 1);
+    this.runAt = runAt;
+    this.lockedAt = undefined;
+    this.lockedBy = undefined;
+
+    return this.save();
+};
+
+module.exports = mongoose.model('SyncJob', syncJobSchema);
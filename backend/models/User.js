@@ -1,6 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timezone');
+
+// Settings a user can change, as paths under settings
+const SETTINGS_PATHS = [
+    'theme',
+    'emailNotifications',
+    'publicProfile',
+    'includeGithubInCScore',
+    'timezone',
+    'streakRules.acceptedOnly',
+    'streakRules.minProblemsPerDay',
+    'streakRules.freezeDaysPerMonth'
+];
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -56,6 +70,16 @@ const userSchema = new mongoose.Schema({
         type: String,
         match: [/^[a-zA-Z0-9_-]+$/, 'Invalid GitHub username format']
     },
+    // Whether the user proved they own the GitHub account (see createGithubVerificationToken)
+    githubVerified: {
+        type: Boolean,
+        default: false
+    },
+    githubVerifiedAt: Date,
+    githubVerification: {
+        token: String,
+        expiresAt: Date
+    },
     linkedIn: {
         type: String,
         match: [/^[a-zA-Z0-9_-]+$/, 'Invalid LinkedIn username format']
@@ -89,6 +113,30 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // C-Score and solve count with problems mirrored across judges counted once
+    uniqueCScore: {
+        type: Number,
+        default: 0
+    },
+    uniqueProblemsSolved: {
+        type: Number,
+        default: 0
+    },
+    // Weights version the C-Scores were calculated with (see config/cScore.js)
+    cScoreVersion: Number,
+    // Position on the overall C-Score leaderboard, recalculated daily
+    rank: Number,
+    // Unified daily streak across platforms, mirrored from the Streak model for leaderboards
+    streak: {
+        current: {
+            type: Number,
+            default: 0
+        },
+        max: {
+            type: Number,
+            default: 0
+        }
+    },
     settings: {
         theme: {
             type: String,
@@ -102,6 +150,39 @@ const userSchema = new mongoose.Schema({
         publicProfile: {
             type: Boolean,
             default: true
+        },
+        // Count GitHub contributions and stars towards the C-Score
+        includeGithubInCScore: {
+            type: Boolean,
+            default: false
+        },
+        // IANA time zone for daily buckets, streaks, growth periods and event times
+        timezone: {
+            type: String,
+            default: DEFAULT_TIME_ZONE,
+            validate: {
+                validator: isValidTimeZone,
+                message: 'Invalid time zone'
+            }
+        },
+        // What counts towards the unified streak
+        streakRules: {
+            acceptedOnly: {
+                type: Boolean,
+                default: false
+            },
+            minProblemsPerDay: {
+                type: Number,
+                min: [1, 'Minimum problems per day must be at least 1'],
+                max: [20, 'Minimum problems per day cannot exceed 20'],
+                default: 1
+            },
+            freezeDaysPerMonth: {
+                type: Number,
+                min: [0, 'Freeze days cannot be negative'],
+                max: [10, 'Freeze days per month cannot exceed 10'],
+                default: 0
+            }
         }
     }
 }, {
@@ -136,6 +217,7 @@ userSchema.virtual('profileCompletion').get(function() {
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ totalCScore: -1 });
+userSchema.index({ 'streak.max': -1 });
 userSchema.index({ createdAt: -1 });
 
 // Pre-save middleware to hash password
@@ -208,14 +290,36 @@ userSchema.methods.getPasswordResetToken = function() {
     return resetToken;
 };
 
-// Static method to calculate C-Score
-userSchema.statics.calculateCScore = function(totalProblems, contestRating, badges = 0) {
-    // C-Score formula: (problems * 0.7) + (rating * 0.3) + (badges * 10)
-    const problemScore = totalProblems * 0.7;
-    const ratingScore = contestRating * 0.3;
-    const badgeScore = badges * 10;
-    
-    return Math.round(problemScore + ratingScore + badgeScore);
+// Method to issue a fresh code for proving ownership of the GitHub account
+userSchema.methods.createGithubVerificationToken = function() {
+    this.githubVerification = {
+        token: `ctp-${crypto.randomBytes(4).toString('hex')}`,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+    };
+
+    return this.githubVerification.token;
 };
 
+// Method to mark the GitHub account as owned by the user
+userSchema.methods.markGithubVerified = function() {
+    this.githubVerified = true;
+    this.githubVerifiedAt = new Date();
+    this.githubVerification = undefined;
+
+    return this.save({ validateBeforeSave: false });
+};
+
+// Static method to flatten a partial settings object into dotted paths
+// ({ streakRules: { acceptedOnly: true } } -> { 'streakRules.acceptedOnly': true }),
+// so an update only touches the settings it names
+userSchema.statics.flattenSettings = function(settings, prefix = '') {
+    return Object.entries(settings).reduce((paths, [key, value]) => (
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? { ...paths, ...this.flattenSettings(value, `${prefix}${key}.`) }
+            : { ...paths, [`${prefix}${key}`]: value }
+    ), {});
+};
+
+userSchema.statics.SETTINGS_PATHS = SETTINGS_PATHS;
+
 module.exports = mongoose.model('User', userSchema);
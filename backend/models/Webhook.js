@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+    'problem.solved',
+    'rating.changed',
+    'rating.new_best',
+    'streak.broken',
+    'streak.new_best',
+    'leaderboard.rank_changed',
+    'event.starting'
+];
+
+const webhookSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 'user' webhooks receive their owner's events; 'global' (admin) webhooks receive everyone's
+    scope: {
+        type: String,
+        enum: ['user', 'global'],
+        default: 'user'
+    },
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true
+    },
+    // Used to sign deliveries; only returned when the webhook is created
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: {
+            validator: (events) => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['delivered', 'failed']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for finding subscribers and listing a user's webhooks
+webhookSchema.index({ events: 1, isActive: 1 });
+webhookSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to generate a signing secret
+webhookSchema.statics.generateSecret = function() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to find the active webhooks that should receive an event.
+// Events without a user (e.g. event.starting) go to every subscriber.
+webhookSchema.statics.findSubscribers = function(event, userId) {
+    const query = { isActive: true, events: event };
+
+    if (userId) {
+        query.$or = [{ scope: 'global' }, { userId }];
+    }
+
+    return this.find(query);
+};
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
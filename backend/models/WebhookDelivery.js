@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const BACKOFF_BASE_MS = 60 * 1000; // 1 minute
+const BACKOFF_MAX_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    // Owner of the webhook, for the delivery log
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'delivered', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 6
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    responseStatus: Number,
+    deliveredAt: Date,
+    lastError: {
+        message: String,
+        timestamp: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for claiming due deliveries and reading a webhook's log
+webhookDeliverySchema.index({ status: 1, runAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// The delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+/**
+ * Exponential backoff delay for the given attempt number
+ */
+webhookDeliverySchema.statics.backoffDelay = function(attempts) {
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), BACKOFF_MAX_MS);
+};
+
+// Static method to atomically claim a delivery (a specific one, or the next due one)
+webhookDeliverySchema.statics.claim = function(deliveryId) {
+    const now = new Date();
+    const filter = deliveryId
+        ? { _id: deliveryId, status: 'pending' }
+        : { status: 'pending', runAt: { $lte: now } };
+
+    return this.findOneAndUpdate(
+        filter,
+        {
+            $set: { status: 'sending', lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+// Static method to retry deliveries left sending by a crashed or restarted process
+webhookDeliverySchema.statics.releaseStaleLocks = function(lockTimeoutMs) {
+    return this.updateMany(
+        {
+            status: 'sending',
+            lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) }
+        },
+        {
+            $set: { status: 'pending', runAt: new Date() },
+            $unset: { lockedAt: 1 }
+        }
+    );
+};
+
+// Method to record a successful delivery
+webhookDeliverySchema.methods.markDelivered = function(responseStatus) {
+    this.status = 'delivered';
+    this.responseStatus = responseStatus;
+    this.deliveredAt = new Date();
+    this.lockedAt = undefined;
+
+    return this.save();
+};
+
+// Method to record a failed attempt: retry with backoff or give up
+webhookDeliverySchema.methods.markFailed = function(message, responseStatus) {
+    this.responseStatus = responseStatus;
+    this.lastError = {
+        message,
+        timestamp: new Date()
+    };
+    this.lockedAt = undefined;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'failed';
+    } else {
+        this.status = 'pending';
+        this.runAt = new Date(Date.now() + this.constructor.backoffDelay(this.attempts));
+    }
+
+    return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
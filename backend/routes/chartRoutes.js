@@ -8,7 +8,9 @@ const {
     getRatingHistory,
     getPlatformComparison,
     getStreakData,
-    getSubmissionCalendar
+    getSubmissionCalendar,
+    getVerdictDistribution,
+    getTagMastery
 } = require('../controllers/chartController');
 
 const router = express.Router();
@@ -23,5 +25,7 @@ router.get('/rating-history', validateChartQuery, getRatingHistory);
 router.get('/platform-comparison', getPlatformComparison);
 router.get('/streak-data', validateChartQuery, getStreakData);
 router.get('/submission-calendar', validateChartQuery, getSubmissionCalendar);
+router.get('/verdict-distribution', validateChartQuery, getVerdictDistribution);
+router.get('/tag-mastery', validateChartQuery, getTagMastery);
 
 module.exports = router;
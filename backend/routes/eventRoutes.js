@@ -11,7 +11,7 @@ const {
     getUpcomingEvents,
     getEventParticipants
 } = require('../controllers/eventController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { body, param } = require('express-validator');
 const { validateInput } = require('../middleware/validation');
 
@@ -113,9 +113,9 @@ const updateEventValidation = [
 /**
  * @route   GET /api/events
  * @desc    Get all events with filtering and pagination
- * @access  Public
+ * @access  Public (times are shown in the signed-in user's time zone)
  */
-router.get('/', getEvents);
+router.get('/', optionalAuth, getEvents);
 
 /**
  * @route   POST /api/events
@@ -127,16 +127,16 @@ router.post('/', protect, authorize('admin'), eventValidation, validateInput, cr
 /**
  * @route   GET /api/events/upcoming
  * @desc    Get upcoming events
- * @access  Public
+ * @access  Public (times are shown in the signed-in user's time zone)
  */
-router.get('/upcoming', getUpcomingEvents);
+router.get('/upcoming', optionalAuth, getUpcomingEvents);
 
 /**
  * @route   GET /api/events/:id
  * @desc    Get event by ID
- * @access  Public
+ * @access  Public (times are shown in the signed-in user's time zone)
  */
-router.get('/:id', param('id').isMongoId().withMessage('Invalid event ID'), validateInput, getEventById);
+router.get('/:id', optionalAuth, param('id').isMongoId().withMessage('Invalid event ID'), validateInput, getEventById);
 
 /**
  * @route   PUT /api/events/:id
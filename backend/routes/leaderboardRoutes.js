@@ -10,13 +10,14 @@ const {
 const { protect, optionalAuth } = require('../middleware/auth');
 const { query } = require('express-validator');
 const { validateInput } = require('../middleware/validation');
+const { getPlatformIds } = require('../services/platforms');
 
 // Input validation rules
 const leaderboardValidation = [
     query('platform')
         .optional()
         .isString()
-        .isIn(['leetcode', 'codeforces', 'codechef', 'atcoder', 'hackerrank', 'overall'])
+        .isIn(['overall', ...getPlatformIds()])
         .withMessage('Invalid platform'),
     query('category')
         .optional()
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+    getPlatforms,
+    getPlatformStatus,
+    resetPlatformBreaker
+} = require('../controllers/platformController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getPlatforms);
+
+// Admin routes
+router.get('/status', protect, authorize('admin'), getPlatformStatus);
+router.post('/:platform/breaker/reset', protect, authorize('admin'), resetPlatformBreaker);
+
+module.exports = router;
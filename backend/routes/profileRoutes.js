@@ -15,8 +15,14 @@ const {
     addPlatformAccount,
     updatePlatformAccount,
     removePlatformAccount,
+    startPlatformVerification,
+    verifyPlatformAccount,
     getUserProfiles,
-    getPublicProfile
+    getPublicProfile,
+    getGithubActivity,
+    syncGithubActivity,
+    startGithubVerification,
+    verifyGithubAccount
 } = require('../controllers/profileController');
 
 const router = express.Router();
@@ -65,9 +71,17 @@ router.route('/')
 
 router.post('/upload-picture', upload.single('profilePicture'), uploadProfilePicture);
 
+// GitHub activity routes
+router.get('/github', getGithubActivity);
+router.post('/github/sync', syncGithubActivity);
+router.post('/github/verification', startGithubVerification);
+router.post('/github/verify', verifyGithubAccount);
+
 // Platform account routes
 router.post('/platforms', validatePlatformAccount, addPlatformAccount);
 router.put('/platforms/:platformId', validateObjectId('platformId'), updatePlatformAccount);
 router.delete('/platforms/:platformId', validateObjectId('platformId'), removePlatformAccount);
+router.post('/platforms/:platformId/verification', validateObjectId('platformId'), startPlatformVerification);
+router.post('/platforms/:platformId/verify', validateObjectId('platformId'), verifyPlatformAccount);
 
 module.exports = router;
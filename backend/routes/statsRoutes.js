@@ -1,17 +1,25 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { 
     validatePlatformQuery,
+    validateGrowthQuery,
     validateObjectId 
 } = require('../middleware/validation');
 const {
     getStats,
     getPlatformStats,
     updateStats,
+    previewSubmissionImport,
+    importSubmissionHistory,
     syncAllPlatforms,
     syncPlatform,
+    getSyncStatus,
+    streamSyncEvents,
     getStatsHistory,
-    getGrowthMetrics
+    getGrowthMetrics,
+    compareGrowth,
+    getStreak,
+    explainCScore
 } = require('../controllers/statsController');
 
 const router = express.Router();
@@ -22,9 +30,16 @@ router.use(protect);
 router.get('/', validatePlatformQuery, getStats);
 router.get('/history', getStatsHistory);
 router.get('/growth', getGrowthMetrics);
+router.get('/growth/compare', validateGrowthQuery, compareGrowth);
+router.get('/streak', getStreak);
+router.get('/cscore/explain', explainCScore);
+router.get('/sync/status', getSyncStatus);
+router.get('/sync/events', streamSyncEvents);
 router.get('/:platform', getPlatformStats);
 router.post('/sync', syncAllPlatforms);
 router.post('/sync/:platform', syncPlatform);
-router.put('/update', updateStats);
+router.post('/import/preview', previewSubmissionImport);
+router.post('/import', importSubmissionHistory);
+router.put('/update', authorize('admin'), updateStats);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { validateWebhook, validateObjectId } = require('../middleware/validation');
+const {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    testWebhook,
+    redeliverWebhook
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+    .get(getWebhooks)
+    .post(validateWebhook(), createWebhook);
+
+router.route('/:id')
+    .put(validateObjectId('id'), validateWebhook(true), updateWebhook)
+    .delete(validateObjectId('id'), deleteWebhook);
+
+router.get('/:id/deliveries', validateObjectId('id'), getWebhookDeliveries);
+router.post('/:id/test', validateObjectId('id'), testWebhook);
+router.post('/:id/deliveries/:deliveryId/redeliver', validateObjectId('id'), validateObjectId('deliveryId'), redeliverWebhook);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Rebuild problem-equivalence groups across the problem catalog.
+ * Run after editing config/problemEquivalences.json or importing problem sets.
+ *
+ * Usage:
+ *   npm run build:equivalences
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { rebuildEquivalenceGroups } = require('../services/problemEquivalence');
+const logger = require('../utils/logger');
+
+connectDB()
+    .then(() => rebuildEquivalenceGroups())
+    .then(result => logger.info(`Problem equivalence rebuild finished: ${JSON.stringify(result)}`))
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(error => {
+        logger.error('Problem equivalence rebuild failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,26 @@
+/**
+ * Import platform problem sets into the problem catalog.
+ *
+ * Usage:
+ *   npm run import:problems                         # every platform that publishes a problem set
+ *   npm run import:problems -- codeforces           # one platform, downloaded now
+ *   npm run import:problems -- codeforces dump.json # one platform, from a cached JSON dump
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { importProblemSet, importAllProblemSets } = require('../services/problemCatalog');
+const logger = require('../utils/logger');
+
+const [platformName, file] = process.argv.slice(2);
+
+connectDB()
+    .then(() => (platformName ? importProblemSet(platformName, { file }) : importAllProblemSets()))
+    .then(result => logger.info(`Problem catalog import finished: ${JSON.stringify(result)}`))
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(error => {
+        logger.error('Problem catalog import failed:', error);
+        process.exit(1);
+    });
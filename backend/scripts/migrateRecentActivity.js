@@ -0,0 +1,55 @@
+/**
+ * One-off migration: copy every account's embedded stats.recentActivity into the
+ * Submission collection, then trim the embedded array to the recent preview.
+ * Embedded entries carry no submission or problem ids, so they are stored as title@time
+ * placeholders that take the platform's ids when a later sync fetches the same submission
+ * (matched on its time and title).
+ *
+ * Usage: npm run migrate:submissions
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const PlatformAccount = require('../models/PlatformAccount');
+const Submission = require('../models/Submission');
+const logger = require('../utils/logger');
+
+const migrateRecentActivity = async () => {
+    // Make sure the unique index exists before inserting, so reruns don't duplicate
+    await Submission.init();
+
+    const accounts = PlatformAccount.find({ 'stats.recentActivity.0': { $exists: true } }).cursor();
+    let accountCount = 0;
+    let inserted = 0;
+
+    for await (const account of accounts) {
+        const activity = account.stats.recentActivity.map(entry => entry.toObject());
+
+        inserted += await Submission.recordMany(
+            activity.map(entry => Submission.fromActivity(account, entry))
+        );
+
+        const preview = activity
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, PlatformAccount.RECENT_ACTIVITY_LIMIT);
+
+        await PlatformAccount.updateOne(
+            { _id: account._id },
+            { $set: { 'stats.recentActivity': preview } }
+        );
+
+        accountCount++;
+    }
+
+    logger.info(`Migrated recent activity of ${accountCount} accounts (${inserted} new submissions)`);
+};
+
+connectDB()
+    .then(migrateRecentActivity)
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(error => {
+        logger.error('Recent activity migration failed:', error);
+        process.exit(1);
+    });
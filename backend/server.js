@@ -18,7 +18,19 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const connectDB = require('./config/database');
-const { updateAllUserStats, updateAllEvents } = require('./services/scheduledTasks');
+const {
+    updateAllUserStats,
+    updateAllEvents,
+    updateUserRankings,
+    notifyStartingEvents,
+    updateProblemCatalog,
+    updateGithubProfiles,
+    compactStatsHistory,
+    updateStreaks,
+    rescoreCScores
+} = require('./services/scheduledTasks');
+const { startSyncWorker, stopSyncWorker } = require('./services/syncQueue');
+const { deliverDueWebhooks } = require('./services/webhooks');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -28,6 +40,8 @@ const chartRoutes = require('./routes/chartRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const leaderboardRoutes = require('./routes/leaderboardRoutes');
 const eventRoutes = require('./routes/eventRoutes');
+const platformRoutes = require('./routes/platformRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 // Initialize Express app
 const app = express();
@@ -112,6 +126,8 @@ app.use('/api/charts', chartRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/platforms', platformRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -135,7 +151,13 @@ app.use(errorHandler);
 
 // Scheduled tasks
 if (process.env.NODE_ENV !== 'test') {
-    // Update user stats daily at 2 AM
+    // Process queued platform syncs
+    startSyncWorker();
+
+    // Bring C-Scores from an older weights version up to date
+    rescoreCScores();
+
+    // Queue stale user stats for sync daily at 2 AM
     cron.schedule('0 2 * * *', async () => {
         logger.info('Running scheduled task: Update user stats');
         try {
@@ -156,6 +178,49 @@ if (process.env.NODE_ENV !== 'test') {
             logger.error('Error updating events:', error);
         }
     });
+
+    // Recalculate leaderboard ranks daily at 5 AM
+    cron.schedule('0 5 * * *', async () => {
+        logger.info('Running scheduled task: Update user rankings');
+        await updateUserRankings();
+    });
+
+    // Raise event.starting webhooks every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        await notifyStartingEvents();
+    });
+
+    // Retry failed webhook deliveries every minute
+    cron.schedule('* * * * *', async () => {
+        try {
+            await deliverDueWebhooks();
+        } catch (error) {
+            logger.error('Error delivering webhooks:', error);
+        }
+    });
+
+    // Roll old daily stats snapshots into weekly and monthly ones daily at 3:30 AM
+    cron.schedule('30 3 * * *', async () => {
+        logger.info('Running scheduled task: Compact stats history');
+        await compactStatsHistory();
+    });
+
+    // Recheck running streaks hourly, since local midnight passes at a different hour in each time zone
+    cron.schedule('15 * * * *', async () => {
+        await updateStreaks();
+    });
+
+    // Refresh GitHub activity daily at 6 AM
+    cron.schedule('0 6 * * *', async () => {
+        logger.info('Running scheduled task: Update GitHub activity');
+        await updateGithubProfiles();
+    });
+
+    // Refresh the problem catalog weekly on Sunday at 4 AM
+    cron.schedule('0 4 * * 0', async () => {
+        logger.info('Running scheduled task: Update problem catalog');
+        await updateProblemCatalog();
+    });
 }
 
 // Handle unhandled promise rejections
@@ -171,8 +236,9 @@ process.on('uncaughtException', (err) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
+    await stopSyncWorker();
     mongoose.connection.close(() => {
         logger.info('MongoDB connection closed.');
         process.exit(0);
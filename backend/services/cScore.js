@@ -0,0 +1,144 @@
+const User = require('../models/User');
+const PlatformAccount = require('../models/PlatformAccount');
+const GithubProfile = require('../models/GithubProfile');
+const { countDuplicateSolves } = require('./problemEquivalence');
+const {
+    CSCORE_VERSION,
+    CSCORE_WEIGHTS,
+    componentPoints,
+    countsTowardsCScore,
+    platformComponents,
+    githubComponents,
+    githubCountsTowardsCScore,
+    duplicateSolvePoints
+} = require('./scoring');
+const logger = require('../utils/logger');
+
+/**
+ * Score a user from their active, verified platform accounts that count towards the C-Score
+ * (plus verified GitHub activity when they opted in), keeping every component, and the
+ * unique-problem variant that counts cross-judge mirrors once
+ */
+const scoreUser = async (userId) => {
+    const [platformAccounts, user] = await Promise.all([
+        PlatformAccount.find({
+            userId,
+            isActive: true,
+            isVerified: true
+        }),
+        User.findById(userId).select('settings githubVerified')
+    ]);
+
+    const scoredAccounts = platformAccounts.filter(countsTowardsCScore);
+    const platforms = scoredAccounts.map(account => {
+        const components = platformComponents(account.platformName, account.stats);
+        return { platform: account.platformName, components, cScore: componentPoints(components) };
+    });
+
+    const githubIncluded = githubCountsTowardsCScore(user);
+    const githubScored = githubComponents(githubIncluded ? await GithubProfile.findOne({ userId }) : null);
+    const github = { included: githubIncluded, components: githubScored, cScore: componentPoints(githubScored) };
+
+    const totalCScore = github.cScore + platforms.reduce((total, platform) => total + platform.cScore, 0);
+    const totalProblemsSolved = platformAccounts.reduce((total, account) => {
+        return total + account.stats.totalProblemsSolved;
+    }, 0);
+
+    // Only mirrors solved on scored accounts come off the C-Score that counted them
+    const duplicateSolves = await countDuplicateSolves(userId, {
+        accountIds: scoredAccounts.map(account => account._id)
+    });
+
+    return {
+        platforms,
+        github,
+        duplicateSolves,
+        duplicatePoints: duplicateSolvePoints(duplicateSolves),
+        totalCScore,
+        uniqueProblemsSolved: Math.max(0, totalProblemsSolved - duplicateSolves),
+        uniqueCScore: Math.max(0, totalCScore - duplicateSolvePoints(duplicateSolves))
+    };
+};
+
+/**
+ * Recalculate and store a user's total and unique C-Score under the current weights
+ */
+const updateUserCScore = async (userId) => {
+    const { totalCScore, uniqueCScore, uniqueProblemsSolved } = await scoreUser(userId);
+
+    await User.findByIdAndUpdate(userId, {
+        totalCScore,
+        uniqueProblemsSolved,
+        uniqueCScore,
+        cScoreVersion: CSCORE_VERSION
+    });
+};
+
+// Component points are kept exact for totals and shown to two decimals
+const roundPoints = (entry) => ({ ...entry, points: Math.round(entry.points * 100) / 100 });
+
+/**
+ * Break a user's C-Score down into what each component contributes, overall and per platform
+ */
+const explainUserCScore = async (userId) => {
+    const scored = await scoreUser(userId);
+
+    // Sum each component over the platforms, then add GitHub's
+    const totals = new Map();
+    [...scored.platforms.flatMap(platform => platform.components), ...scored.github.components].forEach(entry => {
+        const total = totals.get(entry.name) || { name: entry.name, value: 0, points: 0 };
+        total.value += entry.value;
+        total.points += entry.points;
+        totals.set(entry.name, total);
+    });
+
+    return {
+        version: CSCORE_VERSION,
+        weights: {
+            ...CSCORE_WEIGHTS.weights,
+            github: CSCORE_WEIGHTS.github,
+            platforms: CSCORE_WEIGHTS.platforms
+        },
+        totalCScore: scored.totalCScore,
+        uniqueCScore: scored.uniqueCScore,
+        components: Array.from(totals.values()).map(entry => ({
+            ...roundPoints(entry),
+            value: Math.round(entry.value * 100) / 100,
+            share: scored.totalCScore > 0 ? Math.round((entry.points / scored.totalCScore) * 100) : 0
+        })),
+        platforms: scored.platforms.map(platform => ({
+            ...platform,
+            components: platform.components.map(roundPoints)
+        })),
+        github: { ...scored.github, components: scored.github.components.map(roundPoints) },
+        duplicates: {
+            solves: scored.duplicateSolves,
+            points: scored.duplicatePoints
+        }
+    };
+};
+
+/**
+ * Rescore users whose C-Score was calculated under other weights
+ */
+const rescoreOutdatedUsers = async () => {
+    const users = await User.find({ cScoreVersion: { $ne: CSCORE_VERSION } }).select('_id');
+
+    let rescored = 0;
+    for (const user of users) {
+        try {
+            await updateUserCScore(user._id);
+            rescored++;
+        } catch (error) {
+            logger.warn(`C-Score rescore failed for user ${user._id}: ${error.message}`);
+        }
+    }
+
+    return rescored;
+};
+
+module.exports = {
+    updateUserCScore,
+    explainUserCScore,
+    rescoreOutdatedUsers
+};
@@ -0,0 +1,81 @@
+const config = require('../config/difficulty');
+
+const STARS_PATTERN = /^(\d)\s*(★|\*|stars?)$/i;
+const POSITION_PATTERN = /^(abc|arc|agc)\d*[_\s-]*([a-h])$/i;
+
+const clamp = (value) => Math.min(config.scale.max, Math.max(config.scale.min, Math.round(value)));
+
+/**
+ * Map a platform's native difficulty onto the common scale.
+ * Returns null when the platform has no mapping for the value.
+ */
+const normalizeDifficulty = (platformName, native) => {
+    const mapping = config.platforms[platformName];
+
+    if (!mapping || native === undefined || native === null || native === '') {
+        return null;
+    }
+
+    if (typeof native === 'number' || /^-?\d+(\.\d+)?$/.test(String(native))) {
+        if (!mapping.rating) {
+            return null;
+        }
+        return clamp(Number(native) * mapping.rating.factor + mapping.rating.offset);
+    }
+
+    const value = String(native).trim().toLowerCase();
+
+    const stars = STARS_PATTERN.exec(value);
+    if (stars && mapping.stars) {
+        return mapping.stars[stars[1]] ?? null;
+    }
+
+    const position = POSITION_PATTERN.exec(value);
+    if (position && mapping.positions) {
+        return mapping.positions[position[1]]?.[position[2]] ?? null;
+    }
+
+    return mapping.labels?.[value] ?? null;
+};
+
+/**
+ * Place a common-scale score in the easy/medium/hard buckets
+ */
+const difficultyBucket = (score) => {
+    if (score === null || score === undefined) {
+        return undefined;
+    }
+    if (score <= config.buckets.easyMax) {
+        return 'easy';
+    }
+    return score <= config.buckets.mediumMax ? 'medium' : 'hard';
+};
+
+/**
+ * Bucket a platform's native difficulty
+ */
+const bucketFor = (platformName, native) => difficultyBucket(normalizeDifficulty(platformName, native));
+
+/**
+ * Re-bucket solve counts that a platform reports per native label,
+ * e.g. LeetCode's { Easy: 120, Medium: 80, Hard: 10 }
+ */
+const remapBucketCounts = (platformName, countsByLabel) => {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+
+    Object.entries(countsByLabel).forEach(([label, count]) => {
+        const bucket = bucketFor(platformName, label);
+        if (bucket) {
+            counts[bucket] += count;
+        }
+    });
+
+    return counts;
+};
+
+module.exports = {
+    normalizeDifficulty,
+    difficultyBucket,
+    bucketFor,
+    remapBucketCounts
+};
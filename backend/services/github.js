@@ -0,0 +1,298 @@
+const User = require('../models/User');
+const GithubProfile = require('../models/GithubProfile');
+const GithubHistory = require('../models/GithubHistory');
+const { createHttpClient } = require('./platforms/httpClient');
+const { PlatformSyncError, ProfileNotFoundError, LayoutChangedError } = require('./platforms/errors');
+const { toDayNumber, computeStreak } = require('./platforms/utils');
+const { updateUserCScore } = require('./cScore');
+const { githubCountsTowardsCScore } = require('./scoring');
+const { userTimeZone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const SOURCE = 'github';
+const REPOS_PAGE_SIZE = 100;
+const MAX_REPO_PAGES = 5;
+const TOP_REPOSITORIES_LIMIT = 5;
+
+// Where users put the code that proves they own a GitHub account
+const VERIFICATION_HINT = 'the Name or Bio field of your GitHub profile';
+
+// The GraphQL API needs a token; without one the public contributions page is scraped instead
+const token = process.env.GITHUB_TOKEN;
+
+const api = createHttpClient(SOURCE, {
+    baseURL: 'https://api.github.com',
+    headers: {
+        Accept: 'application/vnd.github+json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    validateStatus: status => status === 200 || status === 404
+});
+
+const web = createHttpClient(SOURCE, {
+    baseURL: 'https://github.com',
+    headers: { Accept: 'text/html' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+const CALENDAR_QUERY = `
+    query contributionCalendar($login: String!) {
+        user(login: $login) {
+            contributionsCollection {
+                contributionCalendar {
+                    weeks {
+                        contributionDays {
+                            date
+                            contributionCount
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+/**
+ * Map a GraphQL contributionCalendar onto [{ date, count }], oldest first
+ */
+const mapGraphqlCalendar = (calendar) => {
+    return calendar.weeks
+        .flatMap(week => week.contributionDays)
+        .map(day => ({ date: day.date, count: day.contributionCount }));
+};
+
+/**
+ * Parse the public contributions page onto [{ date, count }], oldest first.
+ * Day cells carry the date; the count is only in each cell's tooltip ("3 contributions on ...").
+ */
+const parseContributionsPage = (html) => {
+    const counts = new Map();
+    const tooltipPattern = /<tool-tip[^>]*\bfor="([^"]+)"[^>]*>([^<]*)<\/tool-tip>/g;
+    let match;
+    while ((match = tooltipPattern.exec(html)) !== null) {
+        const count = /^\s*(\d+|No) contributions?/i.exec(match[2]);
+        if (count) {
+            counts.set(match[1], count[1].toLowerCase() === 'no' ? 0 : parseInt(count[1], 10));
+        }
+    }
+
+    const days = [];
+    const cellPattern = /<td[^>]*\bdata-date="(\d{4}-\d{2}-\d{2})"[^>]*>/g;
+    while ((match = cellPattern.exec(html)) !== null) {
+        const id = /\bid="([^"]+)"/.exec(match[0])?.[1];
+        const dataCount = /\bdata-count="(\d+)"/.exec(match[0])?.[1];
+        days.push({
+            date: match[1],
+            count: dataCount !== undefined ? parseInt(dataCount, 10) : counts.get(id) ?? 0
+        });
+    }
+
+    if (days.length === 0) {
+        throw new LayoutChangedError(SOURCE, 'no contribution days found on contributions page');
+    }
+
+    return days.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Total contributions and daily contribution streaks from a calendar,
+ * with the current streak judged against today in the user's time zone
+ */
+const summarizeCalendar = (calendar, now = new Date(), timeZone) => {
+    const activeDays = calendar.filter(day => day.count > 0).map(day => toDayNumber(day.date));
+
+    return {
+        totalContributions: calendar.reduce((total, day) => total + day.count, 0),
+        streak: computeStreak(activeDays, now, timeZone)
+    };
+};
+
+/**
+ * Stars, forks, languages and top repositories from a user's public repositories.
+ * Forks are left out: their stars and languages belong to the upstream project.
+ */
+const mapRepositories = (repositories) => {
+    const owned = repositories.filter(repository => !repository.fork);
+    const languages = new Map();
+
+    owned.forEach(repository => {
+        if (repository.language) {
+            languages.set(repository.language, (languages.get(repository.language) || 0) + 1);
+        }
+    });
+
+    return {
+        totalStars: owned.reduce((total, repository) => total + repository.stargazers_count, 0),
+        totalForks: owned.reduce((total, repository) => total + repository.forks_count, 0),
+        languages: Array.from(languages, ([name, count]) => ({ name, repositories: count }))
+            .sort((a, b) => b.repositories - a.repositories),
+        topRepositories: [...owned]
+            .sort((a, b) => b.stargazers_count - a.stargazers_count)
+            .slice(0, TOP_REPOSITORIES_LIMIT)
+            .map(repository => ({
+                name: repository.name,
+                url: repository.html_url,
+                description: repository.description,
+                language: repository.language,
+                stars: repository.stargazers_count
+            }))
+    };
+};
+
+/**
+ * Fetch a GitHub user's public profile
+ */
+const fetchUser = async (username) => {
+    const response = await api.get(`/users/${encodeURIComponent(username)}`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(SOURCE, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a user's profile name and bio for ownership checks
+ */
+const fetchProfileText = async (username) => {
+    const githubUser = await fetchUser(username);
+    return [githubUser.name, githubUser.bio].filter(Boolean).join('\n');
+};
+
+/**
+ * Fetch a user's public repositories, most recently pushed first
+ */
+const fetchRepositories = async (username) => {
+    const repositories = [];
+
+    for (let page = 1; page <= MAX_REPO_PAGES; page++) {
+        const response = await api.get(`/users/${encodeURIComponent(username)}/repos`, {
+            params: { type: 'owner', sort: 'pushed', per_page: REPOS_PAGE_SIZE, page }
+        });
+
+        if (response.status === 404) {
+            throw new ProfileNotFoundError(SOURCE, username);
+        }
+
+        repositories.push(...response.data);
+        if (response.data.length < REPOS_PAGE_SIZE) {
+            break;
+        }
+    }
+
+    return repositories;
+};
+
+/**
+ * Fetch the last year of daily contributions
+ */
+const fetchContributionCalendar = async (username) => {
+    if (token) {
+        const response = await api.post('/graphql', { query: CALENDAR_QUERY, variables: { login: username } });
+        const calendar = response.data?.data?.user?.contributionsCollection?.contributionCalendar;
+
+        if (!calendar) {
+            throw new PlatformSyncError(SOURCE, 'Unexpected response from github GraphQL API');
+        }
+        return mapGraphqlCalendar(calendar);
+    }
+
+    const response = await web.get(`/users/${encodeURIComponent(username)}/contributions`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(SOURCE, username);
+    }
+
+    return parseContributionsPage(response.data);
+};
+
+/**
+ * Pull a user's GitHub activity into their GitHub profile section and history.
+ * The C-Score is only recalculated for users whose verified GitHub activity counts towards it.
+ */
+const syncGithubProfile = async (user) => {
+    const profile = await GithubProfile.findOneAndUpdate(
+        { userId: user._id },
+        { $set: { username: user.github } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+        const [githubUser, repositories, contributionCalendar] = await Promise.all([
+            fetchUser(user.github),
+            fetchRepositories(user.github),
+            fetchContributionCalendar(user.github)
+        ]);
+
+        Object.assign(profile, {
+            contributionCalendar,
+            ...summarizeCalendar(contributionCalendar, new Date(), userTimeZone(user)),
+            ...mapRepositories(repositories),
+            publicRepos: githubUser.public_repos,
+            followers: githubUser.followers,
+            syncStatus: 'success',
+            lastSyncedAt: new Date(),
+            lastSyncError: undefined
+        });
+        await profile.save();
+    } catch (error) {
+        profile.syncStatus = 'error';
+        profile.lastSyncError = {
+            message: error.message,
+            timestamp: new Date()
+        };
+        await profile.save();
+        throw error;
+    }
+
+    await GithubHistory.recordSnapshot(profile, userTimeZone(user));
+
+    if (githubCountsTowardsCScore(user)) {
+        await updateUserCScore(user._id);
+    }
+
+    return profile;
+};
+
+/**
+ * Refresh every active user that has a GitHub username, one at a time
+ */
+const syncAllGithubProfiles = async () => {
+    const users = await User.find({ isActive: true, github: { $exists: true, $ne: '' } })
+        .select('github githubVerified settings');
+
+    let synced = 0;
+    for (const user of users) {
+        try {
+            await syncGithubProfile(user);
+            synced++;
+        } catch (error) {
+            logger.warn(`GitHub sync failed for ${user.github}: ${error.message}`);
+        }
+    }
+
+    return synced;
+};
+
+/**
+ * Forget a user's GitHub data (when they remove their GitHub username)
+ */
+const removeGithubProfile = async (userId) => {
+    await Promise.all([
+        GithubProfile.deleteOne({ userId }),
+        GithubHistory.deleteMany({ userId })
+    ]);
+};
+
+module.exports = {
+    VERIFICATION_HINT,
+    mapGraphqlCalendar,
+    parseContributionsPage,
+    summarizeCalendar,
+    mapRepositories,
+    syncGithubProfile,
+    syncAllGithubProfiles,
+    removeGithubProfile,
+    fetchProfileText
+};
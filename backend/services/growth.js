@@ -0,0 +1,146 @@
+const StatsHistory = require('../models/StatsHistory');
+const { DEFAULT_TIME_ZONE, zonedParts, zonedMidnight, startOfLocalDay } = require('../utils/timezone');
+
+// Calendar periods for growth presets, as a length in months (weeks are handled separately)
+const PERIOD_MONTHS = {
+    month: 1,
+    quarter: 3,
+    semester: 6,
+    year: 12
+};
+
+const PERIODS = ['week', ...Object.keys(PERIOD_MONTHS)];
+const COMPARISONS = ['previous', 'year', 'none'];
+
+/**
+ * Percentage change from a base value, or null when there is no base to compare against
+ */
+const percentChange = (base, value) => {
+    return base ? Math.round(((value - base) / Math.abs(base)) * 1000) / 10 : null;
+};
+
+/**
+ * Start of the calendar period containing a date in a time zone, and the start of the one before it.
+ * Weeks start on Monday; semesters run January-June and July-December.
+ */
+const periodBounds = (period, date, timeZone) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+
+    if (period === 'week') {
+        const monday = day - ((new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7);
+        return {
+            start: zonedMidnight(year, month - 1, monday, timeZone),
+            previousStart: zonedMidnight(year, month - 1, monday - 7, timeZone)
+        };
+    }
+
+    const months = PERIOD_MONTHS[period];
+    const firstMonth = (month - 1) - ((month - 1) % months);
+
+    return {
+        start: zonedMidnight(year, firstMonth, 1, timeZone),
+        previousStart: zonedMidnight(year, firstMonth - months, 1, timeZone)
+    };
+};
+
+/**
+ * The same local date and time one year earlier
+ */
+const yearEarlier = (date, timeZone) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    const timeOfDay = date - startOfLocalDay(date, timeZone);
+    return new Date(zonedMidnight(year - 1, month - 1, day, timeZone).getTime() + timeOfDay);
+};
+
+/**
+ * The current range and the range it is compared against.
+ * A preset period compares the period so far with the whole previous period;
+ * a custom range compares with the same-length range just before it.
+ * compare=year compares with the same dates a year earlier instead.
+ * Calendar periods follow the user's time zone.
+ */
+const growthRanges = ({ period, from, to, compare = 'previous', timeZone = DEFAULT_TIME_ZONE }, now = new Date()) => {
+    let current;
+    let previous;
+
+    if (period) {
+        const { start, previousStart } = periodBounds(period, now, timeZone);
+        current = { from: start, to: now };
+        previous = { from: previousStart, to: start };
+    } else {
+        current = { from, to: to || now };
+        previous = {
+            from: new Date(current.from.getTime() - (current.to - current.from)),
+            to: current.from
+        };
+    }
+
+    if (compare === 'year') {
+        previous = { from: yearEarlier(current.from, timeZone), to: yearEarlier(current.to, timeZone) };
+    }
+
+    return { current, previous: compare === 'none' ? null : previous };
+};
+
+/**
+ * Growth over one range, with each metric's percentage change from the start of the range
+ */
+const rangeGrowth = async (userId, platformName, range) => {
+    const growth = await StatsHistory.getRangeGrowth(userId, platformName, range.from, range.to);
+
+    return {
+        from: range.from,
+        to: range.to,
+        ...(growth && {
+            ...growth,
+            percentChange: Object.fromEntries(StatsHistory.GROWTH_METRICS.map(metric => [
+                metric,
+                percentChange(growth.start[metric], growth.end[metric])
+            ]))
+        }),
+        hasHistory: Boolean(growth)
+    };
+};
+
+/**
+ * Growth over a range and, unless compare=none, over the range it is compared with.
+ * `comparison` holds each metric's delta in both ranges and how much the current delta
+ * changed relative to the previous one.
+ */
+const getGrowthComparison = async (userId, platformName, options, now = new Date()) => {
+    const ranges = growthRanges(options, now);
+
+    const [current, previous] = await Promise.all([
+        rangeGrowth(userId, platformName, ranges.current),
+        ranges.previous ? rangeGrowth(userId, platformName, ranges.previous) : null
+    ]);
+
+    const comparison = previous && current.hasHistory && previous.hasHistory
+        ? Object.fromEntries(StatsHistory.GROWTH_METRICS.map(metric => {
+            const currentDelta = current.deltas[metric];
+            const previousDelta = previous.deltas[metric];
+            return [metric, {
+                current: currentDelta,
+                previous: previousDelta,
+                difference: currentDelta - previousDelta,
+                percentChange: percentChange(previousDelta, currentDelta)
+            }];
+        }))
+        : null;
+
+    return {
+        period: options.period || 'custom',
+        compare: options.compare || 'previous',
+        timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+        current,
+        previous,
+        comparison
+    };
+};
+
+module.exports = {
+    PERIODS,
+    COMPARISONS,
+    growthRanges,
+    getGrowthComparison
+};
@@ -0,0 +1,65 @@
+const { getPlatform } = require('./platforms');
+const { PlatformSyncError } = require('./platforms/errors');
+const { assertAvailable } = require('./platforms/throttle');
+const logger = require('../utils/logger');
+
+/**
+ * Fetch fresh stats for a platform account.
+ * Incremental platforms continue from the account's stored cursor unless a full resync is asked for.
+ * Active days and streaks are counted in timeZone, the account owner's time zone.
+ * Resolves with { stats, cursor, submissions, activityCalendar }, where stats is shaped like
+ * PlatformAccount.stats (for incremental platforms, only the fields the profile reports),
+ * cursor is null for platforms that always fetch everything, submissions are
+ * recentActivity-shaped entries for the Submission collection and activityCalendar is the
+ * platform's per-day submission counts when it publishes them.
+ */
+const syncPlatformData = async (platformName, platformUsername, { cursor = null, full = false, timeZone } = {}) => {
+    const platform = getPlatform(platformName);
+
+    if (!platform || typeof platform.fetchStats !== 'function') {
+        throw new PlatformSyncError(platformName, `Syncing ${platformName} is not supported yet`, 400);
+    }
+
+    // Fail fast while the platform's circuit breaker is open
+    assertAvailable(platformName);
+
+    if (typeof platform.fetchStatsSince === 'function') {
+        logger.debug(`Fetching ${platformName} stats for ${platformUsername} (${full || !cursor ? 'full' : 'incremental'})`);
+        return platform.fetchStatsSince(platformUsername, full ? null : cursor);
+    }
+
+    logger.debug(`Fetching ${platformName} stats for ${platformUsername}`);
+
+    const { activityCalendar, ...stats } = await platform.fetchStats(platformUsername, { timeZone });
+
+    return {
+        stats,
+        cursor: null,
+        // Platforms without a submission history API only expose their recent activity.
+        // Entries may carry externalId, problemId and catalog problem metadata, which are
+        // kept for the Submission collection and problem catalog but not stored on the account.
+        submissions: stats.recentActivity || [],
+        activityCalendar
+    };
+};
+
+/**
+ * Check whether a verification code appears in the user-editable text of a platform profile
+ */
+const profileContainsToken = async (platformName, platformUsername, token) => {
+    const platform = getPlatform(platformName);
+
+    if (!platform || typeof platform.fetchProfileText !== 'function') {
+        throw new PlatformSyncError(platformName, `Verifying ${platformName} accounts is not supported yet`, 400);
+    }
+
+    assertAvailable(platformName);
+
+    const text = await platform.fetchProfileText(platformUsername);
+    return text.includes(token);
+};
+
+module.exports = {
+    syncPlatformData,
+    profileContainsToken
+};
@@ -0,0 +1,290 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, LayoutChangedError } = require('../errors');
+const {
+    resumeCursor,
+    advanceCursor,
+    createTally,
+    addSubmissions,
+    tallyToStats,
+    toSubmissionEntries
+} = require('../submissionTally');
+const { toText, numberAfter, labeledValue } = require('../html');
+const { bucketFor } = require('../../difficulty');
+
+const PLATFORM = 'atcoder';
+const SUBMISSIONS_PAGE_SIZE = 500;
+const RESOURCES_URL = 'https://kenkoooo.com/atcoder/resources';
+
+const atcoder = createHttpClient(PLATFORM, {
+    baseURL: 'https://atcoder.jp',
+    headers: { Accept: 'text/html,application/json' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+// AtCoder itself has no submissions API; AtCoder Problems mirrors it as JSON
+const atcoderProblems = createHttpClient(PLATFORM, {
+    baseURL: 'https://kenkoooo.com/atcoder/atcoder-api/v3'
+});
+
+// AtCoder Problems result codes mapped onto PlatformAccount recentActivity.status
+const RESULT_STATUS = {
+    AC: 'accepted',
+    WA: 'wrong-answer',
+    TLE: 'time-limit-exceeded',
+    MLE: 'memory-limit-exceeded',
+    OLE: 'runtime-error',
+    RE: 'runtime-error',
+    CE: 'compilation-error'
+};
+
+/**
+ * Bucket a problem by contest series and task position (abc123_a -> easy)
+ */
+const problemDifficulty = (problemId) => bucketFor(PLATFORM, problemId);
+
+/**
+ * Read rank and rating from the public profile page
+ */
+const parseProfilePage = (html) => {
+    const text = toText(html);
+    const rating = numberAfter(text, 'Rating');
+
+    if (rating === null && !/not yet participated/i.test(text)) {
+        throw new LayoutChangedError(PLATFORM, 'rating table not found on profile page');
+    }
+
+    return {
+        globalRank: numberAfter(text, 'Rank') || 0,
+        contestRating: rating || 0,
+        maxContestRating: numberAfter(text, 'Highest Rating') || 0,
+        contestsParticipated: numberAfter(text, 'Rated Matches') || 0
+    };
+};
+
+/**
+ * Map an AtCoder task onto problem catalog metadata
+ */
+const toCatalogProblem = ({ id, contestId, title, estimatedDifficulty }) => ({
+    externalId: id,
+    title: title || id,
+    url: `https://atcoder.jp/contests/${contestId}/tasks/${id}`,
+    // Prefer AtCoder Problems' estimate; the task position (in the id) is the fallback
+    nativeDifficulty: estimatedDifficulty ?? id
+});
+
+/**
+ * Normalize an AtCoder Problems submission for the submission tally
+ */
+const normalizeSubmission = (submission, contestNames) => {
+    const difficulty = problemDifficulty(submission.problem_id);
+
+    return {
+        id: submission.id,
+        time: submission.epoch_second,
+        problemKey: submission.problem_id,
+        // The task position in the id (abc123_d) sets the difficulty
+        nativeDifficulty: submission.problem_id,
+        accepted: submission.result === 'AC',
+        // Waiting for judge, or still running test cases ("3/10")
+        pending: ['WJ', 'WR'].includes(submission.result) || /^\d+\/\d+$/.test(submission.result),
+        language: submission.language,
+        activity: {
+            date: new Date(submission.epoch_second * 1000),
+            problemTitle: submission.problem_id,
+            problemDifficulty: difficulty,
+            status: RESULT_STATUS[submission.result],
+            language: submission.language,
+            contestName: contestNames.get(submission.contest_id)
+        },
+        problem: toCatalogProblem({ id: submission.problem_id, contestId: submission.contest_id })
+    };
+};
+
+/**
+ * Map contest history entries to display names keyed by contest id
+ */
+const contestNamesFromHistory = (history) => {
+    return new Map(history.map(entry => [entry.ContestScreenName.split('.')[0], entry.ContestName]));
+};
+
+/**
+ * Map the profile page and contest history onto the rating part of PlatformAccount.stats
+ */
+const mapRatingStats = (profile, history = []) => {
+    const ratedHistory = history.filter(entry => entry.IsRated);
+
+    return {
+        contestRating: profile.contestRating,
+        maxContestRating: Math.max(profile.maxContestRating, ...ratedHistory.map(entry => entry.NewRating)),
+        contestsParticipated: ratedHistory.length || profile.contestsParticipated,
+        globalRank: profile.globalRank
+    };
+};
+
+/**
+ * Map the profile page, contest history and submissions onto the PlatformAccount.stats shape,
+ * counting active days in timeZone
+ */
+const mapProfileToStats = ({ profile, history = [], submissions = [] }, now = new Date(), timeZone) => {
+    const contestNames = contestNamesFromHistory(history);
+    const tally = addSubmissions(
+        createTally(timeZone),
+        submissions.map(submission => normalizeSubmission(submission, contestNames))
+    );
+
+    return {
+        ...tallyToStats(tally, PLATFORM, now),
+        ...mapRatingStats(profile, history)
+    };
+};
+
+/**
+ * Page through AtCoder Problems' submission mirror, starting at fromSecond
+ */
+const fetchSubmissions = async (username, fromSecond = 0) => {
+    const submissions = [];
+
+    for (;;) {
+        const response = await atcoderProblems.get('/user/submissions', {
+            params: { user: username, from_second: fromSecond }
+        });
+        const page = response.data || [];
+
+        submissions.push(...page);
+
+        if (page.length < SUBMISSIONS_PAGE_SIZE) {
+            return submissions;
+        }
+        fromSecond = page[page.length - 1].epoch_second + 1;
+    }
+};
+
+/**
+ * Fetch the public profile page HTML
+ */
+const fetchProfilePage = async (username) => {
+    const response = await atcoder.get(`/users/${encodeURIComponent(username)}`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch the user's contest history (every contest entered, rated or not)
+ */
+const fetchContestHistory = async (username) => {
+    const response = await atcoder.get(`/users/${encodeURIComponent(username)}/history/json`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data || [];
+};
+
+/**
+ * Fetch an AtCoder user's rating and the submissions made since the cursor.
+ * Resolves with { stats, cursor, submissions }; stats only holds the rating, as submission
+ * totals are derived from the stored submissions. A null cursor fetches the full history.
+ */
+const fetchStatsSince = async (username, cursor) => {
+    const profile = parseProfilePage(await fetchProfilePage(username));
+    const history = await fetchContestHistory(username);
+
+    // Start from the last seen second; submissions already stored are skipped when recorded
+    const previous = resumeCursor(cursor);
+    const submissions = await fetchSubmissions(username, previous.lastSubmissionTime || 0);
+    const contestNames = contestNamesFromHistory(history);
+    const normalized = submissions.map(submission => normalizeSubmission(submission, contestNames));
+
+    return {
+        stats: mapRatingStats(profile, history),
+        cursor: advanceCursor(previous, normalized),
+        submissions: toSubmissionEntries(normalized)
+    };
+};
+
+/**
+ * Fetch an AtCoder user's stats from the profile page, contest history and whole submission history.
+ * Active days and streaks are counted in options.timeZone.
+ */
+const fetchStats = async (username, { timeZone } = {}) => {
+    const profile = parseProfilePage(await fetchProfilePage(username));
+    const history = await fetchContestHistory(username);
+    const submissions = await fetchSubmissions(username);
+
+    return mapProfileToStats({ profile, history, submissions }, new Date(), timeZone);
+};
+
+/**
+ * Fetch every rated contest the user took part in, as dated rating points
+ */
+const fetchRatingHistory = async (username) => {
+    const history = await fetchContestHistory(username);
+
+    return history
+        .filter(entry => entry.IsRated)
+        .map(entry => ({
+            contestId: entry.ContestScreenName.split('.')[0],
+            contestName: entry.ContestName,
+            date: new Date(entry.EndTime),
+            rating: entry.NewRating,
+            rank: entry.Place
+        }));
+};
+
+/**
+ * Fetch every AtCoder task, with AtCoder Problems' estimated difficulty, for the problem catalog
+ */
+const fetchProblemSet = async () => {
+    const problemsResponse = await atcoderProblems.get(`${RESOURCES_URL}/problems.json`);
+    const modelsResponse = await atcoderProblems.get(`${RESOURCES_URL}/problem-models.json`);
+    const models = modelsResponse.data || {};
+
+    return (problemsResponse.data || []).map(problem => toCatalogProblem({
+        id: problem.id,
+        contestId: problem.contest_id,
+        title: problem.title || problem.name,
+        estimatedDifficulty: models[problem.id]?.difficulty
+    }));
+};
+
+/**
+ * Pull the Affiliation field out of a profile page, the only free-text field it shows
+ */
+const parseProfileFields = (html) => labeledValue(html, 'Affiliation');
+
+/**
+ * Fetch the profile's Affiliation field for ownership checks
+ */
+const fetchProfileText = async (username) => parseProfileFields(await fetchProfilePage(username));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'AtCoder',
+    color: '#9CA3AF',
+    capabilities: {
+        rating: true,
+        difficultyBuckets: true,
+        contests: true,
+        incremental: true
+    },
+    // AtCoder Problems asks clients to leave at least a second between requests
+    rateLimit: {
+        requestsPerSecond: 1,
+        burst: 1
+    },
+    verificationHint: 'the Affiliation field of your AtCoder profile',
+    fetchStats,
+    fetchStatsSince,
+    fetchRatingHistory,
+    fetchProfileText,
+    parseProfileFields,
+    fetchProblemSet,
+    parseProfilePage,
+    mapProfileToStats,
+    problemDifficulty
+};
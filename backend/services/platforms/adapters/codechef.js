@@ -0,0 +1,112 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, LayoutChangedError } = require('../errors');
+const { toText, numberAfter, numberBefore, labeledValue, elementText } = require('../html');
+
+const PLATFORM = 'codechef';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://www.codechef.com',
+    headers: { Accept: 'text/html' },
+    // Unknown users are redirected to the home page rather than served a 404
+    maxRedirects: 0,
+    validateStatus: status => status === 200 || status === 302 || status === 404
+});
+
+/**
+ * Read the daily submission counts the profile page's activity heatmap is drawn from
+ * (a script variable of { date: 'YYYY-M-D', value } entries)
+ */
+const parseActivityCalendar = (html) => {
+    const match = /userDailySubmissionsStats\s*=\s*(\[[\s\S]*?\])\s*;/.exec(html);
+    if (!match) {
+        return [];
+    }
+
+    try {
+        return JSON.parse(match[1])
+            .filter(entry => entry.value > 0)
+            .map(entry => ({
+                date: String(entry.date).split('-').map(part => part.padStart(2, '0')).join('-'),
+                count: Number(entry.value)
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Map a CodeChef profile page onto the PlatformAccount.stats shape.
+ * The profile page only exposes aggregate numbers and the activity heatmap, so there is
+ * no recent activity.
+ */
+const parseProfilePage = (html) => {
+    const ratingMatch = /class="rating-number"[^>]*>\s*(\d+)/i.exec(html);
+
+    if (!ratingMatch) {
+        throw new LayoutChangedError(PLATFORM, 'rating-number element not found on profile page');
+    }
+
+    const text = toText(html);
+
+    return {
+        totalProblemsSolved: numberAfter(text, 'Total Problems Solved') || 0,
+        contestRating: parseInt(ratingMatch[1], 10),
+        maxContestRating: numberAfter(text, 'Highest Rating') || parseInt(ratingMatch[1], 10),
+        // Read from its own element: "Contests" alone also matches the site navigation
+        contestsParticipated: numberAfter(
+            elementText(html, 'div', 'contest-participated-count'),
+            'Contests Participated'
+        ) || 0,
+        globalRank: numberBefore(text, 'Global Rank') || 0,
+        countryRank: numberBefore(text, 'Country Rank') || 0,
+        activityCalendar: parseActivityCalendar(html)
+    };
+};
+
+/**
+ * Fetch the public profile page HTML
+ */
+const fetchProfilePage = async (username) => {
+    const response = await client.get(`/users/${encodeURIComponent(username)}`);
+
+    if (response.status !== 200) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a CodeChef user's stats by scraping the public profile page
+ */
+const fetchStats = async (username) => parseProfilePage(await fetchProfilePage(username));
+
+/**
+ * Pull the Name heading and Institution field out of a profile page
+ */
+const parseProfileFields = (html) => [
+    elementText(html, 'h1', 'h2-style'),
+    labeledValue(html, 'Institution')
+].join('\n');
+
+/**
+ * Fetch the profile's name and institution for ownership checks
+ */
+const fetchProfileText = async (username) => parseProfileFields(await fetchProfilePage(username));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'CodeChef',
+    color: '#F97316',
+    capabilities: {
+        rating: true,
+        difficultyBuckets: false,
+        contests: true
+    },
+    verificationHint: 'the Name or Institution field of your CodeChef profile',
+    fetchStats,
+    fetchProfileText,
+    parseProfilePage,
+    parseProfileFields
+};
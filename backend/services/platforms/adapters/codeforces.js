@@ -0,0 +1,250 @@
+const { createHttpClient } = require('../httpClient');
+const { PlatformSyncError, ProfileNotFoundError } = require('../errors');
+const {
+    resumeCursor,
+    advanceCursor,
+    createTally,
+    addSubmissions,
+    tallyToStats,
+    toSubmissionEntries
+} = require('../submissionTally');
+const { bucketFor } = require('../../difficulty');
+
+const PLATFORM = 'codeforces';
+const SUBMISSIONS_PAGE_SIZE = 100;
+const GYM_CONTEST_ID_MIN = 100000;
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://codeforces.com/api',
+    // Codeforces reports API failures (e.g. unknown handle) as HTTP 400 with a JSON body
+    validateStatus: status => status === 200 || status === 400
+});
+
+// Codeforces verdicts mapped onto PlatformAccount recentActivity.status
+const VERDICT_STATUS = {
+    OK: 'accepted',
+    WRONG_ANSWER: 'wrong-answer',
+    PRESENTATION_ERROR: 'wrong-answer',
+    CHALLENGED: 'wrong-answer',
+    TIME_LIMIT_EXCEEDED: 'time-limit-exceeded',
+    IDLENESS_LIMIT_EXCEEDED: 'time-limit-exceeded',
+    MEMORY_LIMIT_EXCEEDED: 'memory-limit-exceeded',
+    RUNTIME_ERROR: 'runtime-error',
+    SECURITY_VIOLATED: 'runtime-error',
+    CRASHED: 'runtime-error',
+    COMPILATION_ERROR: 'compilation-error'
+};
+
+/**
+ * Map a Codeforces problem rating onto easy/medium/hard
+ */
+const ratingToDifficulty = (rating) => bucketFor(PLATFORM, rating);
+
+/**
+ * Build a stable key for a problem across contest and gym submissions
+ */
+const problemKey = (problem) => `${problem.contestId || problem.problemsetName}-${problem.index}`;
+
+/**
+ * Link to a problem's statement (gym problems live under /gym)
+ */
+const problemUrl = (problem) => {
+    if (!problem.contestId) {
+        return undefined;
+    }
+    const section = problem.contestId >= GYM_CONTEST_ID_MIN ? 'gym' : 'contest';
+    return `https://codeforces.com/${section}/${problem.contestId}/problem/${problem.index}`;
+};
+
+/**
+ * Map a Codeforces problem object onto problem catalog metadata
+ */
+const toCatalogProblem = (problem) => ({
+    externalId: problemKey(problem),
+    title: problem.name,
+    url: problemUrl(problem),
+    tags: problem.tags || [],
+    nativeDifficulty: problem.rating
+});
+
+/**
+ * Normalize a user.status submission for the submission tally
+ */
+const normalizeSubmission = (submission, contestNames) => {
+    const difficulty = ratingToDifficulty(submission.problem.rating);
+
+    return {
+        id: submission.id,
+        time: submission.creationTimeSeconds,
+        problemKey: problemKey(submission.problem),
+        nativeDifficulty: submission.problem.rating,
+        accepted: submission.verdict === 'OK',
+        pending: !submission.verdict || submission.verdict === 'TESTING',
+        language: submission.programmingLanguage,
+        activity: {
+            date: new Date(submission.creationTimeSeconds * 1000),
+            problemTitle: submission.problem.name,
+            problemDifficulty: difficulty,
+            status: VERDICT_STATUS[submission.verdict],
+            language: submission.programmingLanguage,
+            contestName: contestNames.get(submission.contestId)
+        },
+        problem: toCatalogProblem(submission.problem)
+    };
+};
+
+/**
+ * Map user.info and user.rating payloads onto the rating part of PlatformAccount.stats
+ */
+const mapRatingStats = (info, ratingChanges = []) => ({
+    contestRating: info.rating || 0,
+    maxContestRating: info.maxRating || 0,
+    contestsParticipated: ratingChanges.length
+});
+
+/**
+ * Map user.info, user.rating and user.status payloads onto the PlatformAccount.stats shape,
+ * counting active days in timeZone
+ */
+const mapProfileToStats = ({ info, ratingChanges = [], submissions = [] }, now = new Date(), timeZone) => {
+    const contestNames = new Map(ratingChanges.map(change => [change.contestId, change.contestName]));
+    const tally = addSubmissions(
+        createTally(timeZone),
+        submissions.map(submission => normalizeSubmission(submission, contestNames))
+    );
+
+    return {
+        ...tallyToStats(tally, PLATFORM, now),
+        ...mapRatingStats(info, ratingChanges)
+    };
+};
+
+/**
+ * Call a Codeforces API method and unwrap its result
+ */
+const callApi = async (method, params, username) => {
+    const response = await client.get(`/${method}`, { params });
+    const body = response.data || {};
+
+    if (body.status !== 'OK') {
+        if (/not found/i.test(body.comment || '')) {
+            throw new ProfileNotFoundError(PLATFORM, username);
+        }
+        throw new PlatformSyncError(PLATFORM, `codeforces ${method} failed: ${body.comment || 'unknown error'}`);
+    }
+
+    return body.result;
+};
+
+/**
+ * Fetch submissions newer than lastSubmissionId. user.status returns newest first,
+ * so page until we reach a submission we have already seen.
+ */
+const fetchSubmissionsSince = async (username, lastSubmissionId) => {
+    if (lastSubmissionId === null) {
+        return callApi('user.status', { handle: username }, username);
+    }
+
+    const submissions = [];
+
+    for (let from = 1; ; from += SUBMISSIONS_PAGE_SIZE) {
+        const page = await callApi('user.status', { handle: username, from, count: SUBMISSIONS_PAGE_SIZE }, username);
+        const unseen = page.filter(submission => submission.id > lastSubmissionId);
+
+        submissions.push(...unseen);
+
+        if (unseen.length < page.length || page.length < SUBMISSIONS_PAGE_SIZE) {
+            return submissions;
+        }
+    }
+};
+
+/**
+ * Fetch a Codeforces user's rating and the submissions made since the cursor.
+ * Resolves with { stats, cursor, submissions }; stats only holds the rating, as submission
+ * totals are derived from the stored submissions. A null cursor fetches the full history.
+ */
+const fetchStatsSince = async (username, cursor) => {
+    // Run sequentially to stay within Codeforces' API call limit
+    const [info] = await callApi('user.info', { handles: username }, username);
+    const ratingChanges = await callApi('user.rating', { handle: username }, username);
+
+    const previous = resumeCursor(cursor);
+    const submissions = await fetchSubmissionsSince(username, previous.lastSubmissionId);
+    const contestNames = new Map(ratingChanges.map(change => [change.contestId, change.contestName]));
+    const normalized = submissions.map(submission => normalizeSubmission(submission, contestNames));
+
+    return {
+        stats: mapRatingStats(info, ratingChanges),
+        cursor: advanceCursor(previous, normalized),
+        submissions: toSubmissionEntries(normalized)
+    };
+};
+
+/**
+ * Fetch a Codeforces user's stats through the official API, with the whole submission history.
+ * Active days and streaks are counted in options.timeZone.
+ */
+const fetchStats = async (username, { timeZone } = {}) => {
+    const [info] = await callApi('user.info', { handles: username }, username);
+    const ratingChanges = await callApi('user.rating', { handle: username }, username);
+    const submissions = await fetchSubmissionsSince(username, null);
+
+    return mapProfileToStats({ info, ratingChanges, submissions }, new Date(), timeZone);
+};
+
+/**
+ * Fetch every rated contest the user took part in, as dated rating points
+ */
+const fetchRatingHistory = async (username) => {
+    const ratingChanges = await callApi('user.rating', { handle: username }, username);
+
+    return ratingChanges.map(change => ({
+        contestId: change.contestId,
+        contestName: change.contestName,
+        date: new Date(change.ratingUpdateTimeSeconds * 1000),
+        rating: change.newRating,
+        rank: change.rank
+    }));
+};
+
+/**
+ * Fetch the whole Codeforces problem set for the problem catalog
+ */
+const fetchProblemSet = async () => {
+    const { problems } = await callApi('problemset.problems', {});
+    return problems.map(toCatalogProblem);
+};
+
+/**
+ * Fetch the user-editable profile text (name, organization, city) for ownership checks
+ */
+const fetchProfileText = async (username) => {
+    const [info] = await callApi('user.info', { handles: username }, username);
+    return [info.firstName, info.lastName, info.organization, info.city].filter(Boolean).join(' ');
+};
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'Codeforces',
+    color: '#3B82F6',
+    capabilities: {
+        rating: true,
+        difficultyBuckets: true,
+        contests: true,
+        incremental: true
+    },
+    // Codeforces allows one API call every two seconds
+    rateLimit: {
+        requestsPerSecond: 0.5,
+        burst: 1
+    },
+    verificationHint: 'the First name or Organization field of your Codeforces social settings',
+    fetchStats,
+    fetchStatsSince,
+    fetchRatingHistory,
+    fetchProfileText,
+    fetchProblemSet,
+    mapProfileToStats,
+    ratingToDifficulty
+};
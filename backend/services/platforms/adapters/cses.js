@@ -0,0 +1,82 @@
+const { createHttpClient } = require('../httpClient');
+const { PlatformSyncError, ProfileNotFoundError, LayoutChangedError } = require('../errors');
+const { labeledValue } = require('../html');
+
+const PLATFORM = 'cses';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://cses.fi',
+    headers: { Accept: 'text/html' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+/**
+ * CSES profiles are addressed by numeric user id (the number in cses.fi/user/<id>)
+ */
+const assertUserId = (userId) => {
+    if (!/^\d+$/.test(userId)) {
+        throw new PlatformSyncError(PLATFORM, 'CSES accounts are linked by their numeric user id', 400);
+    }
+};
+
+/**
+ * Map a CSES problem set progress page onto the PlatformAccount.stats shape.
+ * Each task is marked full (solved), zero (attempted) or left blank.
+ */
+const parseProgressPage = (html) => {
+    const marks = html.match(/class="task-score icon(?: (full|zero))?"/g);
+
+    if (!marks) {
+        throw new LayoutChangedError(PLATFORM, 'task list not found on problem set progress page');
+    }
+
+    return {
+        totalProblemsSolved: marks.filter(mark => mark.includes('full')).length
+    };
+};
+
+/**
+ * Fetch a CSES page about one user
+ */
+const fetchUserPage = async (path, userId) => {
+    assertUserId(userId);
+
+    const response = await client.get(path);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, userId);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a CSES user's problem set progress
+ */
+const fetchStats = async (userId) => parseProgressPage(await fetchUserPage(`/problemset/user/${userId}/`, userId));
+
+/**
+ * Pull the account name out of a user page's details table
+ */
+const parseProfileFields = (html) => labeledValue(html, 'Name');
+
+/**
+ * Fetch the account name for ownership checks
+ */
+const fetchProfileText = async (userId) => parseProfileFields(await fetchUserPage(`/user/${userId}`, userId));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'CSES',
+    color: '#14B8A6',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: false,
+        contests: false
+    },
+    verificationHint: 'the display name in your CSES account settings',
+    fetchStats,
+    fetchProfileText,
+    parseProgressPage,
+    parseProfileFields
+};
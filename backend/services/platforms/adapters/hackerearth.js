@@ -0,0 +1,92 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, PrivateProfileError, LayoutChangedError } = require('../errors');
+const { toText, numberAfter, numberBefore, elementText } = require('../html');
+
+const PLATFORM = 'hackerearth';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://www.hackerearth.com',
+    headers: { Accept: 'text/html' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+/**
+ * Read a metric that HackerEarth renders either as "Label 12" or "12 Label"
+ */
+const metric = (text, label) => numberAfter(text, label) ?? numberBefore(text, label);
+
+/**
+ * Map a HackerEarth profile page onto the PlatformAccount.stats shape
+ */
+const parseProfilePage = (html, username) => {
+    const text = toText(html);
+
+    if (/profile is private|private profile/i.test(text)) {
+        throw new PrivateProfileError(PLATFORM, username);
+    }
+
+    const problemsSolved = metric(text, 'Problems Solved');
+
+    if (problemsSolved === null) {
+        throw new LayoutChangedError(PLATFORM, 'problems solved count not found on profile page');
+    }
+
+    const rating = metric(text, 'Rating') || 0;
+
+    return {
+        totalProblemsSolved: problemsSolved,
+        contestRating: rating,
+        maxContestRating: metric(text, 'Highest Rating') || rating,
+        contestsParticipated: metric(text, 'Contests Participated') || 0,
+        submissionStats: {
+            totalSubmissions: metric(text, 'Submissions') || 0
+        }
+    };
+};
+
+/**
+ * Fetch the public profile page HTML
+ */
+const fetchProfilePage = async (username) => {
+    const response = await client.get(`/@${encodeURIComponent(username)}`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a HackerEarth user's stats by scraping the public profile page
+ */
+const fetchStats = async (username) => parseProfilePage(await fetchProfilePage(username), username);
+
+/**
+ * Pull the name heading and bio out of a profile page
+ */
+const parseProfileFields = (html) => [
+    elementText(html, 'h1'),
+    elementText(html, 'div', 'bio')
+].join('\n');
+
+/**
+ * Fetch the profile's name and bio for ownership checks
+ */
+const fetchProfileText = async (username) => parseProfileFields(await fetchProfilePage(username));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'HackerEarth',
+    color: '#A855F7',
+    capabilities: {
+        rating: true,
+        difficultyBuckets: false,
+        contests: true
+    },
+    verificationHint: 'the Name or Bio field of your HackerEarth profile',
+    fetchStats,
+    fetchProfileText,
+    parseProfilePage,
+    parseProfileFields
+};
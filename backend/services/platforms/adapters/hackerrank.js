@@ -0,0 +1,128 @@
+const { createHttpClient } = require('../httpClient');
+const { PlatformSyncError, ProfileNotFoundError, PrivateProfileError } = require('../errors');
+const { toDayNumber, computeStreak } = require('../utils');
+
+const PLATFORM = 'hackerrank';
+const RECENT_SUBMISSIONS_LIMIT = 20;
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://www.hackerrank.com/rest',
+    validateStatus: status => status === 200 || status === 403 || status === 404
+});
+
+/**
+ * Map HackerRank's profile, badge, submission history and recent challenge
+ * payloads onto the PlatformAccount.stats shape.
+ * The streak is judged against today in timeZone; the submission history is keyed by date.
+ */
+const mapProfileToStats = ({ badges = [], submissionHistory = {}, recentChallenges = [] }, now = new Date(), timeZone) => {
+    const activityCalendar = Object.keys(submissionHistory)
+        .filter(day => parseInt(submissionHistory[day], 10) > 0)
+        .sort()
+        .map(day => ({ date: day, count: parseInt(submissionHistory[day], 10) }));
+    const activeDays = activityCalendar.map(entry => toDayNumber(`${entry.date}T00:00:00Z`));
+
+    const totalSubmissions = Object.values(submissionHistory)
+        .reduce((sum, count) => sum + (parseInt(count, 10) || 0), 0);
+
+    return {
+        totalProblemsSolved: badges.reduce((sum, badge) => sum + (badge.solved || 0), 0),
+        badges: badges.filter(badge => badge.stars > 0).length,
+        streak: computeStreak(activeDays, now, timeZone),
+        submissionStats: {
+            totalSubmissions
+        },
+        recentActivity: recentChallenges.slice(0, RECENT_SUBMISSIONS_LIMIT).map(challenge => ({
+            date: new Date(challenge.created_at),
+            problemTitle: challenge.name,
+            status: 'accepted',
+            problemId: challenge.ch_slug,
+            problem: {
+                externalId: challenge.ch_slug,
+                title: challenge.name,
+                url: `https://www.hackerrank.com/challenges/${challenge.ch_slug}/problem`
+            }
+        })),
+        activityCalendar
+    };
+};
+
+/**
+ * GET a HackerRank REST endpoint, translating 403/404 into typed errors
+ */
+const getJson = async (path, username, params) => {
+    const response = await client.get(path, { params });
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+    if (response.status === 403) {
+        throw new PrivateProfileError(PLATFORM, username);
+    }
+    if (!response.data || typeof response.data !== 'object') {
+        throw new PlatformSyncError(PLATFORM, `Unexpected response from hackerrank ${path}`);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch the public profile model
+ */
+const fetchProfile = async (username) => {
+    const profile = await getJson(`/contests/master/hackers/${encodeURIComponent(username)}/profile`, username);
+
+    if (profile.model?.is_secret) {
+        throw new PrivateProfileError(PLATFORM, username);
+    }
+
+    return profile.model || {};
+};
+
+/**
+ * Fetch a HackerRank user's stats through the REST endpoints used by the profile page
+ */
+const fetchStats = async (username, { timeZone } = {}) => {
+    const handle = encodeURIComponent(username);
+
+    // Throws for unknown or private profiles before the other endpoints are hit
+    await fetchProfile(username);
+
+    const [badges, submissionHistory, recentChallenges] = await Promise.all([
+        getJson(`/hackers/${handle}/badges`, username),
+        getJson(`/hackers/${handle}/submission_histories`, username),
+        getJson(`/hackers/${handle}/recent_challenges`, username, {
+            limit: RECENT_SUBMISSIONS_LIMIT,
+            response_version: 'v2'
+        })
+    ]);
+
+    return mapProfileToStats({
+        badges: badges.models || [],
+        submissionHistory,
+        recentChallenges: recentChallenges.models || []
+    }, new Date(), timeZone);
+};
+
+/**
+ * Fetch the user-editable profile text (name and short bio) for ownership checks
+ */
+const fetchProfileText = async (username) => {
+    const profile = await fetchProfile(username);
+    return [profile.name, profile.short_bio, profile.company, profile.school].filter(Boolean).join(' ');
+};
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'HackerRank',
+    color: '#22C55E',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: false,
+        contests: false
+    },
+    verificationHint: 'the Name or About field of your HackerRank profile',
+    fetchStats,
+    fetchProfileText,
+    mapProfileToStats
+};
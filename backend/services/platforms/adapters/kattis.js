@@ -0,0 +1,74 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, LayoutChangedError } = require('../errors');
+const { toText, numberAfter, elementText } = require('../html');
+
+const PLATFORM = 'kattis';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://open.kattis.com',
+    headers: { Accept: 'text/html' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+/**
+ * Map a Kattis profile page onto the PlatformAccount.stats shape.
+ * Kattis publishes a score (the sum of solved problems' difficulty) and a rank, but no solve count.
+ */
+const parseProfilePage = (html) => {
+    const text = toText(html);
+    const score = /\bScore\s*:?\s*([\d,]+(?:\.\d+)?)/i.exec(text);
+
+    if (!score) {
+        throw new LayoutChangedError(PLATFORM, 'score not found on profile page');
+    }
+
+    return {
+        score: parseFloat(score[1].replace(/,/g, '')),
+        globalRank: numberAfter(text, 'Rank') || 0
+    };
+};
+
+/**
+ * Fetch the public profile page HTML
+ */
+const fetchProfilePage = async (username) => {
+    const response = await client.get(`/users/${encodeURIComponent(username)}`);
+
+    if (response.status === 404) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a Kattis user's score and rank by scraping the public profile page
+ */
+const fetchStats = async (username) => parseProfilePage(await fetchProfilePage(username));
+
+/**
+ * Pull the user's name, the page's main heading, out of a profile page
+ */
+const parseProfileFields = (html) => elementText(html, 'h1');
+
+/**
+ * Fetch the profile's name for ownership checks
+ */
+const fetchProfileText = async (username) => parseProfileFields(await fetchProfilePage(username));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'Kattis',
+    color: '#E11D48',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: false,
+        contests: false,
+        score: true
+    },
+    verificationHint: 'the Name field of your Kattis profile',
+    fetchStats,
+    fetchProfileText,
+    parseProfilePage,
+    parseProfileFields
+};
@@ -0,0 +1,309 @@
+const { createHttpClient } = require('../httpClient');
+const { PlatformSyncError, ProfileNotFoundError } = require('../errors');
+const { toDayNumber, dayNumberToDate, computeStreak } = require('../utils');
+const { remapBucketCounts } = require('../../difficulty');
+
+const PLATFORM = 'leetcode';
+const RECENT_SUBMISSIONS_LIMIT = 20;
+
+// LeetCode's numeric difficulty levels in the problem list
+const DIFFICULTY_LEVELS = {
+    1: 'Easy',
+    2: 'Medium',
+    3: 'Hard'
+};
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://leetcode.com',
+    headers: {
+        'Content-Type': 'application/json',
+        Referer: 'https://leetcode.com'
+    }
+});
+
+const PROFILE_QUERY = `
+    query userProfile($username: String!, $limit: Int!) {
+        matchedUser(username: $username) {
+            username
+            profile {
+                ranking
+                countryName
+            }
+            submitStats {
+                acSubmissionNum {
+                    difficulty
+                    count
+                    submissions
+                }
+                totalSubmissionNum {
+                    difficulty
+                    count
+                    submissions
+                }
+            }
+            badges {
+                id
+                name
+            }
+            languageProblemCount {
+                languageName
+                problemsSolved
+            }
+            userCalendar {
+                submissionCalendar
+            }
+        }
+        userContestRanking(username: $username) {
+            attendedContestsCount
+            rating
+            globalRanking
+        }
+        userContestRankingHistory(username: $username) {
+            attended
+            rating
+        }
+        recentAcSubmissionList(username: $username, limit: $limit) {
+            id
+            title
+            titleSlug
+            timestamp
+            lang
+        }
+    }
+`;
+
+/**
+ * Find the entry for a difficulty in LeetCode's submission count arrays
+ */
+const findDifficulty = (entries = [], difficulty) => {
+    return entries.find(entry => entry.difficulty === difficulty) || { count: 0, submissions: 0 };
+};
+
+/**
+ * Parse LeetCode's submission calendar (JSON string of unix seconds -> count) into
+ * { date, count } entries for the days with submissions
+ */
+const parseSubmissionCalendar = (calendar) => {
+    if (!calendar) {
+        return [];
+    }
+
+    try {
+        const parsed = typeof calendar === 'string' ? JSON.parse(calendar) : calendar;
+        return Object.keys(parsed)
+            .filter(timestamp => parsed[timestamp] > 0)
+            .map(timestamp => ({ date: dayNumberToDate(toDayNumber(parseInt(timestamp))), count: parsed[timestamp] }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Days with submissions in timeZone. The calendar only names LeetCode's own (UTC) days, so the
+ * days of recent accepted submissions are taken from their exact time in timeZone instead;
+ * other calendar days, such as those with only failed submissions, keep their UTC day.
+ */
+const activeDaysIn = (activityCalendar, recent, timeZone) => {
+    const placedUtcDays = new Set(recent.map(submission => toDayNumber(parseInt(submission.timestamp))));
+    const days = recent.map(submission => toDayNumber(parseInt(submission.timestamp), timeZone));
+
+    activityCalendar.forEach(entry => {
+        const day = toDayNumber(entry.date);
+        if (!placedUtcDays.has(day)) {
+            days.push(day);
+        }
+    });
+
+    return days;
+};
+
+/**
+ * Map a LeetCode question onto problem catalog metadata
+ */
+const toCatalogProblem = ({ titleSlug, title, level }) => ({
+    externalId: titleSlug,
+    title,
+    url: `https://leetcode.com/problems/${titleSlug}/`,
+    nativeDifficulty: DIFFICULTY_LEVELS[level]
+});
+
+/**
+ * Map a LeetCode GraphQL response onto the PlatformAccount.stats shape.
+ * The streak counts days in timeZone; activityCalendar keeps LeetCode's own (UTC) days.
+ */
+const mapProfileToStats = (data, now = new Date(), timeZone) => {
+    const user = data.matchedUser;
+    const contest = data.userContestRanking || {};
+    const history = data.userContestRankingHistory || [];
+    const recent = data.recentAcSubmissionList || [];
+    const activityCalendar = parseSubmissionCalendar(user.userCalendar?.submissionCalendar);
+
+    const accepted = user.submitStats?.acSubmissionNum || [];
+    const total = user.submitStats?.totalSubmissionNum || [];
+
+    const attendedRatings = history
+        .filter(entry => entry.attended)
+        .map(entry => Math.round(entry.rating));
+    const contestRating = Math.round(contest.rating || 0);
+
+    // LeetCode publishes solves per language but not submissions, so those are left out
+    const languageStats = {};
+    (user.languageProblemCount || []).forEach(({ languageName, problemsSolved }) => {
+        languageStats[languageName] = { problemsSolved };
+    });
+
+    // LeetCode reports solves per native label; map them onto the common buckets
+    const difficultyCounts = remapBucketCounts(PLATFORM, {
+        Easy: findDifficulty(accepted, 'Easy').count,
+        Medium: findDifficulty(accepted, 'Medium').count,
+        Hard: findDifficulty(accepted, 'Hard').count
+    });
+
+    return {
+        totalProblemsSolved: findDifficulty(accepted, 'All').count,
+        easyProblemsSolved: difficultyCounts.easy,
+        mediumProblemsSolved: difficultyCounts.medium,
+        hardProblemsSolved: difficultyCounts.hard,
+        contestRating,
+        maxContestRating: Math.max(contestRating, ...attendedRatings),
+        contestsParticipated: contest.attendedContestsCount || 0,
+        globalRank: user.profile?.ranking || 0,
+        badges: (user.badges || []).length,
+        streak: computeStreak(activeDaysIn(activityCalendar, recent, timeZone), now, timeZone),
+        submissionStats: {
+            totalSubmissions: findDifficulty(total, 'All').submissions,
+            acceptedSubmissions: findDifficulty(accepted, 'All').submissions
+        },
+        languageStats,
+        recentActivity: recent.map(submission => ({
+            date: new Date(parseInt(submission.timestamp) * 1000),
+            problemTitle: submission.title,
+            status: 'accepted',
+            language: submission.lang,
+            externalId: submission.id,
+            problemId: submission.titleSlug,
+            problem: toCatalogProblem(submission)
+        })),
+        activityCalendar
+    };
+};
+
+const RATING_HISTORY_QUERY = `
+    query userContestHistory($username: String!) {
+        matchedUser(username: $username) {
+            username
+        }
+        userContestRankingHistory(username: $username) {
+            attended
+            rating
+            ranking
+            contest {
+                title
+                startTime
+            }
+        }
+    }
+`;
+
+const ABOUT_QUERY = `
+    query userAbout($username: String!) {
+        matchedUser(username: $username) {
+            profile {
+                realName
+                aboutMe
+            }
+        }
+    }
+`;
+
+/**
+ * Run a GraphQL query about one user, translating a missing user into ProfileNotFoundError
+ */
+const queryUser = async (query, variables, username) => {
+    const response = await client.post('/graphql', { query, variables });
+
+    const { data, errors } = response.data || {};
+
+    if (!data || !data.matchedUser) {
+        const missingUser = data?.matchedUser === null
+            || (errors || []).some(error => /does not exist/i.test(error.message));
+
+        if (missingUser) {
+            throw new ProfileNotFoundError(PLATFORM, username);
+        }
+        throw new PlatformSyncError(PLATFORM, 'Unexpected response from leetcode GraphQL API');
+    }
+
+    return data;
+};
+
+/**
+ * Fetch a LeetCode user's stats through the public GraphQL endpoint
+ */
+const fetchStats = async (username, { timeZone } = {}) => {
+    const data = await queryUser(PROFILE_QUERY, { username, limit: RECENT_SUBMISSIONS_LIMIT }, username);
+    return mapProfileToStats(data, new Date(), timeZone);
+};
+
+/**
+ * Fetch every contest the user attended, as dated rating points.
+ * LeetCode lists every contest since the user joined; only attended ones changed the rating.
+ */
+const fetchRatingHistory = async (username) => {
+    const data = await queryUser(RATING_HISTORY_QUERY, { username }, username);
+
+    return (data.userContestRankingHistory || [])
+        .filter(entry => entry.attended && entry.contest)
+        .map(entry => ({
+            contestId: entry.contest.title,
+            contestName: entry.contest.title,
+            date: new Date(entry.contest.startTime * 1000),
+            rating: Math.round(entry.rating),
+            rank: entry.ranking
+        }));
+};
+
+/**
+ * Fetch the full LeetCode problem list for the problem catalog
+ */
+const fetchProblemSet = async () => {
+    const response = await client.get('/api/problems/all/');
+    const pairs = response.data?.stat_status_pairs;
+
+    if (!Array.isArray(pairs)) {
+        throw new PlatformSyncError(PLATFORM, 'Unexpected response from leetcode problem list');
+    }
+
+    return pairs.map(pair => toCatalogProblem({
+        titleSlug: pair.stat.question__title_slug,
+        title: pair.stat.question__title,
+        level: pair.difficulty?.level
+    }));
+};
+
+/**
+ * Fetch the user-editable profile text (name and summary) for ownership checks
+ */
+const fetchProfileText = async (username) => {
+    const data = await queryUser(ABOUT_QUERY, { username }, username);
+    const { realName, aboutMe } = data.matchedUser.profile || {};
+    return [realName, aboutMe].filter(Boolean).join(' ');
+};
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'LeetCode',
+    color: '#EAB308',
+    capabilities: {
+        rating: true,
+        difficultyBuckets: true,
+        contests: true
+    },
+    verificationHint: 'the Name or Summary field of your LeetCode profile',
+    fetchStats,
+    fetchRatingHistory,
+    fetchProfileText,
+    fetchProblemSet,
+    mapProfileToStats
+};
@@ -0,0 +1,17 @@
+/**
+ * Judges we don't have an adapter for.
+ * Accounts on this platform are never synced; their stats are built from
+ * imported submission history (see services/submissionImport.js).
+ */
+module.exports = {
+    id: 'other',
+    displayName: 'Other Judges',
+    color: '#6B7280',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: true,
+        contests: false,
+        incremental: false,
+        importOnly: true
+    }
+};
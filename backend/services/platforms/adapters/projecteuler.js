@@ -0,0 +1,54 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, LayoutChangedError } = require('../errors');
+
+const PLATFORM = 'projecteuler';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://projecteuler.net',
+    headers: { Accept: 'text/plain' },
+    validateStatus: status => status === 200 || status === 404
+});
+
+/**
+ * Map the plain-text profile ("username,country,language,solved,level") onto the
+ * PlatformAccount.stats shape. Project Euler has no rating, contests or submission history.
+ */
+const parseProfile = (text) => {
+    const fields = String(text).trim().split(',');
+    const solved = parseInt(fields[3], 10);
+
+    if (fields.length < 4 || Number.isNaN(solved)) {
+        throw new LayoutChangedError(PLATFORM, 'unexpected plain-text profile format');
+    }
+
+    return {
+        totalProblemsSolved: solved
+    };
+};
+
+/**
+ * Fetch a Project Euler user's solve count from their plain-text profile.
+ * Only profiles made public under the account's "Profile" settings can be read.
+ */
+const fetchStats = async (username) => {
+    const response = await client.get(`/profile/${encodeURIComponent(username)}.txt`);
+
+    if (response.status === 404 || !String(response.data).trim()) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return parseProfile(response.data);
+};
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'Project Euler',
+    color: '#92400E',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: false,
+        contests: false
+    },
+    fetchStats,
+    parseProfile
+};
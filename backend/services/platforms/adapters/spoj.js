@@ -0,0 +1,94 @@
+const { createHttpClient } = require('../httpClient');
+const { ProfileNotFoundError, LayoutChangedError } = require('../errors');
+const { toText, numberAfter, elementText } = require('../html');
+
+const PLATFORM = 'spoj';
+
+const client = createHttpClient(PLATFORM, {
+    baseURL: 'https://www.spoj.com',
+    headers: { Accept: 'text/html' },
+    // Unknown users are redirected to the home page rather than served a 404
+    maxRedirects: 0,
+    validateStatus: status => status === 200 || status === 302 || status === 404
+});
+
+/**
+ * Map a SPOJ profile page onto the PlatformAccount.stats shape.
+ * SPOJ has no contest rating; its ranking is by points, stored as the account score.
+ */
+const parseProfilePage = (html) => {
+    const text = toText(html);
+    const problemsSolved = numberAfter(text, 'Problems solved');
+
+    if (problemsSolved === null) {
+        throw new LayoutChangedError(PLATFORM, 'problems solved count not found on profile page');
+    }
+
+    const ranking = /World Rank:\s*#([\d,]+)\s*\(([\d.]+)\s*points?\)/i.exec(text);
+
+    return {
+        totalProblemsSolved: problemsSolved,
+        globalRank: ranking ? parseInt(ranking[1].replace(/,/g, ''), 10) : 0,
+        score: ranking ? parseFloat(ranking[2]) : 0,
+        submissionStats: {
+            totalSubmissions: numberAfter(text, 'Solutions submitted') || 0
+        }
+    };
+};
+
+/**
+ * Fetch the public profile page HTML
+ */
+const fetchProfilePage = async (username) => {
+    const response = await client.get(`/users/${encodeURIComponent(username)}/`);
+
+    if (response.status !== 200) {
+        throw new ProfileNotFoundError(PLATFORM, username);
+    }
+
+    return response.data;
+};
+
+/**
+ * Fetch a SPOJ user's stats by scraping the public profile page
+ */
+const fetchStats = async (username) => parseProfilePage(await fetchProfilePage(username));
+
+/**
+ * Pull the name and institution out of the profile card (#user-profile-left), which shows
+ * the name as a heading and the institution as an "Institution: ..." line
+ */
+const parseProfileFields = (html = '') => {
+    const start = html.indexOf('id="user-profile-left"');
+    if (start === -1) {
+        return '';
+    }
+    const card = html.slice(start, html.indexOf('</div>', start));
+    const institution = card.split(/<\/p>/i)
+        .map(line => toText(line).match(/Institution:\s*(.*)/i))
+        .find(Boolean);
+
+    return [elementText(card, 'h3'), institution ? institution[1] : ''].join('\n');
+};
+
+/**
+ * Fetch the profile's name and institution for ownership checks
+ */
+const fetchProfileText = async (username) => parseProfileFields(await fetchProfilePage(username));
+
+module.exports = {
+    id: PLATFORM,
+    displayName: 'SPOJ',
+    color: '#0EA5E9',
+    capabilities: {
+        rating: false,
+        difficultyBuckets: false,
+        contests: false,
+        score: true
+    },
+    verificationHint: 'the Name or Institution field of your SPOJ profile',
+    fetchStats,
+    fetchProfileText,
+    parseProfilePage,
+    parseProfileFields
+};
@@ -0,0 +1,68 @@
+const { AppError } = require('../../middleware/errorHandler');
+
+/**
+ * Base error for failures while syncing a platform account
+ */
+class PlatformSyncError extends AppError {
+    constructor(platform, message, statusCode = 502) {
+        super(message, statusCode);
+        this.name = 'PlatformSyncError';
+        this.code = 'SYNC_FAILED';
+        this.platform = platform;
+    }
+}
+
+/**
+ * The platform reports that the requested profile does not exist
+ */
+class ProfileNotFoundError extends PlatformSyncError {
+    constructor(platform, username) {
+        super(platform, `${platform} user '${username}' not found`, 404);
+        this.name = 'ProfileNotFoundError';
+        this.code = 'PROFILE_NOT_FOUND';
+        this.username = username;
+    }
+}
+
+/**
+ * The profile exists but its stats are hidden from the public
+ */
+class PrivateProfileError extends PlatformSyncError {
+    constructor(platform, username) {
+        super(platform, `${platform} profile '${username}' is private`, 403);
+        this.name = 'PrivateProfileError';
+        this.code = 'PRIVATE_PROFILE';
+        this.username = username;
+    }
+}
+
+/**
+ * A scraped page no longer matches the markup the adapter expects
+ */
+class LayoutChangedError extends PlatformSyncError {
+    constructor(platform, detail) {
+        super(platform, `${platform} page layout changed: ${detail}`);
+        this.name = 'LayoutChangedError';
+        this.code = 'LAYOUT_CHANGED';
+    }
+}
+
+/**
+ * Requests to the platform are paused because it keeps throttling us or failing
+ */
+class CircuitOpenError extends PlatformSyncError {
+    constructor(platform, retryAt) {
+        super(platform, `${platform} is temporarily unavailable, retrying after ${retryAt.toISOString()}`, 503);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryAt = retryAt;
+    }
+}
+
+module.exports = {
+    PlatformSyncError,
+    ProfileNotFoundError,
+    PrivateProfileError,
+    LayoutChangedError,
+    CircuitOpenError
+};
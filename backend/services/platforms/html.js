@@ -0,0 +1,74 @@
+// Small helpers for pulling numbers out of scraped profile pages.
+// Pages are flattened to plain text first so minor markup changes don't break parsing.
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Strip scripts, styles and tags from an HTML page and collapse whitespace
+ */
+const toText = (html = '') => {
+    return html
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&[a-z#0-9]+;/gi, entity => ENTITIES[entity] || ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value) => parseInt(value.replace(/,/g, ''), 10);
+
+/**
+ * Find the first number following a label, e.g. "Highest Rating 1834"
+ */
+const numberAfter = (text, label) => {
+    const match = text.match(new RegExp(`${escapeRegExp(label)}[\\s:()]*(-?[\\d,]+)`, 'i'));
+    return match ? parseNumber(match[1]) : null;
+};
+
+/**
+ * Find the number preceding a label, e.g. "57 Problems Solved"
+ */
+const numberBefore = (text, label) => {
+    const match = text.match(new RegExp(`(-?[\\d,]+)\\s*${escapeRegExp(label)}`, 'i'));
+    return match ? parseNumber(match[1]) : null;
+};
+
+/**
+ * Text of the cell next to a label, e.g. <th>Affiliation</th><td>MIT</td>
+ * or <label>Institution:</label><span>MIT</span>; empty when there is no such field
+ */
+const labeledValue = (html = '', label) => {
+    const match = new RegExp(
+        `<(th|td|dt|label|b|strong)\\b[^>]*>\\s*${escapeRegExp(label)}\\s*:?\\s*</\\1>\\s*<(td|dd|span|div|p)\\b[^>]*>([\\s\\S]*?)</\\2>`,
+        'i'
+    ).exec(html);
+    return match ? toText(match[3]) : '';
+};
+
+/**
+ * Text of the first element with a tag (and class, when given), e.g. the <h1> holding a
+ * profile name; empty when there is none
+ */
+const elementText = (html = '', tag, className) => {
+    const classPattern = className ? `[^>]*\\bclass="(?:[^"]*\\s)?${escapeRegExp(className)}(?:\\s[^"]*)?"` : '';
+    const match = new RegExp(`<${tag}\\b${classPattern}[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(html);
+    return match ? toText(match[1]) : '';
+};
+
+module.exports = {
+    toText,
+    numberAfter,
+    numberBefore,
+    labeledValue,
+    elementText
+};
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { PlatformSyncError } = require('./errors');
+const { acquire, recordResponse } = require('./throttle');
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+const parseRetryAfter = (value) => {
+    if (!value) {
+        return 0;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+};
+
+/**
+ * Create an axios instance for talking to a platform API.
+ * Requests go through the platform's rate limiter and circuit breaker.
+ * Network and HTTP failures are rethrown as PlatformSyncError so callers
+ * only have to deal with one error type.
+ */
+const createHttpClient = (platform, config = {}) => {
+    const client = axios.create({
+        timeout: 15000,
+        ...config,
+        headers: {
+            'User-Agent': 'CodeTrackPro/1.0 (+https://codetrackpro.com)',
+            Accept: 'application/json',
+            ...(config.headers || {})
+        }
+    });
+
+    client.interceptors.request.use(async request => {
+        await acquire(platform);
+        return request;
+    });
+
+    client.interceptors.response.use(
+        response => {
+            recordResponse(platform, response.status);
+            return response;
+        },
+        error => {
+            if (error instanceof PlatformSyncError) {
+                // Rejected by the breaker before the request was sent
+                return Promise.reject(error);
+            }
+
+            const status = error.response?.status;
+            recordResponse(platform, status, parseRetryAfter(error.response?.headers?.['retry-after']));
+
+            const message = status
+                ? `${platform} responded with HTTP ${status}`
+                : `${platform} request failed: ${error.message}`;
+
+            const syncError = new PlatformSyncError(platform, message);
+            syncError.upstreamStatus = status;
+            return Promise.reject(syncError);
+        }
+    );
+
+    return client;
+};
+
+module.exports = {
+    createHttpClient
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { configureRateLimit } = require('./throttle');
+
+/**
+ * Platform registry.
+ *
+ * Every module in ./adapters describes one platform:
+ *   id            - value stored in platformName fields
+ *   displayName   - human readable name
+ *   color         - hex colour used by charts and the dashboard
+ *   capabilities  - { rating, difficultyBuckets, contests, incremental, importOnly, score }
+ *   fetchStats    - async (username, { timeZone }) => PlatformAccount.stats shape, with streaks counted
+ *                   in the account owner's time zone; not needed for importOnly
+ *                   platforms, whose accounts are filled by submission imports instead of syncs
+ *   fetchStatsSince - async (username, cursor) => { stats, cursor, submissions }, only for incremental platforms;
+ *                   cursor is the last stored submission and stats only the fields the profile reports,
+ *                   submission totals being derived from the stored submissions
+ *   fetchRatingHistory - optional async (username) => [{ contestId, contestName, date, rating, rank }],
+ *                   one point per rated contest, used to backfill rating charts
+ *   fetchProfileText - async (username) => user-editable profile text, used to verify ownership
+ *   verificationHint - where on the platform profile the user should put the verification code
+ *   fetchProblemSet - optional async () => problem catalog entries for platforms that publish their problem set
+ *   rateLimit     - optional { requestsPerSecond, burst } for outbound requests
+ *
+ * Adding a platform means dropping a new module into ./adapters.
+ */
+const ADAPTERS_DIR = path.join(__dirname, 'adapters');
+
+const loadPlatforms = () => {
+    const platforms = new Map();
+
+    fs.readdirSync(ADAPTERS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => {
+            const platform = require(path.join(ADAPTERS_DIR, file));
+
+            if (!platform.id || (typeof platform.fetchStats !== 'function' && !platform.capabilities?.importOnly)) {
+                throw new Error(`Platform adapter ${file} must export an id and fetchStats()`);
+            }
+
+            configureRateLimit(platform.id, platform.rateLimit);
+            platforms.set(platform.id, platform);
+        });
+
+    return platforms;
+};
+
+const platforms = loadPlatforms();
+
+/**
+ * Get a platform definition by id
+ */
+const getPlatform = (id) => platforms.get(id);
+
+/**
+ * Check whether an id belongs to a registered platform
+ */
+const isPlatform = (id) => platforms.has(id);
+
+/**
+ * Ids of all registered platforms, e.g. for schema enums and validators
+ */
+const getPlatformIds = () => Array.from(platforms.keys());
+
+/**
+ * Public metadata for all platforms (no adapter functions)
+ */
+const listPlatforms = () => Array.from(platforms.values()).map(platform => ({
+    id: platform.id,
+    displayName: platform.displayName,
+    color: platform.color,
+    capabilities: { ...platform.capabilities },
+    verificationHint: platform.verificationHint
+}));
+
+/**
+ * Check a platform capability (rating, difficultyBuckets, contests, incremental, importOnly, score)
+ */
+const hasCapability = (id, capability) => Boolean(platforms.get(id)?.capabilities?.[capability]);
+
+module.exports = {
+    getPlatform,
+    isPlatform,
+    getPlatformIds,
+    listPlatforms,
+    hasCapability
+};
@@ -0,0 +1,189 @@
+const { toDayNumber, computeStreak } = require('./utils');
+const { bucketFor } = require('../difficulty');
+const { DEFAULT_TIME_ZONE } = require('../../utils/timezone');
+
+// Bump when the cursor layout changes; older cursors then trigger a full resync
+// (version 2 and earlier cursors held the whole tally)
+const CURSOR_VERSION = 3;
+const RECENT_SUBMISSIONS_LIMIT = 20;
+
+/**
+ * Where an incremental sync stopped: the last submission it stored.
+ * Only this position is kept on the account; totals are derived from the stored submissions.
+ */
+const createCursor = () => ({
+    version: CURSOR_VERSION,
+    lastSubmissionId: null,
+    lastSubmissionTime: null
+});
+
+/**
+ * Resume from a stored cursor, or start over if there is none or it is outdated
+ */
+const resumeCursor = (cursor) => {
+    const usable = cursor && cursor.version === CURSOR_VERSION;
+    return usable ? cursor : createCursor();
+};
+
+/**
+ * Move the cursor past submissions newer than it.
+ * It stops at the first submission still being judged so that submission is fetched
+ * again, with its final verdict, on the next sync.
+ */
+const advanceCursor = (cursor, submissions) => {
+    const next = { ...cursor };
+
+    const ordered = submissions
+        .filter(submission => cursor.lastSubmissionId === null || submission.id > cursor.lastSubmissionId)
+        .sort((a, b) => a.time - b.time || a.id - b.id);
+
+    for (const submission of ordered) {
+        if (submission.pending) {
+            break;
+        }
+        next.lastSubmissionId = submission.id;
+        next.lastSubmissionTime = submission.time;
+    }
+
+    return next;
+};
+
+/**
+ * Running totals built from a platform's submission history.
+ *
+ * Adapters feed it normalized submissions:
+ *   { id, time (unix seconds), problemKey, nativeDifficulty, accepted, pending, language, activity, problem }
+ * where problem is catalog metadata ({ externalId, title, url, tags, ... }) for the problem catalog.
+ * Active days are counted in the account owner's time zone, so streaks follow their calendar.
+ */
+const createTally = (timeZone = DEFAULT_TIME_ZONE) => ({
+    timeZone,
+    totalSubmissions: 0,
+    acceptedSubmissions: 0,
+    solved: [], // [{ key, nativeDifficulty, languages: [] }]
+    languages: [], // [{ name, submissions }]
+    activeDays: [],
+    recentActivity: []
+});
+
+/**
+ * Add submissions to the tally, leaving out those still being judged
+ */
+const addSubmissions = (tally, submissions) => {
+    const solved = new Map(tally.solved.map(entry => [entry.key, { ...entry, languages: [...entry.languages] }]));
+    const languages = new Map(tally.languages.map(entry => [entry.name, { ...entry }]));
+    const activeDays = new Set(tally.activeDays);
+    const next = {
+        ...tally,
+        recentActivity: [...tally.recentActivity]
+    };
+
+    for (const submission of submissions) {
+        if (submission.pending) {
+            continue;
+        }
+
+        next.totalSubmissions++;
+        activeDays.add(toDayNumber(submission.time, tally.timeZone));
+
+        if (!languages.has(submission.language)) {
+            languages.set(submission.language, { name: submission.language, submissions: 0 });
+        }
+        languages.get(submission.language).submissions++;
+
+        if (submission.accepted) {
+            next.acceptedSubmissions++;
+
+            if (!solved.has(submission.problemKey)) {
+                solved.set(submission.problemKey, {
+                    key: submission.problemKey,
+                    nativeDifficulty: submission.nativeDifficulty ?? null,
+                    languages: []
+                });
+            }
+
+            const problem = solved.get(submission.problemKey);
+            if (!problem.languages.includes(submission.language)) {
+                problem.languages.push(submission.language);
+            }
+        }
+
+        next.recentActivity.push(submission.activity);
+    }
+
+    next.solved = Array.from(solved.values());
+    next.languages = Array.from(languages.values());
+    next.activeDays = Array.from(activeDays).sort((a, b) => a - b);
+    next.recentActivity = next.recentActivity
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, RECENT_SUBMISSIONS_LIMIT);
+
+    return next;
+};
+
+/**
+ * Derive the submission-based part of PlatformAccount.stats from a tally.
+ * Difficulty buckets are worked out here, so changes to the normalization
+ * settings apply without refetching any history.
+ */
+const tallyToStats = (tally, platformName, now = new Date()) => {
+    const difficultyCounts = { easy: 0, medium: 0, hard: 0 };
+    const solvedByLanguage = {};
+
+    tally.solved.forEach(problem => {
+        const bucket = bucketFor(platformName, problem.nativeDifficulty);
+        if (bucket) {
+            difficultyCounts[bucket]++;
+        }
+        problem.languages.forEach(language => {
+            solvedByLanguage[language] = (solvedByLanguage[language] || 0) + 1;
+        });
+    });
+
+    const languageStats = {};
+    tally.languages.forEach(language => {
+        languageStats[language.name] = {
+            problemsSolved: solvedByLanguage[language.name] || 0,
+            submissions: language.submissions
+        };
+    });
+
+    return {
+        totalProblemsSolved: tally.solved.length,
+        easyProblemsSolved: difficultyCounts.easy,
+        mediumProblemsSolved: difficultyCounts.medium,
+        hardProblemsSolved: difficultyCounts.hard,
+        streak: computeStreak(tally.activeDays, now, tally.timeZone),
+        submissionStats: {
+            totalSubmissions: tally.totalSubmissions,
+            acceptedSubmissions: tally.acceptedSubmissions
+        },
+        languageStats,
+        recentActivity: tally.recentActivity
+    };
+};
+
+/**
+ * Turn normalized submissions into entries for the Submission collection.
+ * Submissions still being judged are left for a later sync.
+ */
+const toSubmissionEntries = (submissions) => {
+    return submissions
+        .filter(submission => !submission.pending)
+        .map(submission => ({
+            ...submission.activity,
+            externalId: submission.id,
+            problemId: submission.problemKey,
+            problem: submission.problem
+        }));
+};
+
+module.exports = {
+    createCursor,
+    resumeCursor,
+    advanceCursor,
+    createTally,
+    addSubmissions,
+    tallyToStats,
+    toSubmissionEntries
+};
@@ -0,0 +1,252 @@
+// Per-platform outbound throttling.
+// Every platform gets a token bucket (spaces out requests) and a circuit breaker
+// (stops calling a platform that keeps answering 429/5xx until it has had time to recover).
+
+const { CircuitOpenError } = require('./errors');
+const logger = require('../../utils/logger');
+
+const DEFAULT_RATE_LIMIT = {
+    requestsPerSecond: 1,
+    burst: 3
+};
+
+const DEFAULT_BREAKER = {
+    failureThreshold: parseInt(process.env.SYNC_BREAKER_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.SYNC_BREAKER_COOLDOWN_MS) || 60 * 1000,
+    maxCooldownMs: 30 * 60 * 1000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket that hands out tokens in request order
+ */
+class TokenBucket {
+    constructor({ requestsPerSecond, burst }) {
+        this.rate = requestsPerSecond;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+        this.pending = Promise.resolve();
+        this.waiting = 0;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+
+    async waitForToken() {
+        this.refill();
+
+        while (this.tokens < 1) {
+            await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+            this.refill();
+        }
+
+        this.tokens -= 1;
+    }
+
+    take() {
+        this.waiting++;
+        const turn = this.pending.then(() => this.waitForToken());
+        this.pending = turn.finally(() => {
+            this.waiting--;
+        });
+        return turn;
+    }
+
+    getState() {
+        this.refill();
+        return {
+            requestsPerSecond: this.rate,
+            burst: this.capacity,
+            availableTokens: Math.floor(this.tokens),
+            waiting: this.waiting
+        };
+    }
+}
+
+/**
+ * Circuit breaker: closed -> open after repeated upstream failures,
+ * open -> half-open once the cooldown passes, half-open -> closed on the first success
+ */
+class CircuitBreaker {
+    constructor(platform, { failureThreshold, cooldownMs, maxCooldownMs }) {
+        this.platform = platform;
+        this.failureThreshold = failureThreshold;
+        this.baseCooldownMs = cooldownMs;
+        this.maxCooldownMs = maxCooldownMs;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    // Throws CircuitOpenError when requests to the platform should not be made
+    assertCanRequest() {
+        // A trial that hasn't reported back within a cooldown is treated as lost
+        if (this.state !== 'closed' && Date.now() >= this.retryAt.getTime()) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'open' || (this.state === 'half-open' && this.trialInFlight)) {
+            throw new CircuitOpenError(this.platform, this.retryAt);
+        }
+
+        if (this.state === 'half-open') {
+            // Others wait out the trial: it closes or reopens the breaker well before then
+            this.trialInFlight = true;
+            this.retryAt = new Date(Date.now() + this.cooldownMs);
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info(`${this.platform} circuit closed`);
+        }
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.cooldownMs = this.baseCooldownMs;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(status, retryAfterMs = 0) {
+        this.failures++;
+        this.lastFailure = { status, timestamp: new Date() };
+
+        if (this.state === 'half-open') {
+            // The trial request failed, back off for longer this time
+            this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+            this.open(retryAfterMs);
+        } else if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+            this.open(retryAfterMs);
+        }
+    }
+
+    open(retryAfterMs) {
+        const delay = Math.max(this.cooldownMs, retryAfterMs);
+
+        this.state = 'open';
+        this.openedAt = new Date();
+        this.retryAt = new Date(Date.now() + delay);
+        this.trialInFlight = false;
+
+        logger.warn(`${this.platform} circuit opened after ${this.failures} upstream failures, retrying at ${this.retryAt.toISOString()}`);
+    }
+
+    // A request finished without telling us anything about upstream health (e.g. network error)
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    reset() {
+        this.recordSuccess();
+        this.lastFailure = null;
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt,
+            retryAt: this.retryAt,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+const rateLimits = new Map();
+const buckets = new Map();
+const breakers = new Map();
+
+/**
+ * Set the request rate for a platform (called by the registry from adapter metadata)
+ */
+const configureRateLimit = (platform, rateLimit = {}) => {
+    rateLimits.set(platform, { ...DEFAULT_RATE_LIMIT, ...rateLimit });
+    buckets.delete(platform);
+};
+
+const getBucket = (platform) => {
+    if (!buckets.has(platform)) {
+        buckets.set(platform, new TokenBucket(rateLimits.get(platform) || DEFAULT_RATE_LIMIT));
+    }
+    return buckets.get(platform);
+};
+
+const getBreaker = (platform) => {
+    if (!breakers.has(platform)) {
+        breakers.set(platform, new CircuitBreaker(platform, DEFAULT_BREAKER));
+    }
+    return breakers.get(platform);
+};
+
+/**
+ * Wait until a request to the platform is allowed.
+ * Rejects with CircuitOpenError while the platform's breaker is open.
+ */
+const acquire = async (platform) => {
+    getBreaker(platform).assertCanRequest();
+    await getBucket(platform).take();
+};
+
+/**
+ * Check the breaker without taking a token, e.g. before starting a whole sync
+ */
+const assertAvailable = (platform) => {
+    const breaker = getBreaker(platform);
+
+    if (breaker.state === 'open' && Date.now() < breaker.retryAt.getTime()) {
+        throw new CircuitOpenError(platform, breaker.retryAt);
+    }
+};
+
+/**
+ * Record the outcome of a request. Only 429 and 5xx responses count against the breaker.
+ */
+const recordResponse = (platform, status, retryAfterMs) => {
+    const breaker = getBreaker(platform);
+
+    if (!status) {
+        breaker.releaseTrial();
+    } else if (status === 429 || status >= 500) {
+        breaker.recordFailure(status, retryAfterMs);
+    } else {
+        breaker.recordSuccess();
+    }
+};
+
+/**
+ * Close a platform's breaker by hand
+ */
+const resetBreaker = (platform) => {
+    getBreaker(platform).reset();
+};
+
+/**
+ * Current limiter and breaker state for the given platforms
+ */
+const getThrottleState = (platforms) => platforms.map(platform => ({
+    platform,
+    rateLimit: getBucket(platform).getState(),
+    breaker: getBreaker(platform).getState()
+}));
+
+module.exports = {
+    configureRateLimit,
+    acquire,
+    assertAvailable,
+    recordResponse,
+    resetBreaker,
+    getThrottleState
+};
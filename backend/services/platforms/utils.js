@@ -0,0 +1,53 @@
+const { timeZoneOffset } = require('../../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a date (or unix timestamp in seconds) to a day number.
+ * Without a time zone this is the UTC day; with one, the local calendar day in that zone.
+ * Pass no time zone for date-only strings ('2026-03-01') from platform calendars, which
+ * already name the calendar day.
+ */
+const toDayNumber = (value, timeZone) => {
+    const time = typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+    const offset = timeZone ? timeZoneOffset(time, timeZone) : 0;
+    return Math.floor((time + offset) / DAY_MS);
+};
+
+/**
+ * Format a day number as the YYYY-MM-DD date used in activity calendars
+ */
+const dayNumberToDate = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Compute current and max daily streaks from a list of active days.
+ * The current streak is still alive if the last active day is today or yesterday
+ * (in the user's time zone when one is given).
+ */
+const computeStreak = (activeDays, now = new Date(), timeZone) => {
+    const days = Array.from(new Set(activeDays)).sort((a, b) => a - b);
+
+    if (days.length === 0) {
+        return { current: 0, max: 0 };
+    }
+
+    let max = 1;
+    let run = 1;
+
+    for (let i = 1; i < days.length; i++) {
+        run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+        max = Math.max(max, run);
+    }
+
+    const today = toDayNumber(now, timeZone);
+    const lastDay = days[days.length - 1];
+    const current = lastDay >= today - 1 ? run : 0;
+
+    return { current, max };
+};
+
+module.exports = {
+    toDayNumber,
+    dayNumberToDate,
+    computeStreak
+};
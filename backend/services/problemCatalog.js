@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const Problem = require('../models/Problem');
+const { getPlatform, getPlatformIds } = require('./platforms');
+const { PlatformSyncError } = require('./platforms/errors');
+const { normalizeDifficulty, difficultyBucket } = require('./difficulty');
+const logger = require('../utils/logger');
+
+/**
+ * Fill in the common-scale difficulty and bucket from the native difficulty
+ */
+const withNormalizedDifficulty = (platformName, problem) => {
+    const normalizedDifficulty = normalizeDifficulty(platformName, problem.nativeDifficulty);
+
+    return {
+        ...problem,
+        normalizedDifficulty,
+        difficulty: difficultyBucket(normalizedDifficulty) ?? problem.difficulty
+    };
+};
+
+/**
+ * Add the problems referenced by freshly synced submissions to the catalog
+ */
+const recordSubmissionProblems = (platformName, submissions) => {
+    const problems = new Map();
+
+    submissions.forEach(submission => {
+        if (submission.problem && submission.problem.externalId) {
+            problems.set(String(submission.problem.externalId), withNormalizedDifficulty(platformName, submission.problem));
+        }
+    });
+
+    return Problem.upsertMany(platformName, Array.from(problems.values()));
+};
+
+/**
+ * Import a platform's full problem set into the catalog.
+ * Reads a cached JSON dump (an array of problems) when a file is given,
+ * otherwise downloads the set through the platform's adapter.
+ */
+const importProblemSet = async (platformName, { file } = {}) => {
+    const platform = getPlatform(platformName);
+
+    if (!platform) {
+        throw new PlatformSyncError(platformName, `Unknown platform: ${platformName}`, 400);
+    }
+
+    let problems;
+
+    if (file) {
+        problems = JSON.parse(await fs.readFile(file, 'utf8'));
+    } else if (typeof platform.fetchProblemSet === 'function') {
+        problems = await platform.fetchProblemSet();
+    } else {
+        throw new PlatformSyncError(platformName, `${platform.displayName} does not publish a problem set`, 400);
+    }
+
+    const result = await Problem.upsertMany(
+        platformName,
+        problems.map(problem => withNormalizedDifficulty(platformName, problem)),
+        { source: 'import' }
+    );
+
+    logger.info(`Imported ${problems.length} ${platformName} problems (${result.inserted} new, ${result.updated} updated)`);
+
+    return { total: problems.length, ...result };
+};
+
+/**
+ * Refresh the catalog for every platform that publishes its problem set
+ */
+const importAllProblemSets = async () => {
+    const results = {};
+
+    for (const platformName of getPlatformIds()) {
+        if (typeof getPlatform(platformName).fetchProblemSet !== 'function') {
+            continue;
+        }
+
+        try {
+            results[platformName] = await importProblemSet(platformName);
+        } catch (error) {
+            logger.error(`Problem set import failed for ${platformName}:`, error);
+            results[platformName] = { error: error.message };
+        }
+    }
+
+    return results;
+};
+
+module.exports = {
+    recordSubmissionProblems,
+    importProblemSet,
+    importAllProblemSets
+};
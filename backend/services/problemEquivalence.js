@@ -0,0 +1,229 @@
+const Problem = require('../models/Problem');
+const Submission = require('../models/Submission');
+const curated = require('../config/problemEquivalences.json');
+const logger = require('../utils/logger');
+
+// Titles must be at least this similar (Dice coefficient over character bigrams)
+const TITLE_SIMILARITY_THRESHOLD = 0.9;
+// Short titles ("Game", "Array") are too generic to match on
+const MIN_TITLE_LENGTH = 12;
+// Title matches with known difficulties must be this close on the common scale
+const MAX_DIFFICULTY_GAP = 400;
+// Blocks with more candidates than this are skipped rather than compared pairwise
+const MAX_BLOCK_SIZE = 200;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+// Words that tell sequels apart ("Coins II", "Subarray Sums 2"); "i", "v" and "x" are left out as
+// they are as often variable names
+const NUMERAL = /^(\d+|ii|iii|iv|vi|vii|viii|ix|xi|xii)$/;
+
+const memberKey = (platformName, externalId) => `${platformName}:${externalId}`;
+
+/**
+ * Lower-case a title and reduce it to words, dropping punctuation
+ */
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return counts;
+};
+
+/**
+ * Dice coefficient between two normalized titles (1 = identical)
+ */
+const titleSimilarity = (a, b) => {
+    if (a === b) {
+        return 1;
+    }
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let shared = 0;
+    let total = 0;
+
+    gramsA.forEach((count, gram) => {
+        shared += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    });
+    gramsB.forEach(count => {
+        total += count;
+    });
+
+    return total > 0 ? (2 * shared) / total : 0;
+};
+
+/**
+ * Tokens that distinguish versions of a problem: numbers, roman numerals and the word before
+ * "version" ("easy version", "hard version")
+ */
+const versionTokens = (title) => {
+    const words = title.split(' ');
+    return words
+        .filter((word, index) => NUMERAL.test(word) || words[index + 1] === 'version')
+        .join(' ');
+};
+
+/**
+ * Candidates are only compared within a block: problems sharing their longest significant word
+ */
+const blockKey = (title) => title
+    .split(' ')
+    .filter(word => !STOP_WORDS.has(word))
+    .reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+
+const difficultiesCompatible = (a, b) => {
+    if (a.normalizedDifficulty == null || b.normalizedDifficulty == null) {
+        return true;
+    }
+    return Math.abs(a.normalizedDifficulty - b.normalizedDifficulty) <= MAX_DIFFICULTY_GAP;
+};
+
+/**
+ * Minimal union-find over member keys
+ */
+const createUnionFind = () => {
+    const parent = new Map();
+
+    const find = (key) => {
+        if (!parent.has(key)) {
+            parent.set(key, key);
+        }
+        let root = key;
+        while (parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        parent.set(key, root);
+        return root;
+    };
+
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent.set(rootB, rootA);
+        }
+    };
+
+    return { find, union };
+};
+
+/**
+ * Rebuild Problem.equivalenceGroup for the whole catalog.
+ * Groups from config/problemEquivalences.json are taken as-is; the remaining problems
+ * are grouped when they are on different platforms, their titles are near-identical with the
+ * same version tokens, and their difficulties agree.
+ */
+const rebuildEquivalenceGroups = async () => {
+    const problems = await Problem.find({}, 'platformName externalId title normalizedDifficulty equivalenceGroup').lean();
+    const { find, union } = createUnionFind();
+    const curatedKeys = new Set();
+
+    (curated.groups || []).forEach(group => {
+        group.forEach(key => {
+            curatedKeys.add(key);
+            union(group[0], key);
+        });
+    });
+
+    const blocks = new Map();
+    problems.forEach(problem => {
+        const key = memberKey(problem.platformName, problem.externalId);
+        const title = normalizeTitle(problem.title);
+
+        if (curatedKeys.has(key) || title.length < MIN_TITLE_LENGTH) {
+            return;
+        }
+
+        const block = blockKey(title);
+        if (!blocks.has(block)) {
+            blocks.set(block, []);
+        }
+        blocks.get(block).push({ ...problem, key, normalizedTitle: title, version: versionTokens(title) });
+    });
+
+    blocks.forEach(candidates => {
+        if (candidates.length > MAX_BLOCK_SIZE) {
+            return;
+        }
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                const a = candidates[i];
+                const b = candidates[j];
+                // A judge doesn't mirror its own problems: same-platform lookalikes are sequels
+                // or variants, and so are titles whose version tokens differ
+                if (a.platformName !== b.platformName &&
+                    a.version === b.version &&
+                    difficultiesCompatible(a, b) &&
+                    titleSimilarity(a.normalizedTitle, b.normalizedTitle) >= TITLE_SIMILARITY_THRESHOLD) {
+                    union(a.key, b.key);
+                }
+            }
+        }
+    });
+
+    // Name each group after its smallest member so ids stay stable across rebuilds
+    const members = new Map();
+    problems.forEach(problem => {
+        const key = memberKey(problem.platformName, problem.externalId);
+        const root = find(key);
+        if (!members.has(root)) {
+            members.set(root, []);
+        }
+        members.get(root).push(key);
+    });
+
+    const groupFor = new Map();
+    members.forEach(keys => {
+        if (keys.length > 1) {
+            const groupId = keys.slice().sort()[0];
+            keys.forEach(key => groupFor.set(key, groupId));
+        }
+    });
+
+    const operations = [];
+    problems.forEach(problem => {
+        const groupId = groupFor.get(memberKey(problem.platformName, problem.externalId));
+        if (groupId === problem.equivalenceGroup) {
+            return;
+        }
+        operations.push({
+            updateOne: {
+                filter: { _id: problem._id },
+                update: groupId ? { $set: { equivalenceGroup: groupId } } : { $unset: { equivalenceGroup: '' } }
+            }
+        });
+    });
+
+    if (operations.length > 0) {
+        await Problem.bulkWrite(operations, { ordered: false });
+    }
+
+    const groups = new Set(groupFor.values()).size;
+    logger.info(`Rebuilt problem equivalence groups: ${groups} groups, ${operations.length} problems changed`);
+
+    return { groups, changed: operations.length };
+};
+
+/**
+ * Count a user's solves that repeat a problem they already solved elsewhere,
+ * i.e. the amount to subtract from the raw solve sum to get unique problems.
+ * Options: platform, and accountIds to count only some accounts' solves.
+ */
+const countDuplicateSolves = async (userId, options = {}) => {
+    const groups = await Submission.equivalenceGroupCounts(userId, options);
+
+    return groups.reduce((sum, group) => sum + group.count - 1, 0);
+};
+
+module.exports = {
+    normalizeTitle,
+    titleSimilarity,
+    versionTokens,
+    rebuildEquivalenceGroups,
+    countDuplicateSolves
+};
@@ -0,0 +1,57 @@
+const RatingHistory = require('../models/RatingHistory');
+const { getPlatform } = require('./platforms');
+const logger = require('../utils/logger');
+
+/**
+ * Whether an account's contest history should be (re)fetched after a sync:
+ * on its first sync (or after a username change), and whenever it took part in a new contest
+ */
+const needsRatingBackfill = (account, previousStats) => {
+    if (typeof getPlatform(account.platformName)?.fetchRatingHistory !== 'function') {
+        return false;
+    }
+
+    return !account.ratingHistoryBackfilledAt
+        || account.stats.contestsParticipated > (previousStats?.contestsParticipated || 0);
+};
+
+/**
+ * Store an account's full contest rating history from the platform, one point per rated contest
+ */
+const backfillRatingHistory = async (account) => {
+    const platform = getPlatform(account.platformName);
+    const points = await platform.fetchRatingHistory(account.platformUsername);
+
+    const stored = await RatingHistory.replaceForAccount(account, points);
+
+    account.ratingHistoryBackfilledAt = new Date();
+    await account.save();
+
+    logger.debug(`Backfilled ${stored} ${account.platformName} contest ratings for ${account.platformUsername}`);
+
+    return stored;
+};
+
+/**
+ * Backfill after a sync when needed. Failures are logged rather than failing a saved sync,
+ * and the account is unmarked so the next sync tries again.
+ */
+const refreshRatingHistory = async (account, previousStats) => {
+    if (!needsRatingBackfill(account, previousStats)) {
+        return 0;
+    }
+
+    try {
+        return await backfillRatingHistory(account);
+    } catch (error) {
+        logger.warn(`Rating history backfill failed for ${account.platformName}:${account.platformUsername}: ${error.message}`);
+        await account.updateOne({ $unset: { ratingHistoryBackfilledAt: 1 } });
+        return 0;
+    }
+};
+
+module.exports = {
+    needsRatingBackfill,
+    backfillRatingHistory,
+    refreshRatingHistory
+};
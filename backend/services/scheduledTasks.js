@@ -1,80 +1,29 @@
 const User = require('../models/User');
-const PlatformAccount = require('../models/PlatformAccount');
 const StatsHistory = require('../models/StatsHistory');
 const Event = require('../models/Event');
+const { enqueueStaleAccounts } = require('./syncQueue');
+const { importAllProblemSets } = require('./problemCatalog');
+const { rebuildEquivalenceGroups } = require('./problemEquivalence');
+const { raiseWebhookEvent } = require('./webhooks');
+const { syncAllGithubProfiles } = require('./github');
+const { updateRunningStreaks } = require('./streaks');
+const { rescoreOutdatedUsers } = require('./cScore');
+const Webhook = require('../models/Webhook');
 const logger = require('../utils/logger');
 
+const EVENT_STARTING_LEAD_MS = 60 * 60 * 1000; // 1 hour
+
 /**
- * Update all user statistics by syncing with platform APIs
- * This runs periodically to keep user data fresh
+ * Queue sync jobs for all accounts with stale statistics.
+ * The sync worker picks them up with retries and concurrency limits.
  */
 const updateAllUserStats = async () => {
     try {
         logger.info('Starting scheduled stats update for all users');
 
-        // Get all active platform accounts
-        const platformAccounts = await PlatformAccount.find({ 
-            isActive: true,
-            lastSyncedAt: { 
-                $lt: new Date(Date.now() - 6 * 60 * 60 * 1000) // Not synced in last 6 hours
-            }
-        }).populate('userId');
-
-        logger.info(`Found ${platformAccounts.length} platform accounts to update`);
-
-        let successCount = 0;
-        let errorCount = 0;
-
-        // Process accounts in batches to avoid overwhelming APIs
-        const batchSize = 10;
-        for (let i = 0; i < platformAccounts.length; i += batchSize) {
-            const batch = platformAccounts.slice(i, i + batchSize);
-            
-            const batchPromises = batch.map(async (account) => {
-                try {
-                    // Simulate API calls to different platforms
-                    // In a real implementation, you would call actual platform APIs
-                    const updatedStats = await simulateStatsFetch(account.platformName, account.username);
-                    
-                    if (updatedStats) {
-                        // Update platform account stats
-                        account.stats = {
-                            ...account.stats,
-                            ...updatedStats,
-                            lastUpdated: new Date()
-                        };
-                        account.lastSyncedAt = new Date();
-                        await account.save();
-
-                        // Create stats history entry
-                        await StatsHistory.create({
-                            userId: account.userId._id,
-                            platform: account.platformName,
-                            date: new Date(),
-                            stats: updatedStats
-                        });
-
-                        // Update user's C-Score
-                        await updateUserCScore(account.userId._id);
-                        
-                        successCount++;
-                        logger.debug(`Updated stats for ${account.platformName}:${account.username}`);
-                    }
-                } catch (error) {
-                    errorCount++;
-                    logger.error(`Failed to update stats for ${account.platformName}:${account.username}`, error);
-                }
-            });
-
-            await Promise.all(batchPromises);
-            
-            // Add delay between batches to be respectful to APIs
-            if (i + batchSize < platformAccounts.length) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
+        const queuedCount = await enqueueStaleAccounts(6); // Not synced in last 6 hours
 
-        logger.info(`Stats update completed. Success: ${successCount}, Errors: ${errorCount}`);
+        logger.info(`Queued ${queuedCount} platform accounts for sync`);
     } catch (error) {
         logger.error('Error in scheduled stats update:', error);
     }
@@ -119,166 +68,177 @@ const updateAllEvents = async () => {
 };
 
 /**
- * Clean up old stats history entries to manage database size
+ * Raise event.starting webhooks for events that start within the next hour
  */
-const cleanupOldStatsHistory = async () => {
+const notifyStartingEvents = async () => {
     try {
-        logger.info('Starting cleanup of old stats history');
+        const now = new Date();
 
-        // Keep only last 365 days of history
-        const cutoffDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
-        
-        const deleteResult = await StatsHistory.deleteMany({
-            date: { $lt: cutoffDate }
+        const events = await Event.find({
+            eventDate: { $gt: now, $lte: new Date(now.getTime() + EVENT_STARTING_LEAD_MS) },
+            status: 'upcoming',
+            isActive: true,
+            startingNotifiedAt: { $exists: false }
         });
 
-        logger.info(`Cleaned up ${deleteResult.deletedCount} old stats history entries`);
+        for (const event of events) {
+            event.startingNotifiedAt = now;
+            await event.save();
+
+            await raiseWebhookEvent('event.starting', {
+                eventId: String(event._id),
+                eventName: event.eventName,
+                platform: event.platformName,
+                eventType: event.eventType,
+                startsAt: event.eventDate,
+                endsAt: event.endDate,
+                eventUrl: event.eventUrl
+            });
+        }
+
+        if (events.length > 0) {
+            logger.info(`Raised event.starting for ${events.length} events`);
+        }
     } catch (error) {
-        logger.error('Error in stats history cleanup:', error);
+        logger.error('Error in starting event notifications:', error);
     }
 };
 
 /**
- * Update user rankings based on C-Scores
+ * Keep stats history compact without losing it: old daily snapshots are rolled
+ * into weekly ones, and old weekly snapshots into monthly ones
+ */
+const compactStatsHistory = async () => {
+    try {
+        logger.info('Starting stats history compaction');
+
+        const { weekly, monthly } = await StatsHistory.compactHistory();
+
+        logger.info(`Compacted stats history: ${weekly.removed} daily snapshots into ${weekly.compacted} weekly, ${monthly.removed} weekly into ${monthly.compacted} monthly`);
+    } catch (error) {
+        logger.error('Error in stats history compaction:', error);
+    }
+};
+
+/**
+ * Update user rankings based on C-Scores and raise leaderboard.rank_changed webhooks
  */
 const updateUserRankings = async () => {
     try {
         logger.info('Starting user ranking update');
 
         // Get all users sorted by C-Score
-        const users = await User.find({ isPublic: true })
-            .sort({ cScore: -1 })
-            .select('_id cScore');
+        const users = await User.find({ isActive: true, 'settings.publicProfile': true })
+            .sort({ totalCScore: -1 })
+            .select('_id totalCScore rank');
+
+        // Only users with a subscribed webhook (or any global one) need events
+        const subscribers = await Webhook.find({ isActive: true, events: 'leaderboard.rank_changed' }).select('userId scope');
+        const notifyAll = subscribers.some(webhook => webhook.scope === 'global');
+        const subscribedUsers = new Set(subscribers.map(webhook => String(webhook.userId)));
 
         // Update rankings in batches
         const batchSize = 100;
+        let changedCount = 0;
         for (let i = 0; i < users.length; i += batchSize) {
             const batch = users.slice(i, i + batchSize);
             
-            const updatePromises = batch.map((user, index) => {
-                const newRank = i + index + 1;
-                return User.findByIdAndUpdate(user._id, { rank: newRank });
-            });
-
-            await Promise.all(updatePromises);
+            const changed = batch
+                .map((user, index) => ({ user, newRank: i + index + 1 }))
+                .filter(({ user, newRank }) => user.rank !== newRank);
+
+            await Promise.all(changed.map(({ user, newRank }) => User.findByIdAndUpdate(user._id, { rank: newRank })));
+
+            await Promise.all(changed
+                .filter(({ user }) => user.rank && (notifyAll || subscribedUsers.has(String(user._id))))
+                .map(({ user, newRank }) => raiseWebhookEvent('leaderboard.rank_changed', {
+                    previousRank: user.rank,
+                    rank: newRank,
+                    change: user.rank - newRank,
+                    totalCScore: user.totalCScore
+                }, { userId: user._id })));
+
+            changedCount += changed.length;
         }
 
-        logger.info(`Updated rankings for ${users.length} users`);
+        logger.info(`Updated rankings for ${users.length} users (${changedCount} changed)`);
     } catch (error) {
         logger.error('Error in user ranking update:', error);
     }
 };
 
 /**
- * Simulate fetching stats from platform APIs
- * In a real implementation, this would make actual API calls
+ * Refresh the problem catalog from platforms that publish their problem sets,
+ * then regroup problems that are the same task on different judges
  */
-const simulateStatsFetch = async (platform, username) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500));
+const updateProblemCatalog = async () => {
+    try {
+        logger.info('Starting problem catalog update');
 
-    // Simulate occasional API failures
-    if (Math.random() < 0.05) { // 5% failure rate
-        throw new Error('Simulated API failure');
-    }
+        const results = await importAllProblemSets();
+
+        logger.info(`Problem catalog updated for: ${Object.keys(results).join(', ')}`);
 
-    // Generate realistic stat updates
-    const baseStats = getBaseStatsForPlatform(platform);
-    
-    return {
-        totalProblemsSolved: baseStats.totalProblemsSolved + Math.floor(Math.random() * 3),
-        easyProblemsSolved: baseStats.easyProblemsSolved + Math.floor(Math.random() * 2),
-        mediumProblemsSolved: baseStats.mediumProblemsSolved + Math.floor(Math.random() * 2),
-        hardProblemsSolved: baseStats.hardProblemsSolved + Math.floor(Math.random() * 1),
-        contestRating: baseStats.contestRating + Math.floor(Math.random() * 20 - 10),
-        streak: {
-            current: Math.max(0, baseStats.streak.current + Math.floor(Math.random() * 3 - 1)),
-            max: baseStats.streak.max
-        },
-        acceptanceRate: Math.max(0, Math.min(100, baseStats.acceptanceRate + Math.random() * 2 - 1)),
-        totalSubmissions: baseStats.totalSubmissions + Math.floor(Math.random() * 5)
-    };
+        // New problems may mirror ones already in the catalog
+        await rebuildEquivalenceGroups();
+    } catch (error) {
+        logger.error('Error in problem catalog update:', error);
+    }
 };
 
 /**
- * Get base stats for a platform (this would typically come from database)
+ * Refresh GitHub contributions, repositories and stars for users with a GitHub username
  */
-const getBaseStatsForPlatform = (platform) => {
-    const baseStats = {
-        totalProblemsSolved: 100,
-        easyProblemsSolved: 60,
-        mediumProblemsSolved: 35,
-        hardProblemsSolved: 5,
-        contestRating: 1500,
-        streak: { current: 5, max: 15 },
-        acceptanceRate: 75,
-        totalSubmissions: 150
-    };
-
-    // Platform-specific adjustments
-    switch (platform) {
-        case 'leetcode':
-            baseStats.contestRating = 1600;
-            break;
-        case 'codeforces':
-            baseStats.contestRating = 1400;
-            break;
-        case 'codechef':
-            baseStats.contestRating = 1800;
-            break;
-        default:
-            break;
-    }
+const updateGithubProfiles = async () => {
+    try {
+        logger.info('Starting GitHub activity update');
+
+        const synced = await syncAllGithubProfiles();
 
-    return baseStats;
+        logger.info(`Updated GitHub activity for ${synced} users`);
+    } catch (error) {
+        logger.error('Error in GitHub activity update:', error);
+    }
 };
 
 /**
- * Update a user's C-Score based on their platform accounts
+ * Drop unified streaks that were broken by a missed day in the user's time zone
  */
-const updateUserCScore = async (userId) => {
+const updateStreaks = async () => {
     try {
-        const platformAccounts = await PlatformAccount.find({ 
-            userId: userId, 
-            isActive: true 
-        });
+        const updated = await updateRunningStreaks();
 
-        if (platformAccounts.length === 0) {
-            return;
+        if (updated > 0) {
+            logger.info(`Updated ${updated} running streaks`);
         }
+    } catch (error) {
+        logger.error('Error in streak update:', error);
+    }
+};
 
-        // Calculate C-Score based on aggregated platform performance
-        let totalProblems = 0;
-        let totalRating = 0;
-        let maxStreak = 0;
-        let platformCount = 0;
-
-        platformAccounts.forEach(account => {
-            totalProblems += account.stats.totalProblemsSolved;
-            totalRating += account.stats.contestRating;
-            maxStreak = Math.max(maxStreak, account.stats.streak.max);
-            platformCount++;
-        });
-
-        const avgRating = totalRating / platformCount;
-        
-        // C-Score formula: weighted combination of problems, rating, and streak
-        const cScore = Math.round(
-            (totalProblems * 10) + 
-            (avgRating * 0.5) + 
-            (maxStreak * 20) + 
-            (platformCount * 50)
-        );
+/**
+ * Rescore users whose C-Score was calculated with another weights version
+ */
+const rescoreCScores = async () => {
+    try {
+        const rescored = await rescoreOutdatedUsers();
 
-        await User.findByIdAndUpdate(userId, { cScore });
+        if (rescored > 0) {
+            logger.info(`Rescored ${rescored} users with the current C-Score weights`);
+        }
     } catch (error) {
-        logger.error(`Error updating C-Score for user ${userId}:`, error);
+        logger.error('Error in C-Score rescore:', error);
     }
 };
 
 module.exports = {
     updateAllUserStats,
     updateAllEvents,
-    cleanupOldStatsHistory,
-    updateUserRankings
+    compactStatsHistory,
+    updateUserRankings,
+    notifyStartingEvents,
+    updateProblemCatalog,
+    updateGithubProfiles,
+    updateStreaks,
+    rescoreCScores
 };
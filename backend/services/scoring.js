@@ -0,0 +1,83 @@
+const config = require('../config/cScore');
+const { hasCapability } = require('./platforms');
+
+// Stored on each user with their C-Score, so scores from other weights can be found and redone
+const CSCORE_VERSION = config.version;
+
+const component = (name, value, weight) => ({ name, value, weight, points: value * weight });
+
+/**
+ * Round a list of components to the points they add up to
+ */
+const componentPoints = (components) => Math.round(
+    components.reduce((total, entry) => total + entry.points, 0)
+);
+
+/**
+ * Whether an account's stats count towards the C-Score: only accounts whose ownership was
+ * verified, and never import-only accounts, which are rebuilt from self-reported history
+ */
+const countsTowardsCScore = (account) => Boolean(account.isVerified)
+    && !hasCapability(account.platformName, 'importOnly');
+
+/**
+ * C-Score components of a platform account's stats: { name, value, weight, points }
+ */
+const platformComponents = (platformName, stats) => {
+    const components = [component('problems', stats.totalProblemsSolved || 0, config.weights.problems)];
+
+    if (hasCapability(platformName, 'rating')) {
+        components.push(component('rating', stats.contestRating || 0, config.weights.rating));
+    }
+    const scoreWeight = config.platforms[platformName]?.score;
+    if (hasCapability(platformName, 'score') && scoreWeight) {
+        components.push(component('score', stats.score || 0, scoreWeight));
+    }
+    components.push(component('badges', stats.badges || 0, config.weights.badges));
+
+    return components;
+};
+
+/**
+ * C-Score of a platform account's stats
+ */
+const platformCScore = (platformName, stats) => componentPoints(platformComponents(platformName, stats));
+
+/**
+ * C-Score components of a GitHub profile (none without one)
+ */
+const githubComponents = (githubProfile) => (githubProfile
+    ? [
+        component('contributions', githubProfile.totalContributions || 0, config.github.contributions),
+        component('stars', githubProfile.totalStars || 0, config.github.stars)
+    ]
+    : []);
+
+/**
+ * Whether a user's GitHub activity counts towards their C-Score: only when they opted in
+ * and proved they own the GitHub account
+ */
+const githubCountsTowardsCScore = (user) => Boolean(user?.settings?.includeGithubInCScore && user?.githubVerified);
+
+/**
+ * C-Score earned from GitHub activity (only counted for users who opt in)
+ */
+const calculateGithubCScore = (githubProfile) => componentPoints(githubComponents(githubProfile));
+
+/**
+ * Points that solves of mirrored problems add beyond their first solve, taken off the unique C-Score
+ */
+const duplicateSolvePoints = (duplicateSolves) => Math.round(duplicateSolves * config.weights.problems);
+
+module.exports = {
+    CSCORE_VERSION,
+    CSCORE_WEIGHTS: config,
+    componentPoints,
+    countsTowardsCScore,
+    platformComponents,
+    platformCScore,
+    githubComponents,
+    githubCountsTowardsCScore,
+    calculateGithubCScore,
+    duplicateSolvePoints
+};
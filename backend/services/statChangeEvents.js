@@ -0,0 +1,76 @@
+const { raiseWebhookEvent } = require('./webhooks');
+
+const SOLVED_PROBLEMS_LIMIT = 20;
+
+/**
+ * Raise webhook events for what changed in a platform account's stats after a sync:
+ * new solves, rating changes and personal bests (streak events follow the unified streak,
+ * see raiseStreakEvents). Nothing is raised for an account's first sync, where everything
+ * would look new.
+ */
+const raiseStatChangeEvents = async (account, previous, { firstSync = false, since } = {}, submissions = []) => {
+    if (firstSync) {
+        return;
+    }
+
+    const current = account.stats;
+    const options = { userId: account.userId };
+    const base = {
+        platform: account.platformName,
+        platformUsername: account.platformUsername
+    };
+    const events = [];
+
+    const solved = current.totalProblemsSolved - previous.totalProblemsSolved;
+    if (solved > 0) {
+        const problems = submissions
+            .filter(entry => entry.status === 'accepted' && (!since || new Date(entry.date) > since))
+            .slice(0, SOLVED_PROBLEMS_LIMIT)
+            .map(entry => ({
+                problemId: entry.problemId,
+                title: entry.problemTitle,
+                url: entry.problem?.url,
+                difficulty: entry.problemDifficulty,
+                solvedAt: entry.date
+            }));
+
+        events.push(['problem.solved', { ...base, count: solved, totalProblemsSolved: current.totalProblemsSolved, problems }]);
+    }
+
+    if (current.contestRating !== previous.contestRating) {
+        events.push(['rating.changed', {
+            ...base,
+            previousRating: previous.contestRating,
+            rating: current.contestRating,
+            change: current.contestRating - previous.contestRating
+        }]);
+    }
+
+    if (current.maxContestRating > previous.maxContestRating) {
+        events.push(['rating.new_best', { ...base, previousBest: previous.maxContestRating, best: current.maxContestRating }]);
+    }
+
+    await Promise.all(events.map(([event, data]) => raiseWebhookEvent(event, data, options)));
+};
+
+/**
+ * Raise webhook events when a user's unified streak is broken or sets a new best
+ */
+const raiseStreakEvents = async (userId, previous, current) => {
+    const events = [];
+
+    if (previous.current > 0 && current.current === 0) {
+        events.push(['streak.broken', { previousStreak: previous.current, maxStreak: current.max }]);
+    }
+
+    if (current.max > previous.max) {
+        events.push(['streak.new_best', { previousBest: previous.max, best: current.max }]);
+    }
+
+    await Promise.all(events.map(([event, data]) => raiseWebhookEvent(event, data, { userId })));
+};
+
+module.exports = {
+    raiseStatChangeEvents,
+    raiseStreakEvents
+};
@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const PlatformAccount = require('../models/PlatformAccount');
+const Submission = require('../models/Submission');
+const Streak = require('../models/Streak');
+const { hasCapability } = require('./platforms');
+const { toDayNumber } = require('./platforms/utils');
+const { raiseStreakEvents } = require('./statChangeEvents');
+const { userTimeZone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_RUNS = 100;
+
+// What counts as an active day unless the user sets settings.streakRules
+const DEFAULT_STREAK_RULES = {
+    acceptedOnly: false, // Count any submission, or only accepted ones
+    minProblemsPerDay: 1, // Distinct problems needed for a day to count
+    freezeDaysPerMonth: 0 // Missed days per calendar month that don't break the streak
+};
+
+/**
+ * A user's streak rules, filled in with the defaults
+ */
+const streakRules = (user) => {
+    const rules = user?.settings?.streakRules || {};
+    return Object.fromEntries(Object.entries(DEFAULT_STREAK_RULES).map(([rule, fallback]) => (
+        [rule, rules[rule] ?? fallback]
+    )));
+};
+
+const dayString = (day) => new Date(day * DAY_MS).toISOString().split('T')[0];
+const monthOf = (day) => dayString(day).slice(0, 7);
+
+/**
+ * Split active days into streak runs.
+ * Gaps are bridged with freeze days while the calendar months of the missed days have
+ * freezes left; the current streak is alive if the latest run reaches yesterday or today
+ * (bridging the days in between with freezes where possible).
+ *
+ * activeDays are calendar day numbers (see toDayNumber), today is the user's local day number.
+ */
+const computeStreakRuns = (activeDays, rules, today) => {
+    const days = Array.from(new Set(activeDays)).sort((a, b) => a - b);
+    const freezesUsed = new Map();
+    const runs = [];
+    let run = null;
+
+    // Spend freezes on missed days first..last, or spend none if they don't all fit
+    const bridge = (first, last) => {
+        const missed = last - first + 1;
+        // Monthly budgets are well under a month long, so a gap this long always misses too many days
+        if (missed <= 0 || missed > 2 * rules.freezeDaysPerMonth) {
+            return missed <= 0;
+        }
+
+        const needed = new Map();
+        for (let day = first; day <= last; day++) {
+            needed.set(monthOf(day), (needed.get(monthOf(day)) || 0) + 1);
+        }
+
+        const fits = Array.from(needed).every(([month, count]) => (
+            (freezesUsed.get(month) || 0) + count <= rules.freezeDaysPerMonth
+        ));
+        if (fits) {
+            needed.forEach((count, month) => freezesUsed.set(month, (freezesUsed.get(month) || 0) + count));
+            run.frozenDays += missed;
+        }
+        return fits;
+    };
+
+    days.forEach(day => {
+        if (run && bridge(run.last + 1, day - 1)) {
+            run.last = day;
+            run.length++;
+        } else {
+            if (run) {
+                runs.push(run);
+            }
+            run = { first: day, last: day, length: 1, frozenDays: 0 };
+        }
+    });
+
+    if (!run) {
+        return { current: 0, max: 0, currentRun: null, history: [] };
+    }
+
+    const alive = bridge(run.last + 1, today - 1);
+    runs.push(run);
+
+    const format = ({ first, last, length, frozenDays }) => ({
+        start: dayString(first),
+        end: dayString(last),
+        length,
+        frozenDays
+    });
+
+    return {
+        current: alive ? run.length : 0,
+        max: Math.max(...runs.map(entry => entry.length)),
+        currentRun: format(run),
+        history: runs.slice(0, -1).filter(entry => entry.length > 1).slice(-MAX_HISTORY_RUNS).map(format)
+    };
+};
+
+/**
+ * Compute a user's streak from their active, verified and synced platform accounts (or one
+ * platform), without saving it. Days come from recorded submissions and, for platforms that
+ * publish one, the activity calendar, which covers history the submissions don't. Calendars
+ * count submissions on the platform's own days and don't say which were accepted, so they
+ * are ignored under the acceptedOnly rule.
+ */
+const computeUserStreak = async (user, { platform } = {}) => {
+    const rules = streakRules(user);
+    const timeZone = userTimeZone(user);
+
+    const accounts = (await PlatformAccount.find({
+        userId: user._id,
+        isActive: true,
+        isVerified: true,
+        ...(platform && platform !== 'all' ? { platformName: platform } : {})
+    }).select('_id platformName +activityCalendar')).filter(account => !hasCapability(account.platformName, 'importOnly'));
+
+    const dailyCounts = await Submission.dailyProblemCounts(user._id, {
+        accountIds: accounts.map(account => account._id),
+        acceptedOnly: rules.acceptedOnly,
+        timeZone
+    });
+
+    // Solves per day: distinct problems from submissions, or the calendar's count if higher
+    const perDay = new Map(dailyCounts.map(day => [day._id, day.problems]));
+    if (!rules.acceptedOnly) {
+        accounts.forEach(account => (account.activityCalendar || []).forEach(({ date, count }) => {
+            perDay.set(date, Math.max(perDay.get(date) || 0, count));
+        }));
+    }
+
+    const activeDays = Array.from(perDay)
+        .filter(([, problems]) => problems >= rules.minProblemsPerDay)
+        .map(([day]) => toDayNumber(day));
+
+    return {
+        ...computeStreakRuns(activeDays, rules, toDayNumber(new Date(), timeZone)),
+        rules,
+        timeZone
+    };
+};
+
+/**
+ * Recompute and store a user's unified streak, mirroring current and max onto the user
+ * for leaderboards, and raise streak webhook events against the last stored streak
+ */
+const updateUserStreak = async (userId) => {
+    const [user, previous] = await Promise.all([
+        User.findById(userId).select('settings'),
+        Streak.findOne({ userId }).select('current max').lean()
+    ]);
+    if (!user) {
+        return null;
+    }
+
+    const streak = await computeUserStreak(user);
+
+    await Promise.all([
+        Streak.findOneAndUpdate(
+            { userId },
+            { $set: { ...streak, computedAt: new Date() } },
+            { upsert: true, new: true }
+        ),
+        User.updateOne({ _id: userId }, { $set: { streak: { current: streak.current, max: streak.max } } })
+    ]);
+
+    // Nothing to compare against the first time, when any streak would look new
+    if (previous) {
+        await raiseStreakEvents(userId, previous, streak);
+    }
+
+    return streak;
+};
+
+/**
+ * A user's unified streak as last stored (computed on first use), or a one-off
+ * computation for a single platform
+ */
+const getUserStreak = async (user, { platform } = {}) => {
+    if (platform && platform !== 'all') {
+        return computeUserStreak(user, { platform });
+    }
+
+    const stored = await Streak.findOne({ userId: user._id }).lean();
+    return stored || updateUserStreak(user._id);
+};
+
+/**
+ * Recompute running streaks, so ones broken by a missed day drop even without a sync.
+ * Streaks only grow through new submissions, which recompute them as they are stored.
+ * Resolves with the number of streaks that changed.
+ */
+const updateRunningStreaks = async () => {
+    const users = await User.find({ isActive: true, 'streak.current': { $gt: 0 } }).select('_id streak');
+
+    let updated = 0;
+    for (const user of users) {
+        try {
+            const streak = await updateUserStreak(user._id);
+            if (streak && streak.current !== user.streak.current) {
+                updated++;
+            }
+        } catch (error) {
+            logger.warn(`Streak update failed for user ${user._id}: ${error.message}`);
+        }
+    }
+
+    return updated;
+};
+
+module.exports = {
+    DEFAULT_STREAK_RULES,
+    streakRules,
+    computeStreakRuns,
+    computeUserStreak,
+    updateUserStreak,
+    getUserStreak,
+    updateRunningStreaks
+};
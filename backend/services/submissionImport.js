@@ -0,0 +1,383 @@
+const Submission = require('../models/Submission');
+const StatsHistory = require('../models/StatsHistory');
+const { AppError } = require('../middleware/errorHandler');
+const { hasCapability } = require('./platforms');
+const { storedSubmissionStats } = require('./submissionStats');
+const { bucketFor } = require('./difficulty');
+const { updateUserCScore } = require('./cScore');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 10000;
+const PREVIEW_SAMPLE_SIZE = 10;
+
+// Submission fields an import can fill, and the columns matched to them by default
+const IMPORT_FIELDS = {
+    date: ['date', 'submittedat', 'submissiontime', 'time', 'timestamp', 'createdat'],
+    problemId: ['problemid', 'problem', 'problemcode', 'task', 'taskid'],
+    problemTitle: ['problemtitle', 'title', 'problemname', 'name'],
+    verdict: ['verdict', 'status', 'result'],
+    language: ['language', 'lang', 'programminglanguage'],
+    externalId: ['externalid', 'submissionid', 'id'],
+    difficulty: ['difficulty', 'rating', 'level'],
+    contestName: ['contestname', 'contest']
+};
+
+// Verdict spellings found in judge exports, mapped onto Submission verdicts
+const VERDICT_ALIASES = {
+    accepted: 'accepted',
+    ac: 'accepted',
+    ok: 'accepted',
+    solved: 'accepted',
+    passed: 'accepted',
+    wrongAnswer: 'wrong-answer',
+    wa: 'wrong-answer',
+    timeLimitExceeded: 'time-limit-exceeded',
+    tle: 'time-limit-exceeded',
+    memoryLimitExceeded: 'memory-limit-exceeded',
+    mle: 'memory-limit-exceeded',
+    runtimeError: 'runtime-error',
+    re: 'runtime-error',
+    rte: 'runtime-error',
+    compilationError: 'compilation-error',
+    compileError: 'compilation-error',
+    ce: 'compilation-error'
+};
+
+/**
+ * Lower-case a column or verdict name and drop spaces, dashes and underscores
+ */
+const simplify = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, '');
+
+const VERDICTS = new Map(Object.entries(VERDICT_ALIASES).map(([alias, verdict]) => [simplify(alias), verdict]));
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read the uploaded content into records keyed by column name
+ */
+const parseRecords = (format, content) => {
+    if (typeof content !== 'string' || content.trim() === '') {
+        throw new AppError('Import content is empty', 400);
+    }
+
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new AppError(`Invalid JSON: ${error.message}`, 400);
+        }
+
+        const records = Array.isArray(parsed) ? parsed : parsed?.submissions;
+        if (!Array.isArray(records)) {
+            throw new AppError('JSON imports must be an array of submissions or { "submissions": [...] }', 400);
+        }
+        return records.filter(record => record && typeof record === 'object');
+    }
+
+    const [header = [], ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+};
+
+/**
+ * Resolve which column feeds each field: the caller's mapping first,
+ * then any column whose name matches the field
+ */
+const resolveMapping = (columns, mapping = {}) => {
+    const byName = new Map(columns.map(column => [simplify(column), column]));
+    const resolved = {};
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+        if (mapping[field]) {
+            resolved[field] = mapping[field];
+            return;
+        }
+        const match = [simplify(field), ...aliases].find(alias => byName.has(alias));
+        if (match) {
+            resolved[field] = byName.get(match);
+        }
+    });
+
+    return resolved;
+};
+
+/**
+ * Parse a date cell: an ISO or similar date string, or unix seconds or milliseconds
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+        const number = Number(value);
+        return new Date(number < 1e12 ? number * 1000 : number);
+    }
+    return new Date(value);
+};
+
+/**
+ * Turn one record into a recentActivity-shaped submission entry, collecting what is wrong with it.
+ * Rows without a verdict are taken as accepted, so plain lists of solved problems import as solves.
+ */
+const toEntry = (platformName, record, mapping, now) => {
+    const value = (field) => {
+        const cell = mapping[field] ? record[mapping[field]] : undefined;
+        return typeof cell === 'string' ? cell.trim() : cell;
+    };
+    const errors = [];
+
+    const date = parseDate(value('date'));
+    if (!date) {
+        errors.push('Missing date');
+    } else if (isNaN(date.getTime())) {
+        errors.push(`Invalid date "${value('date')}"`);
+    } else if (date > now) {
+        errors.push('Date is in the future');
+    }
+
+    const problemTitle = value('problemTitle') ? String(value('problemTitle')) : undefined;
+    const problemId = value('problemId') ? String(value('problemId')) : problemTitle;
+    if (!problemId) {
+        errors.push('Missing problem id or title');
+    }
+
+    const rawVerdict = value('verdict');
+    const status = rawVerdict ? VERDICTS.get(simplify(rawVerdict)) || 'other' : 'accepted';
+
+    const difficulty = value('difficulty');
+    const externalId = value('externalId');
+
+    return {
+        errors,
+        entry: {
+            date,
+            externalId: externalId ? String(externalId) : undefined,
+            problemId,
+            problemTitle: problemTitle || problemId,
+            problemDifficulty: bucketFor(platformName, difficulty),
+            status,
+            language: value('language') ? String(value('language')) : undefined,
+            contestName: value('contestName') ? String(value('contestName')) : undefined,
+            problem: {
+                nativeDifficulty: difficulty === '' ? undefined : difficulty
+            }
+        }
+    };
+};
+
+/**
+ * Keys a submission is recognized by: its externalId, and its problem and submission time
+ * (for exports that carry no submission ids)
+ */
+const submissionKeys = (entry) => {
+    const timeKey = `${entry.problemId}@${entry.date.getTime()}`;
+    return entry.externalId ? [entry.externalId, timeKey] : [timeKey];
+};
+
+/**
+ * Keys of an account's stored submissions that match the given entries
+ */
+const findExistingKeys = async (account, entries) => {
+    if (!account || entries.length === 0) {
+        return new Set();
+    }
+
+    const existing = await Submission.find({
+        userId: account.userId,
+        accountId: account._id,
+        $or: [
+            { externalId: { $in: entries.map(entry => entry.externalId).filter(Boolean) } },
+            { submittedAt: { $in: entries.map(entry => entry.date) } }
+        ]
+    }).select('externalId problemId submittedAt').lean();
+
+    const keys = new Set();
+    existing.forEach(submission => {
+        keys.add(submission.externalId);
+        keys.add(`${submission.problemId}@${submission.submittedAt.getTime()}`);
+    });
+    return keys;
+};
+
+/**
+ * Parse and validate an import, and sort valid rows into new submissions and duplicates
+ * of ones already stored (or repeated in the file). The account may be null when an
+ * import-only platform has no account yet.
+ */
+const analyzeImport = async (platformName, account, { format = 'csv', content, mapping } = {}) => {
+    const records = parseRecords(format, content);
+
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import it in parts`, 400);
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const resolvedMapping = resolveMapping(columns, mapping);
+    const now = new Date();
+
+    const invalid = [];
+    const valid = [];
+    records.forEach((record, index) => {
+        const { entry, errors } = toEntry(platformName, record, resolvedMapping, now);
+        // Rows are numbered as in the file: CSV row 1 is the header
+        const row = format === 'json' ? index + 1 : index + 2;
+
+        if (errors.length > 0) {
+            invalid.push({ row, errors });
+        } else {
+            valid.push({ row, entry });
+        }
+    });
+
+    const existingKeys = await findExistingKeys(account, valid.map(({ entry }) => entry));
+
+    const seen = new Set();
+    const fresh = [];
+    let duplicates = 0;
+    valid.forEach(item => {
+        const keys = submissionKeys(item.entry);
+
+        if (keys.some(key => existingKeys.has(key) || seen.has(key))) {
+            duplicates++;
+        } else {
+            fresh.push(item);
+        }
+        keys.forEach(key => seen.add(key));
+    });
+
+    return {
+        columns,
+        mapping: resolvedMapping,
+        totalRows: records.length,
+        invalid,
+        duplicates,
+        fresh
+    };
+};
+
+/**
+ * Rebuild an import-only account's stats from all of its stored submissions,
+ * counting active days in the owner's time zone
+ */
+const rebuildImportedStats = async (account, timeZone) => {
+    await account.updateStats(await storedSubmissionStats(account, timeZone));
+};
+
+/**
+ * Validate an import without saving anything
+ */
+const previewImport = async (platformName, account, input) => {
+    const analysis = await analyzeImport(platformName, account, input);
+
+    return {
+        columns: analysis.columns,
+        mapping: analysis.mapping,
+        totalRows: analysis.totalRows,
+        validRows: analysis.totalRows - analysis.invalid.length,
+        newSubmissions: analysis.fresh.length,
+        duplicates: analysis.duplicates,
+        invalidRows: analysis.invalid,
+        sample: analysis.fresh.slice(0, PREVIEW_SAMPLE_SIZE).map(({ row, entry }) => ({
+            row,
+            date: entry.date,
+            problemId: entry.problemId,
+            problemTitle: entry.problemTitle,
+            problemDifficulty: entry.problemDifficulty,
+            verdict: entry.status,
+            language: entry.language
+        }))
+    };
+};
+
+/**
+ * Store an import's new submissions, then bring stats and history up to date. Import-only
+ * accounts get their stats rebuilt from the imported history; accounts on synced platforms
+ * keep the platform's own stats and only gain submission history. Uploads never write to the
+ * shared problem catalog.
+ */
+const importSubmissions = async (account, input, { timeZone } = {}) => {
+    const analysis = await analyzeImport(account.platformName, account, input);
+    const entries = analysis.fresh.map(({ entry }) => entry);
+
+    const inserted = await Submission.recordMany(entries.map(entry => Submission.fromActivity(account, entry, { source: 'import' })));
+
+    const statsRebuilt = hasCapability(account.platformName, 'importOnly');
+    if (statsRebuilt) {
+        await rebuildImportedStats(account, timeZone);
+    }
+
+    await updateUserCScore(account.userId);
+    await StatsHistory.recordAccountSnapshots(account);
+
+    logger.info(`Imported ${inserted} ${account.platformName} submissions for user ${account.userId} (${analysis.duplicates} duplicates, ${analysis.invalid.length} invalid)`);
+
+    return {
+        totalRows: analysis.totalRows,
+        inserted,
+        duplicates: analysis.duplicates + (entries.length - inserted),
+        invalidRows: analysis.invalid,
+        statsRebuilt,
+        stats: {
+            totalProblemsSolved: account.stats.totalProblemsSolved,
+            easyProblemsSolved: account.stats.easyProblemsSolved,
+            mediumProblemsSolved: account.stats.mediumProblemsSolved,
+            hardProblemsSolved: account.stats.hardProblemsSolved,
+            totalSubmissions: account.stats.submissionStats.totalSubmissions
+        }
+    };
+};
+
+module.exports = {
+    IMPORT_FIELDS,
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    previewImport,
+    importSubmissions
+};
@@ -0,0 +1,46 @@
+const Submission = require('../models/Submission');
+const { hasCapability } = require('./platforms');
+const { createTally, addSubmissions, tallyToStats } = require('./platforms/submissionTally');
+
+/**
+ * Map a stored submission onto the submission tally's input
+ */
+const toTallyEntry = (submission) => ({
+    time: Math.floor(submission.submittedAt.getTime() / 1000),
+    problemKey: submission.problemId,
+    // Submissions stored before native difficulties were kept fall back to their bucket label
+    nativeDifficulty: submission.nativeDifficulty ?? submission.problemDifficulty,
+    accepted: submission.verdict === 'accepted',
+    pending: false,
+    language: submission.language || 'Unknown',
+    activity: {
+        date: submission.submittedAt,
+        problemTitle: submission.problemTitle,
+        problemDifficulty: submission.problemDifficulty,
+        status: submission.verdict === 'other' ? undefined : submission.verdict,
+        language: submission.language,
+        contestName: submission.contestName
+    }
+});
+
+/**
+ * Derive the submission-based part of an account's stats (solved counts, difficulty buckets,
+ * languages, streak, recent activity) from its stored submissions, counting active days in
+ * timeZone. Synced accounts count only what the platform reported, never uploaded history.
+ */
+const storedSubmissionStats = async (account, timeZone) => {
+    const filter = hasCapability(account.platformName, 'importOnly')
+        ? { accountId: account._id }
+        : { accountId: account._id, source: { $ne: 'import' } };
+
+    const stored = await Submission.find(filter)
+        .select('submittedAt problemId problemTitle problemDifficulty nativeDifficulty verdict language contestName')
+        .sort({ submittedAt: 1 })
+        .lean();
+
+    return tallyToStats(addSubmissions(createTally(timeZone), stored.map(toTallyEntry)), account.platformName);
+};
+
+module.exports = {
+    storedSubmissionStats
+};
@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+
+// Not plain 'error': EventSource clients would mix it up with their own connection error event
+const SYNC_STAGES = ['queued', 'fetching', 'parsed', 'saved', 'sync-error'];
+
+// Stats whose change is reported with each event
+const DELTA_FIELDS = [
+    'totalProblemsSolved',
+    'easyProblemsSolved',
+    'mediumProblemsSolved',
+    'hardProblemsSolved',
+    'contestRating',
+    'contestsParticipated',
+    'submissionStats.totalSubmissions',
+    'submissionStats.acceptedSubmissions'
+];
+
+// In-process bus: only syncs run by this process's worker reach its subscribers
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const readField = (stats, field) => field.split('.').reduce((value, key) => (value ? value[key] : undefined), stats);
+
+/**
+ * Change in the reported stats between two stats snapshots.
+ * Unchanged fields, and fields the new snapshot doesn't report, are left out.
+ */
+const statDeltas = (before = {}, after = {}) => {
+    const deltas = {};
+
+    DELTA_FIELDS.forEach(field => {
+        const value = readField(after, field);
+        if (typeof value !== 'number') {
+            return;
+        }
+
+        const delta = value - (readField(before, field) || 0);
+        if (delta !== 0) {
+            deltas[field] = delta;
+        }
+    });
+
+    return deltas;
+};
+
+/**
+ * Publish a sync progress event for a user's platform account
+ */
+const publishSyncEvent = (userId, stage, details = {}) => {
+    emitter.emit('sync', {
+        deltas: {},
+        ...details,
+        userId: String(userId),
+        stage,
+        timestamp: new Date()
+    });
+};
+
+/**
+ * Listen to a user's sync progress events; returns a function that stops listening
+ */
+const subscribeToSyncEvents = (userId, listener) => {
+    const handler = (event) => {
+        if (event.userId === String(userId)) {
+            listener(event);
+        }
+    };
+
+    emitter.on('sync', handler);
+
+    return () => emitter.off('sync', handler);
+};
+
+module.exports = {
+    SYNC_STAGES,
+    statDeltas,
+    publishSyncEvent,
+    subscribeToSyncEvents
+};
@@ -0,0 +1,239 @@
+const os = require('os');
+const PlatformAccount = require('../models/PlatformAccount');
+const SyncJob = require('../models/SyncJob');
+const Submission = require('../models/Submission');
+const StatsHistory = require('../models/StatsHistory');
+const User = require('../models/User');
+const { syncPlatformData } = require('./platformSync');
+const { updateUserCScore } = require('./cScore');
+const { updateUserStreak } = require('./streaks');
+const { recordSubmissionProblems } = require('./problemCatalog');
+const { storedSubmissionStats } = require('./submissionStats');
+const { publishSyncEvent, statDeltas } = require('./syncEvents');
+const { raiseStatChangeEvents } = require('./statChangeEvents');
+const { refreshRatingHistory } = require('./ratingHistory');
+const { hasCapability } = require('./platforms');
+const { userTimeZone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const CONCURRENCY = parseInt(process.env.SYNC_CONCURRENCY) || 4;
+const MAX_ATTEMPTS = parseInt(process.env.SYNC_MAX_ATTEMPTS) || 5;
+const POLL_INTERVAL_MS = parseInt(process.env.SYNC_POLL_INTERVAL_MS) || 5000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // Jobs running longer than this are assumed lost
+const BUSY_ACCOUNT_DELAY_MS = 60 * 1000; // Wait before retrying a job whose account is already syncing
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let running = false;
+let slots = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Accounts on import-only platforms have nothing to sync
+ */
+const isSyncable = (account) => !hasCapability(account.platformName, 'importOnly');
+
+/**
+ * Queue a sync job for one platform account
+ */
+const enqueueAccountSync = async (account, trigger = 'scheduled', { fullResync = false } = {}) => {
+    const job = await SyncJob.enqueue(account, { trigger, maxAttempts: MAX_ATTEMPTS, fullResync });
+
+    publishSyncEvent(job.userId, 'queued', {
+        jobId: job._id,
+        platform: account.platformName,
+        trigger
+    });
+
+    return job;
+};
+
+/**
+ * Queue sync jobs for every active account of a user
+ */
+const enqueueUserSync = async (userId, trigger = 'manual') => {
+    const accounts = await PlatformAccount.find({ userId, isActive: true });
+    return Promise.all(accounts.filter(isSyncable).map(account => enqueueAccountSync(account, trigger)));
+};
+
+/**
+ * Queue sync jobs for all accounts that haven't been updated recently
+ */
+const enqueueStaleAccounts = async (hoursOld = 6) => {
+    const accounts = (await PlatformAccount.findStaleAccounts(hoursOld)).filter(isSyncable);
+    await Promise.all(accounts.map(account => enqueueAccountSync(account, 'scheduled')));
+    return accounts.length;
+};
+
+/**
+ * Write the account's and the user's overall history snapshots.
+ * A failed snapshot is logged rather than failing a sync that has already been saved.
+ */
+const recordSnapshots = async (account) => {
+    try {
+        await StatsHistory.recordAccountSnapshots(account);
+    } catch (error) {
+        logger.error(`Failed to snapshot ${account.platformName} stats for user ${account.userId}:`, error);
+    }
+};
+
+/**
+ * Run a single claimed job
+ */
+const processJob = async (job) => {
+    const account = await PlatformAccount.findById(job.accountId).select('+syncCursor');
+
+    if (!account || !account.isActive) {
+        logger.debug(`Skipping sync job ${job._id}: account no longer active`);
+        return job.markCompleted();
+    }
+
+    const event = { jobId: job._id, platform: account.platformName, attempt: job.attempts };
+    publishSyncEvent(account.userId, 'fetching', event);
+
+    try {
+        const owner = await User.findById(account.userId).select('settings.timezone');
+        const timeZone = userTimeZone(owner);
+        const { stats: fetched, cursor, submissions = [], activityCalendar } = await syncPlatformData(account.platformName, account.platformUsername, {
+            cursor: account.syncCursor,
+            full: job.fullResync,
+            timeZone
+        });
+        const previousStats = account.stats.toObject();
+        const changeContext = { firstSync: !account.lastFullSyncAt, since: account.lastUpdated };
+
+        // Submissions are written before anything else and the cursor last, so a sync that fails
+        // part way is fetched again from the old position instead of skipping what wasn't saved
+        await Submission.recordMany(submissions.map(entry => Submission.fromActivity(account, entry)));
+        await recordSubmissionProblems(account.platformName, submissions);
+
+        // Incremental platforms only send what's new; their totals come from every stored submission
+        const stats = hasCapability(account.platformName, 'incremental')
+            ? { ...fetched, ...(await storedSubmissionStats(account, timeZone)) }
+            : fetched;
+
+        publishSyncEvent(account.userId, 'parsed', {
+            ...event,
+            submissions: submissions.length,
+            deltas: statDeltas(previousStats, stats)
+        });
+
+        if (activityCalendar) {
+            account.activityCalendar = activityCalendar;
+        }
+        await account.updateStats(stats);
+        await updateUserCScore(account.userId);
+        await updateUserStreak(account.userId);
+        await recordSnapshots(account);
+        await refreshRatingHistory(account, previousStats);
+
+        account.syncCursor = cursor || undefined;
+        if (job.fullResync || !cursor || !account.lastFullSyncAt) {
+            account.lastFullSyncAt = new Date();
+        }
+        await Promise.all([account.save(), job.markCompleted()]);
+        await raiseStatChangeEvents(account, previousStats, changeContext, submissions);
+
+        publishSyncEvent(account.userId, 'saved', {
+            ...event,
+            deltas: statDeltas(previousStats, account.stats.toObject())
+        });
+
+        logger.debug(`Synced ${account.platformName}:${account.platformUsername} (job ${job._id})`);
+    } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') {
+            // The platform is throttling us; this isn't the account's fault
+            await job.defer(error.retryAt);
+            account.syncStatus = 'pending';
+            await account.save();
+            publishSyncEvent(account.userId, 'sync-error', {
+                ...event,
+                message: error.message,
+                willRetry: true,
+                retryAt: error.retryAt
+            });
+            logger.debug(`Sync job ${job._id} deferred until ${error.retryAt.toISOString()}: ${account.platformName} circuit open`);
+            return;
+        }
+
+        await job.markFailed(error);
+
+        publishSyncEvent(account.userId, 'sync-error', {
+            ...event,
+            message: error.message,
+            willRetry: job.status !== 'dead',
+            retryAt: job.status !== 'dead' ? job.runAt : undefined
+        });
+
+        if (job.status === 'dead') {
+            await account.recordSyncError(error);
+            logger.error(`Sync job ${job._id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+        } else {
+            account.syncStatus = 'pending';
+            await account.save();
+            logger.warn(`Sync job ${job._id} failed (attempt ${job.attempts}), retrying at ${job.runAt.toISOString()}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Worker slot loop: claim and process jobs until the worker is stopped
+ */
+const runSlot = async () => {
+    while (running) {
+        try {
+            const job = await SyncJob.claimNext(WORKER_ID);
+
+            if (!job) {
+                await SyncJob.releaseStaleLocks(LOCK_TIMEOUT_MS);
+                await sleep(POLL_INTERVAL_MS);
+                continue;
+            }
+
+            // Two syncs of one account would race on its cursor; wait for the other to finish
+            if (await SyncJob.hasRunningSibling(job)) {
+                await job.defer(new Date(Date.now() + BUSY_ACCOUNT_DELAY_MS));
+                continue;
+            }
+
+            await processJob(job);
+        } catch (error) {
+            logger.error('Sync worker error:', error);
+            await sleep(POLL_INTERVAL_MS);
+        }
+    }
+};
+
+/**
+ * Start processing queued sync jobs with a bounded number of concurrent slots.
+ * Jobs left running by a previous process are picked up again once their lock expires.
+ */
+const startSyncWorker = (concurrency = CONCURRENCY) => {
+    if (running) {
+        return;
+    }
+
+    running = true;
+    slots = Array.from({ length: concurrency }, () => runSlot());
+
+    logger.info(`Sync worker ${WORKER_ID} started with concurrency ${concurrency}`);
+};
+
+/**
+ * Stop the worker after in-flight jobs finish
+ */
+const stopSyncWorker = async () => {
+    running = false;
+    await Promise.all(slots);
+    slots = [];
+};
+
+module.exports = {
+    enqueueAccountSync,
+    enqueueUserSync,
+    enqueueStaleAccounts,
+    processJob,
+    startSyncWorker,
+    stopSyncWorker
+};
@@ -0,0 +1,39 @@
+const Submission = require('../models/Submission');
+
+// A tag needs this many attempted problems before it can count as a weak topic
+const WEAK_TOPIC_MIN_ATTEMPTS = 3;
+const WEAK_TOPIC_LIMIT = 5;
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+/**
+ * Per-tag solve counts, acceptance rate and average difficulty for a user,
+ * built from their submissions joined with the problem catalog.
+ * Weakest topics are the tags with the lowest share of attempted problems solved,
+ * then the lowest acceptance rate.
+ */
+const getTagMastery = async (userId, options = {}) => {
+    const counts = await Submission.tagCounts(userId, options);
+
+    const tags = counts.map(tag => ({
+        tag: tag._id,
+        problemsSolved: tag.problemsSolved,
+        problemsAttempted: tag.problemsAttempted,
+        solveRate: percentage(tag.problemsSolved, tag.problemsAttempted),
+        submissions: tag.submissions,
+        acceptedSubmissions: tag.acceptedSubmissions,
+        acceptanceRate: percentage(tag.acceptedSubmissions, tag.submissions),
+        averageDifficulty: tag.averageDifficulty === null ? null : Math.round(tag.averageDifficulty)
+    }));
+
+    const weakestTopics = tags
+        .filter(tag => tag.problemsAttempted >= WEAK_TOPIC_MIN_ATTEMPTS)
+        .sort((a, b) => a.solveRate - b.solveRate || a.acceptanceRate - b.acceptanceRate)
+        .slice(0, WEAK_TOPIC_LIMIT);
+
+    return { tags, weakestTopics };
+};
+
+module.exports = {
+    getTagMastery
+};
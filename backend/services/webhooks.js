@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { assertPublicHost, publicLookup } = require('../utils/network');
+const logger = require('../utils/logger');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // Deliveries sending longer than this are assumed lost
+const RETRY_BATCH_SIZE = 50;
+
+// Sockets that refuse to connect to non-public addresses, whatever the host resolves to at send time
+const PUBLIC_AGENTS = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Receivers on private networks (e.g. a local test receiver) are only allowed outside production
+const allowPrivateAddresses = () => process.env.NODE_ENV !== 'production'
+    && process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true';
+
+/**
+ * Check that a webhook URL may be delivered to: HTTPS (plain HTTP outside production) on a host
+ * that only resolves to public addresses
+ */
+const assertDeliverableUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error('Please provide a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+        throw new Error('Webhook URL must use HTTPS');
+    }
+
+    if (!allowPrivateAddresses()) {
+        try {
+            await assertPublicHost(url.hostname);
+        } catch (error) {
+            throw error.code === 'EPRIVATEADDRESS' ? error : new Error(`Could not resolve ${url.hostname}`);
+        }
+    }
+};
+
+/**
+ * HMAC-SHA256 signature of a delivery, computed over "<timestamp>.<body>"
+ */
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * POST a claimed delivery to its webhook and record the outcome
+ */
+const deliver = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+    if (!webhook || !webhook.isActive) {
+        delivery.attempts = delivery.maxAttempts;
+        return delivery.markFailed('Webhook was deleted or disabled');
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let succeeded = false;
+
+    try {
+        // Checked again on every send: the URL was validated once, but its host can be repointed
+        await assertDeliverableUrl(webhook.url);
+
+        const response = await axios.post(webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CodeTrackPro-Webhooks/1.0',
+                'X-CodeTrackPro-Event': delivery.event,
+                'X-CodeTrackPro-Delivery': String(delivery._id),
+                'X-CodeTrackPro-Timestamp': String(timestamp),
+                'X-CodeTrackPro-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            },
+            ...(allowPrivateAddresses() ? {} : PUBLIC_AGENTS),
+            timeout: DELIVERY_TIMEOUT_MS,
+            // Redirects are never followed, so a receiver can't bounce deliveries onto another host
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+
+        succeeded = response.status >= 200 && response.status < 300;
+        if (succeeded) {
+            await delivery.markDelivered(response.status);
+        } else {
+            await delivery.markFailed(`Receiver responded with ${response.status}`, response.status);
+        }
+    } catch (error) {
+        await delivery.markFailed(error.message);
+    }
+
+    webhook.lastDeliveryAt = new Date();
+    webhook.lastDeliveryStatus = succeeded ? 'delivered' : 'failed';
+    await webhook.save();
+
+    if (!succeeded) {
+        logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) failed, attempt ${delivery.attempts}: ${delivery.lastError.message}`);
+    }
+
+    return delivery;
+};
+
+/**
+ * Claim and send one pending delivery now
+ */
+const attemptDelivery = async (deliveryId) => {
+    const delivery = await WebhookDelivery.claim(deliveryId);
+    return delivery ? deliver(delivery) : null;
+};
+
+/**
+ * Create a delivery of an event for one webhook
+ */
+const createDelivery = (webhook, event, data) => {
+    const delivery = new WebhookDelivery({
+        webhookId: webhook._id,
+        userId: webhook.userId,
+        event
+    });
+    delivery.payload = {
+        id: String(delivery._id),
+        event,
+        createdAt: new Date(),
+        data
+    };
+
+    return delivery.save();
+};
+
+/**
+ * Raise a webhook event: log a delivery for every subscribed webhook and start sending.
+ * Sending happens in the background; failed deliveries are retried by deliverDueWebhooks.
+ */
+const dispatchWebhookEvent = async (event, data, { userId } = {}) => {
+    const webhooks = await Webhook.findSubscribers(event, userId);
+
+    const deliveries = await Promise.all(webhooks.map(webhook => createDelivery(webhook, event, {
+        ...data,
+        ...(userId ? { userId: String(userId) } : {})
+    })));
+
+    deliveries.forEach(delivery => {
+        attemptDelivery(delivery._id).catch(error => {
+            logger.error(`Webhook delivery ${delivery._id} errored:`, error);
+        });
+    });
+
+    return deliveries.length;
+};
+
+/**
+ * Raise an event without letting webhook problems interrupt the caller
+ */
+const raiseWebhookEvent = (event, data, options) => {
+    return dispatchWebhookEvent(event, data, options).catch(error => {
+        logger.error(`Failed to raise webhook event ${event}:`, error);
+        return 0;
+    });
+};
+
+/**
+ * Send a ping to one webhook and wait for the result. Callers should only report whether it was
+ * delivered, so the endpoint can't be used to probe what answers at a URL.
+ */
+const sendTestDelivery = async (webhook) => {
+    const delivery = await createDelivery(webhook, 'ping', { message: 'CodeTrackPro webhook test' });
+    delivery.maxAttempts = 1;
+    await delivery.save();
+
+    return attemptDelivery(delivery._id);
+};
+
+/**
+ * Retry deliveries that are due, oldest first
+ */
+const deliverDueWebhooks = async () => {
+    await WebhookDelivery.releaseStaleLocks(LOCK_TIMEOUT_MS);
+
+    let delivered = 0;
+    for (let i = 0; i < RETRY_BATCH_SIZE; i++) {
+        const delivery = await WebhookDelivery.claim();
+        if (!delivery) {
+            break;
+        }
+        await deliver(delivery);
+        delivered++;
+    }
+
+    return delivered;
+};
+
+module.exports = {
+    assertDeliverableUrl,
+    signPayload,
+    dispatchWebhookEvent,
+    raiseWebhookEvent,
+    attemptDelivery,
+    sendTestDelivery,
+    deliverDueWebhooks
+};
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const { LayoutChangedError } = require('../../services/platforms/errors');
+
+/**
+ * Read a recorded response from tests/fixtures as text
+ */
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+/**
+ * Read a recorded JSON response from tests/fixtures
+ */
+const readJsonFixture = (name) => JSON.parse(readFixture(name));
+
+/**
+ * Check that a parser reports a page it doesn't recognise instead of returning zeros
+ */
+const itRejectsChangedLayout = (parse, page, ...args) => {
+    test('rejects a page it does not recognise', () => {
+        expect(() => parse(page, ...args)).toThrow(LayoutChangedError);
+    });
+};
+
+module.exports = {
+    readFixture,
+    readJsonFixture,
+    itRejectsChangedLayout
+};
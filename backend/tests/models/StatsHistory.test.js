@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const StatsHistory = require('../../models/StatsHistory');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('StatsHistory.granularityFor', () => {
+    test('charts recent ranges from dailies and longer ones from compacted snapshots', () => {
+        expect(StatsHistory.granularityFor(30)).toBe('daily');
+        expect(StatsHistory.granularityFor(90)).toBe('daily');
+        expect(StatsHistory.granularityFor(91)).toBe('weekly');
+        expect(StatsHistory.granularityFor(365)).toBe('weekly');
+        expect(StatsHistory.granularityFor(730)).toBe('monthly');
+    });
+});
+
+describe('StatsHistory.compactHistory', () => {
+    test('cuts off dailies at the start of an ISO week and weeklies at the start of a month', async () => {
+        const compact = jest.spyOn(StatsHistory, 'compactSnapshots').mockResolvedValue({ compacted: 0, removed: 0 });
+
+        // 90 days before is Friday 2 January 2026, 365 days before is 2 April 2025
+        await StatsHistory.compactHistory(new Date('2026-04-02T15:30:00Z'));
+
+        expect(compact).toHaveBeenNthCalledWith(1, 'daily', 'weekly', new Date('2025-12-29T00:00:00Z'));
+        expect(compact).toHaveBeenNthCalledWith(2, 'weekly', 'monthly', new Date('2025-04-01T00:00:00Z'));
+    });
+});
+
+describe('StatsHistory.compactSnapshots', () => {
+    const cutoff = new Date('2025-12-29T00:00:00Z');
+    const userId = new mongoose.Types.ObjectId();
+
+    // Stub aggregate(...).allowDiskUse(...) with the periods found
+    const mockPeriods = (periods) => jest.spyOn(StatsHistory, 'aggregate').mockReturnValue({
+        allowDiskUse: () => Promise.resolve(periods)
+    });
+
+    test('rolls each period into one snapshot with its latest stats and summed changes', async () => {
+        const aggregate = mockPeriods([{
+            _id: { userId, platformName: 'codeforces', period: '2025-W51' },
+            date: new Date('2025-12-21T00:00:00Z'),
+            stats: { problemsSolved: { total: 120 }, contestRating: 1710 },
+            rankChange: 0,
+            ratingChange: 35,
+            problemsChange: 9
+        }]);
+        const bulkWrite = jest.spyOn(StatsHistory, 'bulkWrite').mockResolvedValue({});
+        const deleteMany = jest.spyOn(StatsHistory, 'deleteMany').mockResolvedValue({ deletedCount: 7 });
+
+        await expect(StatsHistory.compactSnapshots('daily', 'weekly', cutoff)).resolves.toEqual({ compacted: 1, removed: 7 });
+
+        const [match, , group] = aggregate.mock.calls[0][0];
+        expect(match.$match).toEqual({ snapshotType: 'daily', date: { $lt: cutoff } });
+        expect(group.$group._id.period.$dateToString.format).toBe('%G-W%V');
+
+        const [[operation]] = bulkWrite.mock.calls[0];
+        expect(operation.updateOne).toEqual({
+            filter: { userId, platformName: 'codeforces', snapshotType: 'weekly', date: new Date('2025-12-21T00:00:00Z') },
+            update: {
+                $set: {
+                    stats: { problemsSolved: { total: 120 }, contestRating: 1710 },
+                    metadata: { rankChange: 0, ratingChange: 35, problemsChange: 9 }
+                }
+            },
+            upsert: true
+        });
+        expect(deleteMany).toHaveBeenCalledWith({ snapshotType: 'daily', date: { $lt: cutoff } });
+    });
+
+    test('writes nothing when no snapshots are old enough', async () => {
+        mockPeriods([]);
+        const bulkWrite = jest.spyOn(StatsHistory, 'bulkWrite');
+        const deleteMany = jest.spyOn(StatsHistory, 'deleteMany');
+
+        await expect(StatsHistory.compactSnapshots('weekly', 'monthly', cutoff)).resolves.toEqual({ compacted: 0, removed: 0 });
+        expect(bulkWrite).not.toHaveBeenCalled();
+        expect(deleteMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,59 @@
+const atcoder = require('../../services/platforms/adapters/atcoder');
+const { readFixture, readJsonFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const profileHtml = readFixture('atcoder/profile.html');
+
+describe('atcoder parseProfilePage', () => {
+    test('reads rank, rating and rated matches', () => {
+        expect(atcoder.parseProfilePage(profileHtml)).toEqual({
+            globalRank: 21345,
+            contestRating: 1050,
+            maxContestRating: 1123,
+            contestsParticipated: 24
+        });
+    });
+
+    itRejectsChangedLayout(atcoder.parseProfilePage, '<html><body>Maintenance</body></html>');
+});
+
+describe('atcoder parseProfileFields', () => {
+    test('reads only the Affiliation field', () => {
+        expect(atcoder.parseProfileFields(profileHtml)).toBe('Kyoto University ctp-1a2b3c4d');
+    });
+});
+
+describe('atcoder mapProfileToStats', () => {
+    const stats = atcoder.mapProfileToStats({
+        profile: atcoder.parseProfilePage(profileHtml),
+        history: readJsonFixture('atcoder/history.json'),
+        submissions: readJsonFixture('atcoder/submissions.json')
+    }, new Date('2025-10-05T12:00:00Z'), 'Asia/Tokyo');
+
+    test('takes contest figures from rated history entries', () => {
+        expect(stats).toMatchObject({
+            contestRating: 1050,
+            maxContestRating: 1123,
+            contestsParticipated: 2,
+            globalRank: 21345
+        });
+    });
+
+    test('buckets solved tasks by their position in the contest', () => {
+        expect(stats.totalProblemsSolved).toBe(2);
+        expect(stats.easyProblemsSolved).toBe(1);
+        expect(stats.mediumProblemsSolved).toBe(1);
+    });
+
+    test('leaves out submissions waiting for judge', () => {
+        expect(stats.submissionStats).toEqual({ totalSubmissions: 4, acceptedSubmissions: 2 });
+        expect(stats.recentActivity[0]).toMatchObject({
+            problemTitle: 'abc426_f',
+            status: 'time-limit-exceeded',
+            contestName: 'AtCoder Beginner Contest 426'
+        });
+    });
+
+    test('counts the streak on local days', () => {
+        expect(stats.streak).toEqual({ current: 2, max: 2 });
+    });
+});
@@ -0,0 +1,40 @@
+const codechef = require('../../services/platforms/adapters/codechef');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const profileHtml = readFixture('codechef/profile.html');
+
+describe('codechef parseProfilePage', () => {
+    const stats = codechef.parseProfilePage(profileHtml);
+
+    test('reads rating, ranks and solve count', () => {
+        expect(stats).toMatchObject({
+            totalProblemsSolved: 412,
+            contestRating: 1781,
+            maxContestRating: 1856,
+            globalRank: 9842,
+            countryRank: 8120
+        });
+    });
+
+    test('reads the contest count from its own element, not the navigation', () => {
+        const withoutCount = profileHtml.replace(/<div class="contest-participated-count">.*<\/div>/, '');
+
+        expect(stats.contestsParticipated).toBe(37);
+        expect(codechef.parseProfilePage(withoutCount).contestsParticipated).toBe(0);
+    });
+
+    test('reads the activity heatmap, padding dates and dropping empty days', () => {
+        expect(stats.activityCalendar).toEqual([
+            { date: '2025-09-28', count: 5 },
+            { date: '2025-10-02', count: 3 }
+        ]);
+    });
+
+    itRejectsChangedLayout(codechef.parseProfilePage, '<html><body>Page not found</body></html>');
+});
+
+describe('codechef parseProfileFields', () => {
+    test('reads the name and institution', () => {
+        expect(codechef.parseProfileFields(profileHtml)).toBe('Ravi Kumar ctp-9f8e7d6c\nIIT Bombay');
+    });
+});
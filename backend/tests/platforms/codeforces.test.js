@@ -0,0 +1,58 @@
+const codeforces = require('../../services/platforms/adapters/codeforces');
+const { readJsonFixture } = require('../fixtures');
+
+const recorded = readJsonFixture('codeforces.json');
+const NOW = new Date('2025-10-19T20:00:00Z');
+
+describe('codeforces mapProfileToStats', () => {
+    const stats = codeforces.mapProfileToStats({
+        info: recorded['user.info'][0],
+        ratingChanges: recorded['user.rating'],
+        submissions: recorded['user.status']
+    }, NOW, 'UTC');
+
+    test('takes the rating from user.info and counts rated contests', () => {
+        expect(stats.contestRating).toBe(1712);
+        expect(stats.maxContestRating).toBe(1805);
+        expect(stats.contestsParticipated).toBe(2);
+    });
+
+    test('counts distinct solved problems into difficulty buckets', () => {
+        expect(stats.totalProblemsSolved).toBe(2);
+        expect(stats.easyProblemsSolved).toBe(1);
+        expect(stats.mediumProblemsSolved).toBe(1);
+        expect(stats.hardProblemsSolved).toBe(0);
+    });
+
+    test('leaves out submissions still being judged', () => {
+        expect(stats.submissionStats).toEqual({ totalSubmissions: 4, acceptedSubmissions: 3 });
+        expect(stats.recentActivity).toHaveLength(4);
+    });
+
+    test('counts submissions and solves per language', () => {
+        expect(stats.languageStats).toEqual({
+            'C++17 (GCC 7-32)': { problemsSolved: 2, submissions: 3 },
+            'Python 3': { problemsSolved: 1, submissions: 1 }
+        });
+    });
+
+    test('names the contest of each recent submission', () => {
+        expect(stats.recentActivity[0]).toMatchObject({
+            problemTitle: 'Make Almost Equal With Mod',
+            status: 'accepted',
+            contestName: 'Codeforces Round 915 (Div. 2)'
+        });
+    });
+
+    test('counts the streak over active days', () => {
+        expect(stats.streak).toEqual({ current: 2, max: 2 });
+    });
+});
+
+describe('codeforces ratingToDifficulty', () => {
+    test('buckets problem ratings', () => {
+        expect(codeforces.ratingToDifficulty(800)).toBe('easy');
+        expect(codeforces.ratingToDifficulty(1600)).toBe('medium');
+        expect(codeforces.ratingToDifficulty(2400)).toBe('hard');
+    });
+});
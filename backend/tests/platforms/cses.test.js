@@ -0,0 +1,16 @@
+const cses = require('../../services/platforms/adapters/cses');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+describe('cses parseProgressPage', () => {
+    test('counts tasks marked full', () => {
+        expect(cses.parseProgressPage(readFixture('cses/progress.html'))).toEqual({ totalProblemsSolved: 3 });
+    });
+
+    itRejectsChangedLayout(cses.parseProgressPage, '<h1>CSES</h1>');
+});
+
+describe('cses parseProfileFields', () => {
+    test('reads the Name field', () => {
+        expect(cses.parseProfileFields(readFixture('cses/user.html'))).toBe('Aino Laine ctp-c0ffee00');
+    });
+});
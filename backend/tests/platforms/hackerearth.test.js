@@ -0,0 +1,31 @@
+const hackerearth = require('../../services/platforms/adapters/hackerearth');
+const { PrivateProfileError } = require('../../services/platforms/errors');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const profileHtml = readFixture('hackerearth/profile.html');
+
+describe('hackerearth parseProfilePage', () => {
+    test('reads the profile metrics', () => {
+        expect(hackerearth.parseProfilePage(profileHtml, 'asha_v')).toEqual({
+            totalProblemsSolved: 214,
+            contestRating: 1532,
+            maxContestRating: 1610,
+            contestsParticipated: 19,
+            submissionStats: { totalSubmissions: 688 }
+        });
+    });
+
+    test('reports private profiles', () => {
+        expect(() => hackerearth.parseProfilePage('<p>This profile is private.</p>', 'asha_v'))
+            .toThrow(PrivateProfileError);
+    });
+
+    itRejectsChangedLayout(hackerearth.parseProfilePage, '<p>Welcome</p>', 'asha_v');
+});
+
+describe('hackerearth parseProfileFields', () => {
+    test('reads the name and the bio, not similarly named elements', () => {
+        expect(hackerearth.parseProfileFields(profileHtml))
+            .toBe('Asha Verma\nCompetitive programmer from Pune ctp-0badf00d');
+    });
+});
@@ -0,0 +1,37 @@
+const hackerrank = require('../../services/platforms/adapters/hackerrank');
+const { readJsonFixture } = require('../fixtures');
+
+const payloads = {
+    badges: readJsonFixture('hackerrank/badges.json').models,
+    submissionHistory: readJsonFixture('hackerrank/submission_histories.json'),
+    recentChallenges: readJsonFixture('hackerrank/recent_challenges.json').models
+};
+
+describe('hackerrank mapProfileToStats', () => {
+    const stats = hackerrank.mapProfileToStats(payloads, new Date('2025-10-19T10:00:00Z'), 'UTC');
+
+    test('sums solves over badges and counts starred badges', () => {
+        expect(stats.totalProblemsSolved).toBe(141);
+        expect(stats.badges).toBe(2);
+    });
+
+    test('totals the submission history and keeps active days as the calendar', () => {
+        expect(stats.submissionStats).toEqual({ totalSubmissions: 7 });
+        expect(stats.activityCalendar).toEqual([
+            { date: '2025-10-15', count: 4 },
+            { date: '2025-10-17', count: 2 },
+            { date: '2025-10-18', count: 1 }
+        ]);
+        expect(stats.streak).toEqual({ current: 2, max: 2 });
+    });
+
+    test('maps recent challenges onto catalog problems', () => {
+        expect(stats.recentActivity).toHaveLength(2);
+        expect(stats.recentActivity[0]).toMatchObject({
+            problemTitle: 'Climbing the Leaderboard',
+            status: 'accepted',
+            problemId: 'climbing-the-leaderboard',
+            problem: { url: 'https://www.hackerrank.com/challenges/climbing-the-leaderboard/problem' }
+        });
+    });
+});
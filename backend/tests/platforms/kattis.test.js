@@ -0,0 +1,18 @@
+const kattis = require('../../services/platforms/adapters/kattis');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const profileHtml = readFixture('kattis/profile.html');
+
+describe('kattis parseProfilePage', () => {
+    test('reads the score and rank', () => {
+        expect(kattis.parseProfilePage(profileHtml)).toEqual({ score: 1204.5, globalRank: 1087 });
+    });
+
+    itRejectsChangedLayout(kattis.parseProfilePage, '<h1>Kattis</h1>');
+});
+
+describe('kattis parseProfileFields', () => {
+    test('reads the name heading', () => {
+        expect(kattis.parseProfileFields(profileHtml)).toBe('Jonas Berg ctp-77aa88bb');
+    });
+});
@@ -0,0 +1,61 @@
+const leetcode = require('../../services/platforms/adapters/leetcode');
+const { readJsonFixture } = require('../fixtures');
+
+const { data } = readJsonFixture('leetcode.json');
+const NOW = new Date('2025-10-19T12:00:00Z');
+
+describe('leetcode mapProfileToStats', () => {
+    const stats = leetcode.mapProfileToStats(data, NOW, 'America/New_York');
+
+    test('reads solve counts per difficulty label', () => {
+        expect(stats).toMatchObject({
+            totalProblemsSolved: 312,
+            easyProblemsSolved: 140,
+            mediumProblemsSolved: 150,
+            hardProblemsSolved: 22
+        });
+    });
+
+    test('rounds the contest rating and takes the best attended contest as the maximum', () => {
+        expect(stats.contestRating).toBe(1844);
+        expect(stats.maxContestRating).toBe(1901);
+        expect(stats.contestsParticipated).toBe(18);
+    });
+
+    test('reads submission totals', () => {
+        expect(stats.submissionStats).toEqual({ totalSubmissions: 655, acceptedSubmissions: 401 });
+    });
+
+    test('leaves out per-language submissions, which LeetCode does not report', () => {
+        expect(stats.languageStats).toEqual({
+            'C++': { problemsSolved: 250 },
+            Python3: { problemsSolved: 71 }
+        });
+    });
+
+    test('keeps the calendar on LeetCode days', () => {
+        expect(stats.activityCalendar).toEqual([
+            { date: '2025-09-30', count: 1 },
+            { date: '2025-10-16', count: 3 },
+            { date: '2025-10-17', count: 2 },
+            { date: '2025-10-18', count: 1 },
+            { date: '2025-10-19', count: 2 }
+        ]);
+    });
+
+    test('places recent submissions on local days for the streak', () => {
+        // New York's 18th ended at 04:00 UTC on the 19th, so the 19th's UTC day isn't active there yet
+        expect(stats.streak).toEqual({ current: 3, max: 3 });
+        expect(leetcode.mapProfileToStats(data, NOW, 'UTC').streak).toEqual({ current: 4, max: 4 });
+    });
+
+    test('maps recent accepted submissions onto catalog problems', () => {
+        expect(stats.recentActivity[0]).toMatchObject({
+            problemTitle: 'Two Sum',
+            status: 'accepted',
+            externalId: '1801234567',
+            problemId: 'two-sum',
+            problem: { externalId: 'two-sum', url: 'https://leetcode.com/problems/two-sum/' }
+        });
+    });
+});
@@ -0,0 +1,10 @@
+const projecteuler = require('../../services/platforms/adapters/projecteuler');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+describe('projecteuler parseProfile', () => {
+    test('reads the solve count from the plain-text profile', () => {
+        expect(projecteuler.parseProfile(readFixture('projecteuler/profile.txt'))).toEqual({ totalProblemsSolved: 87 });
+    });
+
+    itRejectsChangedLayout(projecteuler.parseProfile, '<html>Login</html>');
+});
@@ -0,0 +1,27 @@
+const spoj = require('../../services/platforms/adapters/spoj');
+const { readFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const profileHtml = readFixture('spoj/profile.html');
+
+describe('spoj parseProfilePage', () => {
+    test('reads solves, world rank and points', () => {
+        expect(spoj.parseProfilePage(profileHtml)).toEqual({
+            totalProblemsSolved: 187,
+            globalRank: 1234,
+            score: 45.67,
+            submissionStats: { totalSubmissions: 503 }
+        });
+    });
+
+    itRejectsChangedLayout(spoj.parseProfilePage, '<p>Sphere Online Judge</p>');
+});
+
+describe('spoj parseProfileFields', () => {
+    test('reads the name and institution from the profile card', () => {
+        expect(spoj.parseProfileFields(profileHtml)).toBe('Mira Sokolova\nJagiellonian University ctp-5e5e5e5e');
+    });
+
+    test('reads nothing from a page without a profile card', () => {
+        expect(spoj.parseProfileFields('<h3>ctp-5e5e5e5e</h3>')).toBe('');
+    });
+});
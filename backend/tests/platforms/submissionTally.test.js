@@ -0,0 +1,25 @@
+const { createCursor, resumeCursor, advanceCursor } = require('../../services/platforms/submissionTally');
+
+const submission = (id, time, pending = false) => ({ id, time, pending });
+
+describe('submission cursor', () => {
+    test('starts over from a missing or outdated cursor', () => {
+        expect(resumeCursor(null)).toEqual(createCursor());
+        expect(resumeCursor({ version: 2, lastSubmissionId: 10, solved: [] })).toEqual(createCursor());
+    });
+
+    test('moves past the newest submission', () => {
+        const cursor = advanceCursor(createCursor(), [submission(2, 200), submission(1, 100)]);
+        expect(cursor).toMatchObject({ lastSubmissionId: 2, lastSubmissionTime: 200 });
+    });
+
+    test('stops before a submission still being judged', () => {
+        const cursor = advanceCursor(createCursor(), [submission(1, 100), submission(2, 200, true), submission(3, 300)]);
+        expect(cursor).toMatchObject({ lastSubmissionId: 1, lastSubmissionTime: 100 });
+    });
+
+    test('ignores submissions it has already passed', () => {
+        const previous = advanceCursor(createCursor(), [submission(5, 500)]);
+        expect(advanceCursor(previous, [submission(4, 400)])).toEqual(previous);
+    });
+});
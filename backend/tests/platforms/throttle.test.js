@@ -0,0 +1,123 @@
+const {
+    configureRateLimit,
+    acquire,
+    assertAvailable,
+    recordResponse,
+    resetBreaker,
+    getThrottleState
+} = require('../../services/platforms/throttle');
+const { CircuitOpenError } = require('../../services/platforms/errors');
+const logger = require('../../utils/logger');
+
+const COOLDOWN_MS = 60 * 1000;
+
+const breakerState = (platform) => getThrottleState([platform])[0].breaker;
+
+// Fail enough requests in a row to open the breaker
+const tripBreaker = (platform, status = 503) => {
+    for (let i = 0; i < 5; i++) {
+        recordResponse(platform, status);
+    }
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    jest.spyOn(logger, 'info').mockImplementation(() => logger);
+    jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('token bucket', () => {
+    test('lets a burst through and then spaces requests out at the configured rate', async () => {
+        configureRateLimit('bucket-rate', { requestsPerSecond: 2, burst: 2 });
+        const granted = [];
+
+        [1, 2, 3, 4].forEach(request => acquire('bucket-rate').then(() => granted.push(request)));
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(granted).toEqual([1, 2]);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(granted).toEqual([1, 2, 3]);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(granted).toEqual([1, 2, 3, 4]);
+    });
+
+    test('refills up to the burst size while idle', async () => {
+        configureRateLimit('bucket-refill', { requestsPerSecond: 1, burst: 3 });
+
+        await Promise.all([acquire('bucket-refill'), acquire('bucket-refill'), acquire('bucket-refill')]);
+        expect(getThrottleState(['bucket-refill'])[0].rateLimit.availableTokens).toBe(0);
+
+        jest.advanceTimersByTime(10 * 1000);
+        expect(getThrottleState(['bucket-refill'])[0].rateLimit.availableTokens).toBe(3);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('opens after repeated 429/5xx responses and rejects requests until the cooldown passes', async () => {
+        tripBreaker('breaker-open', 429);
+
+        expect(breakerState('breaker-open')).toMatchObject({ state: 'open', failures: 5 });
+        await expect(acquire('breaker-open')).rejects.toThrow(CircuitOpenError);
+        expect(() => assertAvailable('breaker-open')).toThrow(CircuitOpenError);
+
+        jest.advanceTimersByTime(COOLDOWN_MS);
+        expect(() => assertAvailable('breaker-open')).not.toThrow();
+    });
+
+    test('does not count client errors or network failures against the platform', () => {
+        [404, 403, 400, 404, 404, undefined, undefined].forEach(status => recordResponse('breaker-4xx', status));
+
+        expect(breakerState('breaker-4xx').state).toBe('closed');
+    });
+
+    test('waits at least as long as the platform asks in Retry-After', () => {
+        for (let i = 0; i < 4; i++) {
+            recordResponse('breaker-retry-after', 503);
+        }
+        recordResponse('breaker-retry-after', 429, 5 * COOLDOWN_MS);
+
+        expect(breakerState('breaker-retry-after').retryAt)
+            .toEqual(new Date(Date.now() + 5 * COOLDOWN_MS));
+    });
+
+    test('lets a single trial request through once half-open and closes on its success', async () => {
+        tripBreaker('breaker-trial');
+        jest.advanceTimersByTime(COOLDOWN_MS);
+
+        await acquire('breaker-trial');
+        expect(breakerState('breaker-trial').state).toBe('half-open');
+        await expect(acquire('breaker-trial')).rejects.toThrow(CircuitOpenError);
+
+        recordResponse('breaker-trial', 200);
+        expect(breakerState('breaker-trial')).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('reopens for twice as long when the trial request fails', async () => {
+        tripBreaker('breaker-backoff');
+        jest.advanceTimersByTime(COOLDOWN_MS);
+
+        await acquire('breaker-backoff');
+        recordResponse('breaker-backoff', 502);
+
+        expect(breakerState('breaker-backoff')).toMatchObject({
+            state: 'open',
+            retryAt: new Date(Date.now() + 2 * COOLDOWN_MS)
+        });
+    });
+
+    test('can be closed by hand', () => {
+        tripBreaker('breaker-reset');
+
+        resetBreaker('breaker-reset');
+
+        expect(breakerState('breaker-reset')).toMatchObject({ state: 'closed', failures: 0, lastFailure: null });
+        expect(() => assertAvailable('breaker-reset')).not.toThrow();
+    });
+});
@@ -0,0 +1,85 @@
+const {
+    mapGraphqlCalendar,
+    parseContributionsPage,
+    summarizeCalendar,
+    mapRepositories
+} = require('../../services/github');
+const { readFixture, readJsonFixture, itRejectsChangedLayout } = require('../fixtures');
+
+const graphqlCalendar = readJsonFixture('github/calendar.json').data.user.contributionsCollection.contributionCalendar;
+
+describe('mapGraphqlCalendar', () => {
+    test('flattens the weeks into days', () => {
+        const calendar = mapGraphqlCalendar(graphqlCalendar);
+
+        expect(calendar).toHaveLength(8);
+        expect(calendar[0]).toEqual({ date: '2025-10-12', count: 4 });
+        expect(calendar[7]).toEqual({ date: '2025-10-19', count: 21 });
+    });
+});
+
+describe('parseContributionsPage', () => {
+    test('reads each day\'s count from its tooltip, oldest first', () => {
+        expect(parseContributionsPage(readFixture('github/contributions.html'))).toEqual([
+            { date: '2025-10-12', count: 4 },
+            { date: '2025-10-13', count: 0 },
+            { date: '2025-10-14', count: 1 },
+            { date: '2025-10-18', count: 8 },
+            { date: '2025-10-19', count: 21 }
+        ]);
+    });
+
+    test('reads data-count from older markup', () => {
+        expect(parseContributionsPage('<td class="day" data-date="2025-10-19" data-count="5"></td>'))
+            .toEqual([{ date: '2025-10-19', count: 5 }]);
+    });
+
+    itRejectsChangedLayout(parseContributionsPage, '<p>Not Found</p>');
+});
+
+describe('summarizeCalendar', () => {
+    const calendar = mapGraphqlCalendar(graphqlCalendar);
+
+    test('totals contributions and counts the streak', () => {
+        expect(summarizeCalendar(calendar, new Date('2025-10-19T20:00:00Z'), 'UTC')).toEqual({
+            totalContributions: 34,
+            streak: { current: 2, max: 2 }
+        });
+    });
+
+    test('judges the current streak against today in the user\'s time zone', () => {
+        const now = new Date('2025-10-20T16:00:00Z');
+
+        expect(summarizeCalendar(calendar, now, 'UTC').streak.current).toBe(2);
+        // Already the 21st in Tokyo, so the 19th is no longer yesterday
+        expect(summarizeCalendar(calendar, now, 'Asia/Tokyo').streak.current).toBe(0);
+    });
+});
+
+describe('mapRepositories', () => {
+    const summary = mapRepositories(readJsonFixture('github/repos.json'));
+
+    test('leaves forks out of stars and forks', () => {
+        expect(summary.totalStars).toBe(56);
+        expect(summary.totalForks).toBe(9);
+    });
+
+    test('counts repositories per language, most used first', () => {
+        expect(summary.languages).toEqual([
+            { name: 'C++', repositories: 2 },
+            { name: 'Shell', repositories: 1 }
+        ]);
+    });
+
+    test('lists the most starred repositories', () => {
+        expect(summary.topRepositories.map(repository => repository.name))
+            .toEqual(['cp-library', 'leetcode-solutions', 'dotfiles', 'notes']);
+        expect(summary.topRepositories[0]).toEqual({
+            name: 'cp-library',
+            url: 'https://github.com/octo-dev/cp-library',
+            description: 'Competitive programming snippets',
+            language: 'C++',
+            stars: 41
+        });
+    });
+});
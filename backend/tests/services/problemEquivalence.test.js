@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Problem = require('../../models/Problem');
+const Submission = require('../../models/Submission');
+const curated = require('../../config/problemEquivalences.json');
+const {
+    normalizeTitle,
+    titleSimilarity,
+    versionTokens,
+    rebuildEquivalenceGroups,
+    countDuplicateSolves
+} = require('../../services/problemEquivalence');
+const logger = require('../../utils/logger');
+
+const problem = (platformName, externalId, title, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    platformName,
+    externalId,
+    title,
+    ...fields
+});
+
+describe('title matching', () => {
+    test('normalizes case and punctuation', () => {
+        expect(normalizeTitle('  Longest Common-Subsequence (LCS)! ')).toBe('longest common subsequence lcs');
+        expect(normalizeTitle(undefined)).toBe('');
+    });
+
+    test('scores identical titles 1 and unrelated titles near 0', () => {
+        expect(titleSimilarity('coin combinations', 'coin combinations')).toBe(1);
+        expect(titleSimilarity('coin combinations', 'coin combination')).toBeGreaterThan(0.9);
+        expect(titleSimilarity('coin combinations', 'graph girth')).toBeLessThan(0.2);
+    });
+
+    test('picks out the words that tell versions of a problem apart', () => {
+        expect(versionTokens('coin combinations ii')).toBe('ii');
+        expect(versionTokens('subarray sums 2')).toBe('2');
+        expect(versionTokens('permutation game easy version')).toBe('easy');
+        expect(versionTokens('array division')).toBe('');
+    });
+});
+
+describe('rebuildEquivalenceGroups', () => {
+    let problems;
+    let bulkWrite;
+
+    const groupOf = (target) => {
+        const operation = bulkWrite.mock.calls[0][0].find(({ updateOne }) => updateOne.filter._id === target._id);
+        return operation && operation.updateOne.update;
+    };
+
+    beforeEach(() => {
+        problems = [];
+        jest.spyOn(Problem, 'find').mockReturnValue({ lean: () => Promise.resolve(problems) });
+        bulkWrite = jest.spyOn(Problem, 'bulkWrite').mockResolvedValue({});
+        jest.spyOn(logger, 'info').mockImplementation(() => logger);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        curated.groups = [];
+    });
+
+    test('groups near-identical titles on different platforms under their smallest member', async () => {
+        const cses = problem('cses', '1635', 'Coin Combinations I', { normalizedDifficulty: 1500 });
+        const atcoder = problem('atcoder', 'dp_x', 'Coin-Combinations I', { normalizedDifficulty: 1600 });
+        problems.push(cses, atcoder);
+
+        await expect(rebuildEquivalenceGroups()).resolves.toEqual({ groups: 1, changed: 2 });
+
+        expect(groupOf(cses)).toEqual({ $set: { equivalenceGroup: 'atcoder:dp_x' } });
+        expect(groupOf(atcoder)).toEqual({ $set: { equivalenceGroup: 'atcoder:dp_x' } });
+    });
+
+    test('keeps sequels, same-platform lookalikes and distant difficulties apart', async () => {
+        problems.push(
+            problem('cses', '1635', 'Coin Combinations I'),
+            problem('codeforces', '1A', 'Coin Combinations II'),
+            problem('leetcode', 'subarray-sum-equals-k', 'Subarray Sum Equals K', { normalizedDifficulty: 1200 }),
+            problem('leetcode', 'subarray-sum-equals-k-ii', 'Subarray Sum Equals K.', { normalizedDifficulty: 1300 }),
+            problem('spoj', 'SUBSUM', 'Subarray Sum Equals K', { normalizedDifficulty: 2400 })
+        );
+
+        await expect(rebuildEquivalenceGroups()).resolves.toEqual({ groups: 0, changed: 0 });
+        expect(bulkWrite).not.toHaveBeenCalled();
+    });
+
+    test('ignores titles too short to be distinctive', async () => {
+        problems.push(problem('cses', '1', 'Game'), problem('codechef', 'GAME', 'Game'));
+
+        await expect(rebuildEquivalenceGroups()).resolves.toEqual({ groups: 0, changed: 0 });
+    });
+
+    test('takes curated groups as-is and clears groups that no longer hold', async () => {
+        curated.groups = [['cses:1068', 'spoj:COLLATZ']];
+        const cses = problem('cses', '1068', 'Weird Algorithm', { equivalenceGroup: 'cses:1068' });
+        const spoj = problem('spoj', 'COLLATZ', '3n+1 Problem', { equivalenceGroup: 'cses:1068' });
+        const stale = problem('kattis', 'hello', 'Hello World Program', { equivalenceGroup: 'kattis:hello' });
+        problems.push(cses, spoj, stale);
+
+        await expect(rebuildEquivalenceGroups()).resolves.toEqual({ groups: 1, changed: 1 });
+        expect(groupOf(stale)).toEqual({ $unset: { equivalenceGroup: '' } });
+    });
+});
+
+describe('countDuplicateSolves', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('counts every solve of a group after the first', async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const accountIds = [new mongoose.Types.ObjectId()];
+        const groupCounts = jest.spyOn(Submission, 'equivalenceGroupCounts')
+            .mockResolvedValue([{ _id: 'atcoder:dp_x', count: 3 }, { _id: 'cses:1068', count: 2 }]);
+
+        await expect(countDuplicateSolves(userId, { accountIds })).resolves.toBe(3);
+        expect(groupCounts).toHaveBeenCalledWith(userId, { accountIds });
+    });
+});
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const PlatformAccount = require('../../models/PlatformAccount');
+const Submission = require('../../models/Submission');
+const Streak = require('../../models/Streak');
+const { toDayNumber } = require('../../services/platforms/utils');
+const {
+    DEFAULT_STREAK_RULES,
+    streakRules,
+    computeStreakRuns,
+    computeUserStreak,
+    updateRunningStreaks
+} = require('../../services/streaks');
+
+jest.mock('../../services/statChangeEvents');
+
+const day = (date) => toDayNumber(date);
+const days = (...dates) => dates.map(day);
+
+const withFreezes = (freezeDaysPerMonth) => ({ ...DEFAULT_STREAK_RULES, freezeDaysPerMonth });
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('streakRules', () => {
+    test('fills in the defaults for rules the user has not set', () => {
+        expect(streakRules({ settings: { streakRules: { minProblemsPerDay: 3 } } }))
+            .toEqual({ acceptedOnly: false, minProblemsPerDay: 3, freezeDaysPerMonth: 0 });
+        expect(streakRules(null)).toEqual(DEFAULT_STREAK_RULES);
+    });
+});
+
+describe('computeStreakRuns', () => {
+    test('counts consecutive days and keeps the streak alive through today', () => {
+        const active = days('2026-03-01', '2026-03-02', '2026-03-03');
+
+        expect(computeStreakRuns(active, DEFAULT_STREAK_RULES, day('2026-03-03')))
+            .toMatchObject({ current: 3, max: 3, currentRun: { start: '2026-03-01', end: '2026-03-03', length: 3 } });
+        expect(computeStreakRuns(active, DEFAULT_STREAK_RULES, day('2026-03-04')).current).toBe(3);
+        expect(computeStreakRuns(active, DEFAULT_STREAK_RULES, day('2026-03-05')).current).toBe(0);
+    });
+
+    test('keeps finished runs longer than a day in the history', () => {
+        const active = days('2026-02-01', '2026-02-02', '2026-02-03', '2026-02-10', '2026-02-20', '2026-02-21');
+
+        const streak = computeStreakRuns(active, DEFAULT_STREAK_RULES, day('2026-02-21'));
+
+        expect(streak).toMatchObject({ current: 2, max: 3 });
+        expect(streak.history).toEqual([{ start: '2026-02-01', end: '2026-02-03', length: 3, frozenDays: 0 }]);
+    });
+
+    test('bridges missed days with the month\'s freezes', () => {
+        const active = days('2026-03-01', '2026-03-02', '2026-03-05');
+
+        expect(computeStreakRuns(active, withFreezes(2), day('2026-03-05')))
+            .toMatchObject({ current: 3, currentRun: { start: '2026-03-01', length: 3, frozenDays: 2 } });
+        expect(computeStreakRuns(active, withFreezes(1), day('2026-03-05'))).toMatchObject({ current: 1, max: 2 });
+    });
+
+    test('spends each month\'s freezes only once', () => {
+        const active = days('2026-03-01', '2026-03-03', '2026-03-05');
+
+        expect(computeStreakRuns(active, withFreezes(1), day('2026-03-05'))).toMatchObject({ current: 1, max: 2 });
+    });
+
+    test('charges missed days to the month they fall in', () => {
+        // 28 February and 1 March: one freeze from each month
+        const active = days('2026-02-26', '2026-02-27', '2026-03-02');
+
+        expect(computeStreakRuns(active, withFreezes(1), day('2026-03-02'))).toMatchObject({ current: 3 });
+    });
+
+    test('keeps a streak alive over missed days up to today while freezes last', () => {
+        const active = days('2026-03-01', '2026-03-02');
+
+        expect(computeStreakRuns(active, withFreezes(2), day('2026-03-05')).current).toBe(2);
+        expect(computeStreakRuns(active, withFreezes(2), day('2026-03-06')).current).toBe(0);
+    });
+
+    test('reports no streak without active days', () => {
+        expect(computeStreakRuns([], DEFAULT_STREAK_RULES, day('2026-03-01')))
+            .toEqual({ current: 0, max: 0, currentRun: null, history: [] });
+    });
+});
+
+describe('computeUserStreak', () => {
+    let user;
+    let account;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-03-03T12:00:00Z') });
+
+        user = new User({ username: 'tourist', email: 'tourist@example.com', password: 'secret123' });
+        account = new PlatformAccount({
+            userId: user._id,
+            platformName: 'leetcode',
+            platformUsername: 'tourist',
+            activityCalendar: [{ date: '2026-03-01', count: 4 }]
+        });
+        jest.spyOn(PlatformAccount, 'find').mockReturnValue({ select: () => Promise.resolve([account]) });
+    });
+
+    test('needs the minimum problems per day, taking the calendar count where it is higher', async () => {
+        user.settings.streakRules = { minProblemsPerDay: 2 };
+        const dailyCounts = jest.spyOn(Submission, 'dailyProblemCounts').mockResolvedValue([
+            { _id: '2026-03-01', problems: 1 },
+            { _id: '2026-03-02', problems: 2 },
+            { _id: '2026-03-03', problems: 1 }
+        ]);
+
+        const streak = await computeUserStreak(user);
+
+        expect(dailyCounts).toHaveBeenCalledWith(user._id, { accountIds: [account._id], acceptedOnly: false, timeZone: 'UTC' });
+        expect(streak).toMatchObject({ current: 2, currentRun: { start: '2026-03-01', end: '2026-03-02' } });
+    });
+
+    test('ignores activity calendars when only accepted submissions count', async () => {
+        user.settings.streakRules = { acceptedOnly: true };
+        jest.spyOn(Submission, 'dailyProblemCounts').mockResolvedValue([{ _id: '2026-03-02', problems: 1 }]);
+
+        const streak = await computeUserStreak(user);
+
+        expect(streak).toMatchObject({ current: 1, currentRun: { start: '2026-03-02' } });
+    });
+});
+
+describe('updateRunningStreaks', () => {
+    test('recomputes running streaks and counts the ones that changed', async () => {
+        const users = [
+            { _id: new mongoose.Types.ObjectId(), streak: { current: 4 } },
+            { _id: new mongoose.Types.ObjectId(), streak: { current: 0 } }
+        ];
+        jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve(users) });
+        jest.spyOn(User, 'findById').mockImplementation(_id => ({ select: () => Promise.resolve(new User({ _id })) }));
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Streak, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+        jest.spyOn(Streak, 'findOneAndUpdate').mockResolvedValue({});
+        jest.spyOn(PlatformAccount, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+        jest.spyOn(Submission, 'dailyProblemCounts').mockResolvedValue([]);
+
+        await expect(updateRunningStreaks()).resolves.toBe(1);
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: users[0]._id }, { $set: { streak: { current: 0, max: 0 } } });
+    });
+});
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const PlatformAccount = require('../../models/PlatformAccount');
+const Problem = require('../../models/Problem');
+const Submission = require('../../models/Submission');
+const StatsHistory = require('../../models/StatsHistory');
+const { MAX_IMPORT_ROWS, parseCsv, previewImport, importSubmissions } = require('../../services/submissionImport');
+const logger = require('../../utils/logger');
+
+jest.mock('../../services/cScore');
+
+const csv = (...lines) => lines.join('\n');
+
+// Stub Submission.find(...).select(...).lean() with the account's stored submissions
+const mockStoredSubmissions = (submissions) => jest.spyOn(Submission, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(submissions) })
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseCsv', () => {
+    test('splits rows and cells', () => {
+        expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    test('keeps commas, escaped quotes and line breaks inside quoted cells', () => {
+        expect(parseCsv('title,note\r\n"Sum, Again","said ""hi""\nthen left"'))
+            .toEqual([['title', 'note'], ['Sum, Again', 'said "hi"\nthen left']]);
+    });
+
+    test('skips blank lines', () => {
+        expect(parseCsv('a\n\n1\n  \n2')).toEqual([['a'], ['1'], ['2']]);
+    });
+});
+
+describe('previewImport', () => {
+    test('matches columns by name and maps judge verdict spellings', async () => {
+        const preview = await previewImport('leetcode', null, {
+            format: 'csv',
+            content: csv(
+                'Submission ID,Problem,Title,Status,Lang,Submitted At,Difficulty',
+                '101,two-sum,Two Sum,AC,python3,2026-02-01T10:00:00Z,Easy',
+                '102,lru-cache,LRU Cache,Time Limit Exceeded,cpp,2026-02-02T10:00:00Z,Medium'
+            )
+        });
+
+        expect(preview.mapping).toEqual({
+            date: 'Submitted At',
+            problemId: 'Problem',
+            problemTitle: 'Title',
+            verdict: 'Status',
+            language: 'Lang',
+            externalId: 'Submission ID',
+            difficulty: 'Difficulty'
+        });
+        expect(preview).toMatchObject({ totalRows: 2, validRows: 2, newSubmissions: 2, duplicates: 0 });
+        expect(preview.sample[0]).toMatchObject({ row: 2, problemId: 'two-sum', verdict: 'accepted', problemDifficulty: 'easy' });
+        expect(preview.sample[1]).toMatchObject({ row: 3, verdict: 'time-limit-exceeded', language: 'cpp' });
+    });
+
+    test('uses the caller\'s column mapping over matching names', async () => {
+        const preview = await previewImport('other', null, {
+            content: csv('when,slug,date', '2026-02-01,weird-algorithm,not a date'),
+            mapping: { date: 'when', problemId: 'slug' }
+        });
+
+        expect(preview.invalidRows).toEqual([]);
+        expect(preview.sample[0]).toMatchObject({ problemId: 'weird-algorithm', verdict: 'accepted' });
+    });
+
+    test('reports invalid rows with their line in the file', async () => {
+        const preview = await previewImport('other', null, {
+            content: csv(
+                'date,problem',
+                'yesterday-ish,a',
+                ',b',
+                '2999-01-01,c',
+                '2026-02-01,'
+            )
+        });
+
+        expect(preview.validRows).toBe(0);
+        expect(preview.invalidRows).toEqual([
+            { row: 2, errors: ['Invalid date "yesterday-ish"'] },
+            { row: 3, errors: ['Missing date'] },
+            { row: 4, errors: ['Date is in the future'] },
+            { row: 5, errors: ['Missing problem id or title'] }
+        ]);
+    });
+
+    test('reads JSON arrays and { submissions } objects with unix timestamps', async () => {
+        const submissions = [{ problemId: 'p1', verdict: 'WA', timestamp: 1769940000 }];
+
+        const fromArray = await previewImport('other', null, { format: 'json', content: JSON.stringify(submissions) });
+        const fromObject = await previewImport('other', null, { format: 'json', content: JSON.stringify({ submissions }) });
+
+        expect(fromArray.sample).toEqual(fromObject.sample);
+        expect(fromArray.sample[0]).toMatchObject({
+            row: 1,
+            verdict: 'wrong-answer',
+            date: new Date(1769940000 * 1000)
+        });
+    });
+
+    test('rejects content it cannot read', async () => {
+        await expect(previewImport('other', null, { format: 'json', content: '{"submissions":' }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid JSON/) });
+        await expect(previewImport('other', null, { format: 'json', content: '{"rows":[]}' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(previewImport('other', null, { content: '  ' }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Import content is empty' });
+    });
+
+    test('limits the number of rows', async () => {
+        const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (value, index) => ({ problemId: `p${index}`, date: '2026-02-01' }));
+
+        await expect(previewImport('other', null, { format: 'json', content: JSON.stringify(rows) }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('counts rows repeated in the file or already stored as duplicates', async () => {
+        const account = new PlatformAccount({
+            userId: new mongoose.Types.ObjectId(),
+            platformName: 'codeforces',
+            platformUsername: 'tourist'
+        });
+        const find = mockStoredSubmissions([
+            { externalId: '900', problemId: '4A', submittedAt: new Date('2026-02-01T10:00:00Z') },
+            { externalId: '4B@1769940000000', problemId: '4B', submittedAt: new Date('2026-02-01T10:00:00Z') }
+        ]);
+
+        const preview = await previewImport('codeforces', account, {
+            content: csv(
+                'id,problem,date',
+                '900,4A,2026-02-01T10:00:00Z',
+                ',4B,2026-02-01T10:00:00Z',
+                '901,4C,2026-02-01T11:00:00Z',
+                '901,4C,2026-02-01T11:00:00Z'
+            )
+        });
+
+        expect(find.mock.calls[0][0]).toMatchObject({ userId: account.userId, accountId: account._id });
+        expect(preview).toMatchObject({ validRows: 4, newSubmissions: 1, duplicates: 3 });
+        expect(preview.sample.map(item => item.problemId)).toEqual(['4C']);
+    });
+});
+
+describe('importSubmissions', () => {
+    test('stores new rows as imported submissions without touching the problem catalog', async () => {
+        const account = new PlatformAccount({
+            userId: new mongoose.Types.ObjectId(),
+            platformName: 'leetcode',
+            platformUsername: 'tourist',
+            stats: { totalProblemsSolved: 40 }
+        });
+        mockStoredSubmissions([]);
+        const recordMany = jest.spyOn(Submission, 'recordMany').mockImplementation(async (submissions) => submissions.length);
+        const bulkWrite = jest.spyOn(Problem, 'bulkWrite');
+        jest.spyOn(StatsHistory, 'recordAccountSnapshots').mockResolvedValue();
+        jest.spyOn(logger, 'info').mockImplementation(() => logger);
+
+        const result = await importSubmissions(account, {
+            content: csv('problem,title,difficulty,date', 'two-sum,Two Sum,Hard,2026-02-01T10:00:00Z')
+        });
+
+        expect(recordMany).toHaveBeenCalledWith([expect.objectContaining({
+            accountId: account._id,
+            problemId: 'two-sum',
+            nativeDifficulty: 'Hard',
+            syntheticId: true,
+            source: 'import'
+        })]);
+        expect(bulkWrite).not.toHaveBeenCalled();
+        // A synced platform keeps its own stats
+        expect(result).toMatchObject({ inserted: 1, duplicates: 0, statsRebuilt: false, stats: { totalProblemsSolved: 40 } });
+    });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const PlatformAccount = require('../../models/PlatformAccount');
+const SyncJob = require('../../models/SyncJob');
+const Submission = require('../../models/Submission');
+const StatsHistory = require('../../models/StatsHistory');
+const User = require('../../models/User');
+const { syncPlatformData } = require('../../services/platformSync');
+const { subscribeToSyncEvents } = require('../../services/syncEvents');
+const { processJob } = require('../../services/syncQueue');
+const logger = require('../../utils/logger');
+
+jest.mock('../../services/platformSync');
+jest.mock('../../services/cScore');
+jest.mock('../../services/streaks');
+jest.mock('../../services/problemCatalog');
+jest.mock('../../services/statChangeEvents');
+jest.mock('../../services/ratingHistory');
+
+const MINUTE = 60 * 1000;
+
+describe('SyncJob.backoffDelay', () => {
+    test('doubles from thirty seconds per attempt', () => {
+        expect(SyncJob.backoffDelay(1)).toBe(MINUTE / 2);
+        expect(SyncJob.backoffDelay(2)).toBe(MINUTE);
+        expect(SyncJob.backoffDelay(4)).toBe(4 * MINUTE);
+    });
+
+    test('is capped at six hours', () => {
+        expect(SyncJob.backoffDelay(30)).toBe(6 * 60 * MINUTE);
+    });
+});
+
+describe('SyncJob.claimNext', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('atomically locks the oldest due job and counts the attempt', async () => {
+        const findOneAndUpdate = jest.spyOn(SyncJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await SyncJob.claimNext('worker-1');
+
+        const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ status: 'queued', runAt: { $lte: expect.any(Date) } });
+        expect(update.$set).toMatchObject({ status: 'running', lockedBy: 'worker-1' });
+        expect(update.$inc).toEqual({ attempts: 1 });
+        expect(options).toMatchObject({ sort: { runAt: 1 }, new: true });
+    });
+});
+
+describe('processJob', () => {
+    let account;
+    let job;
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+        account = new PlatformAccount({
+            userId: new mongoose.Types.ObjectId(),
+            platformName: 'leetcode',
+            platformUsername: 'tourist',
+            stats: { totalProblemsSolved: 10 }
+        });
+        job = new SyncJob({
+            accountId: account._id,
+            userId: account.userId,
+            platformName: 'leetcode',
+            trigger: 'manual',
+            status: 'running',
+            attempts: 1,
+            maxAttempts: 3,
+            lockedAt: new Date(),
+            lockedBy: 'worker-1'
+        });
+
+        events = [];
+        unsubscribe = subscribeToSyncEvents(account.userId, event => events.push(event));
+
+        jest.spyOn(PlatformAccount, 'findById').mockReturnValue({ select: () => Promise.resolve(account) });
+        jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+        jest.spyOn(Submission, 'recordMany').mockResolvedValue();
+        jest.spyOn(StatsHistory, 'recordAccountSnapshots').mockResolvedValue();
+        jest.spyOn(PlatformAccount.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(SyncJob.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+        jest.spyOn(logger, 'error').mockImplementation(() => logger);
+    });
+
+    afterEach(() => {
+        unsubscribe();
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    test('saves fetched stats and completes the job', async () => {
+        syncPlatformData.mockResolvedValue({
+            stats: { totalProblemsSolved: 12 },
+            submissions: [{ externalId: 901, problemId: 'two-sum', status: 'accepted', date: '2026-03-01T10:00:00Z' }]
+        });
+
+        await processJob(job);
+
+        expect(Submission.recordMany).toHaveBeenCalledWith([
+            expect.objectContaining({ accountId: account._id, externalId: '901', source: 'sync' })
+        ]);
+        expect(account.stats.totalProblemsSolved).toBe(12);
+        expect(account.syncStatus).toBe('success');
+        expect(account.lastFullSyncAt).toBeInstanceOf(Date);
+        expect(job.status).toBe('completed');
+        expect(job.lockedBy).toBeUndefined();
+        expect(events.map(event => event.stage)).toEqual(['fetching', 'parsed', 'saved']);
+        expect(events[2].deltas).toEqual({ totalProblemsSolved: 2 });
+    });
+
+    test('completes the job without syncing an account that was removed', async () => {
+        account.isActive = false;
+
+        await processJob(job);
+
+        expect(syncPlatformData).not.toHaveBeenCalled();
+        expect(job.status).toBe('completed');
+        expect(events).toEqual([]);
+    });
+
+    test('requeues a failed job with backoff while attempts remain', async () => {
+        syncPlatformData.mockRejectedValue(new Error('Profile page timed out'));
+        const before = Date.now();
+
+        await processJob(job);
+
+        expect(job.status).toBe('queued');
+        expect(job.lastError.message).toBe('Profile page timed out');
+        expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + SyncJob.backoffDelay(1));
+        expect(account.syncStatus).toBe('pending');
+        expect(events[1]).toMatchObject({ stage: 'sync-error', willRetry: true, retryAt: job.runAt });
+    });
+
+    test('dead-letters a job on its last attempt and records the error on the account', async () => {
+        syncPlatformData.mockRejectedValue(Object.assign(new Error('User not found'), { code: 'NOT_FOUND' }));
+        job.attempts = 3;
+
+        await processJob(job);
+
+        expect(job.status).toBe('dead');
+        expect(account.syncStatus).toBe('error');
+        expect(account.lastSyncError).toMatchObject({ message: 'User not found', code: 'NOT_FOUND' });
+        expect(events[1]).toMatchObject({ stage: 'sync-error', willRetry: false });
+        expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('defers the job without using an attempt while the platform circuit is open', async () => {
+        const retryAt = new Date(Date.now() + 5 * MINUTE);
+        syncPlatformData.mockRejectedValue(Object.assign(new Error('leetcode is rate limiting requests'), {
+            code: 'CIRCUIT_OPEN',
+            retryAt
+        }));
+        jest.spyOn(logger, 'debug').mockImplementation(() => logger);
+
+        await processJob(job);
+
+        expect(job.status).toBe('queued');
+        expect(job.attempts).toBe(0);
+        expect(job.runAt).toEqual(retryAt);
+        expect(job.lastError?.message).toBeUndefined();
+        expect(account.syncStatus).toBe('pending');
+        expect(events[1]).toMatchObject({ stage: 'sync-error', willRetry: true, retryAt });
+    });
+});
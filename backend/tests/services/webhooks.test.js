@@ -0,0 +1,152 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { signPayload, attemptDelivery, assertDeliverableUrl } = require('../../services/webhooks');
+const logger = require('../../utils/logger');
+
+const SECRET = 'whsec_test';
+
+describe('signPayload', () => {
+    test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        expect(signPayload(SECRET, 1760000000, '{"event":"ping"}'))
+            .toBe('7b3dfb12b416238df73d3eb92d1702951e3ebe69a71967d039b03ccc93c8d291');
+    });
+
+    test('changes with the timestamp, so a signature cannot be replayed later', () => {
+        expect(signPayload(SECRET, 1760000001, '{"event":"ping"}'))
+            .not.toBe(signPayload(SECRET, 1760000000, '{"event":"ping"}'));
+    });
+});
+
+describe('WebhookDelivery.backoffDelay', () => {
+    test('doubles from one minute per attempt', () => {
+        expect(WebhookDelivery.backoffDelay(1)).toBe(60 * 1000);
+        expect(WebhookDelivery.backoffDelay(2)).toBe(2 * 60 * 1000);
+        expect(WebhookDelivery.backoffDelay(4)).toBe(8 * 60 * 1000);
+    });
+
+    test('is capped at twelve hours', () => {
+        expect(WebhookDelivery.backoffDelay(30)).toBe(12 * 60 * 60 * 1000);
+    });
+});
+
+describe('attemptDelivery', () => {
+    let webhook;
+    let delivery;
+
+    beforeEach(() => {
+        process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES = 'true';
+
+        webhook = new Webhook({
+            userId: new mongoose.Types.ObjectId(),
+            url: 'http://127.0.0.1:4000/hooks',
+            secret: SECRET,
+            events: ['stats.rating_changed']
+        });
+        delivery = new WebhookDelivery({
+            webhookId: webhook._id,
+            userId: webhook.userId,
+            event: 'stats.rating_changed',
+            payload: { event: 'stats.rating_changed', data: { rating: 1712 } },
+            status: 'sending',
+            attempts: 2,
+            maxAttempts: 3
+        });
+
+        jest.spyOn(Webhook, 'findById').mockReturnValue({ select: () => Promise.resolve(webhook) });
+        jest.spyOn(WebhookDelivery, 'claim').mockResolvedValue(delivery);
+        jest.spyOn(Webhook.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+    });
+
+    test('posts the payload with a signature over its timestamp and body', async () => {
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+
+        await attemptDelivery(delivery._id);
+
+        const [url, body, options] = post.mock.calls[0];
+        const timestamp = options.headers['X-CodeTrackPro-Timestamp'];
+        expect(url).toBe(webhook.url);
+        expect(JSON.parse(body)).toEqual(delivery.payload);
+        expect(options.headers['X-CodeTrackPro-Event']).toBe('stats.rating_changed');
+        expect(options.headers['X-CodeTrackPro-Signature']).toBe(`sha256=${signPayload(SECRET, timestamp, body)}`);
+        expect(options.maxRedirects).toBe(0);
+
+        expect(delivery.status).toBe('delivered');
+        expect(delivery.responseStatus).toBe(204);
+        expect(webhook.lastDeliveryStatus).toBe('delivered');
+    });
+
+    test('schedules a retry with backoff when the receiver fails', async () => {
+        jest.spyOn(axios, 'post').mockResolvedValue({ status: 500 });
+        const before = Date.now();
+
+        await attemptDelivery(delivery._id);
+
+        expect(delivery.status).toBe('pending');
+        expect(delivery.responseStatus).toBe(500);
+        expect(delivery.lastError.message).toBe('Receiver responded with 500');
+        expect(delivery.runAt.getTime()).toBeGreaterThanOrEqual(before + WebhookDelivery.backoffDelay(2));
+        expect(webhook.lastDeliveryStatus).toBe('failed');
+    });
+
+    test('retries after network errors too', async () => {
+        jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:4000'));
+
+        await attemptDelivery(delivery._id);
+
+        expect(delivery.status).toBe('pending');
+        expect(delivery.lastError.message).toBe('connect ECONNREFUSED 127.0.0.1:4000');
+    });
+
+    test('gives up after the last attempt', async () => {
+        jest.spyOn(axios, 'post').mockResolvedValue({ status: 502 });
+        delivery.attempts = 3;
+
+        await attemptDelivery(delivery._id);
+
+        expect(delivery.status).toBe('failed');
+    });
+
+    test('does not send to private addresses unless allowed', async () => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES;
+        const post = jest.spyOn(axios, 'post');
+
+        await attemptDelivery(delivery._id);
+
+        expect(post).not.toHaveBeenCalled();
+        expect(delivery.status).toBe('pending');
+        expect(delivery.lastError.message).toBe('127.0.0.1 does not resolve to a public address');
+    });
+});
+
+describe('assertDeliverableUrl', () => {
+    test('accepts a public address', async () => {
+        await expect(assertDeliverableUrl('https://93.184.216.34/hooks')).resolves.toBeUndefined();
+    });
+
+    test.each([
+        'http://127.0.0.1/hooks',
+        'https://10.0.0.8/hooks',
+        'https://169.254.169.254/latest/meta-data',
+        'https://[::1]/hooks',
+        'https://[::ffff:192.168.1.1]/hooks'
+    ])('rejects %s', async (url) => {
+        await expect(assertDeliverableUrl(url)).rejects.toThrow('does not resolve to a public address');
+    });
+
+    test('rejects anything but a URL', async () => {
+        await expect(assertDeliverableUrl('not a url')).rejects.toThrow('Please provide a valid URL');
+    });
+});
@@ -0,0 +1,80 @@
+const {
+    isValidTimeZone,
+    userTimeZone,
+    zonedParts,
+    zonedMidnight,
+    startOfLocalDay,
+    localDateString,
+    localDateTimeString
+} = require('../../utils/timezone');
+const { toDayNumber, dayNumberToDate, computeStreak } = require('../../services/platforms/utils');
+
+// 20:00 UTC is already 01:30 the next day in India
+const EVENING_UTC = '2026-03-01T20:00:00Z';
+
+describe('time zone settings', () => {
+    test('accepts IANA names the runtime knows', () => {
+        expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+    });
+
+    test('falls back to UTC for users without a setting', () => {
+        expect(userTimeZone({ settings: { timezone: 'Europe/Berlin' } })).toBe('Europe/Berlin');
+        expect(userTimeZone({ settings: {} })).toBe('UTC');
+        expect(userTimeZone(null)).toBe('UTC');
+    });
+});
+
+describe('local wall-clock time', () => {
+    test('reads the date and time in the given zone', () => {
+        expect(zonedParts(EVENING_UTC, 'Asia/Kolkata'))
+            .toEqual({ year: 2026, month: 3, day: 2, hour: 1, minute: 30, second: 0 });
+        expect(localDateString(EVENING_UTC, 'Asia/Kolkata')).toBe('2026-03-02');
+        expect(localDateString(EVENING_UTC)).toBe('2026-03-01');
+    });
+
+    test('formats local times with their UTC offset', () => {
+        expect(localDateTimeString(EVENING_UTC, 'Asia/Kolkata')).toBe('2026-03-02T01:30:00+05:30');
+        expect(localDateTimeString(EVENING_UTC, 'America/New_York')).toBe('2026-03-01T15:00:00-05:00');
+        expect(localDateTimeString(null, 'Asia/Kolkata')).toBeNull();
+    });
+});
+
+describe('day boundaries', () => {
+    test('finds local midnight on either side of a DST change', () => {
+        // Clocks go forward at 02:00 on 8 March 2026 in New York
+        expect(zonedMidnight(2026, 2, 8, 'America/New_York')).toEqual(new Date('2026-03-08T05:00:00Z'));
+        expect(zonedMidnight(2026, 2, 9, 'America/New_York')).toEqual(new Date('2026-03-09T04:00:00Z'));
+    });
+
+    test('lets the month and day overflow like Date.UTC', () => {
+        expect(zonedMidnight(2026, -1, 31, 'UTC')).toEqual(new Date('2025-12-31T00:00:00Z'));
+        expect(zonedMidnight(2026, 1, 29, 'UTC')).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+
+    test('starts the local day at local midnight', () => {
+        expect(startOfLocalDay(EVENING_UTC, 'Asia/Kolkata')).toEqual(new Date('2026-03-01T18:30:00Z'));
+        expect(startOfLocalDay(EVENING_UTC)).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+
+    test('puts a submission on the calendar day of the given zone', () => {
+        expect(dayNumberToDate(toDayNumber(EVENING_UTC))).toBe('2026-03-01');
+        expect(dayNumberToDate(toDayNumber(EVENING_UTC, 'Asia/Kolkata'))).toBe('2026-03-02');
+        expect(dayNumberToDate(toDayNumber('2026-03-02T06:00:00Z', 'America/Los_Angeles'))).toBe('2026-03-01');
+    });
+
+    test('reads unix timestamps in seconds', () => {
+        expect(toDayNumber(Date.parse(EVENING_UTC) / 1000, 'Asia/Kolkata'))
+            .toBe(toDayNumber(EVENING_UTC, 'Asia/Kolkata'));
+    });
+
+    test('keeps a streak alive until the end of the local day after the last active one', () => {
+        const activeDays = ['2026-02-28', '2026-03-01'].map(day => toDayNumber(day));
+
+        // 23:30 on 2 March in Los Angeles is already 3 March in UTC
+        const lateEvening = new Date('2026-03-03T07:30:00Z');
+        expect(computeStreak(activeDays, lateEvening, 'America/Los_Angeles')).toEqual({ current: 2, max: 2 });
+        expect(computeStreak(activeDays, lateEvening)).toEqual({ current: 0, max: 2 });
+    });
+});
@@ -0,0 +1,86 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, shared (CGNAT), link-local (cloud metadata lives at 169.254.169.254),
+// multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 96],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error for a host that resolves to an address outside the public internet
+ */
+class PrivateAddressError extends Error {
+    constructor(hostname) {
+        super(`${hostname} does not resolve to a public address`);
+        this.name = 'PrivateAddressError';
+        this.code = 'EPRIVATEADDRESS';
+    }
+}
+
+/**
+ * Check that an IP address is routable on the public internet
+ */
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) {
+        return false;
+    }
+    return !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve a host (or take an IP literal as is) and reject it unless every address is public
+ */
+const assertPublicHost = async (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+    if (!addresses.length || !addresses.every(entry => isPublicAddress(entry.address))) {
+        throw new PrivateAddressError(host);
+    }
+};
+
+/**
+ * dns.lookup replacement for sockets that must only reach public addresses. Checking the
+ * address actually connected to closes the gap left by a host that re-resolves (DNS rebinding).
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (!addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(new PrivateAddressError(hostname));
+        }
+        callback(null, address, family);
+    });
+};
+
+module.exports = {
+    PrivateAddressError,
+    isPublicAddress,
+    assertPublicHost,
+    publicLookup
+};
@@ -0,0 +1,120 @@
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter giving a date's wall-clock parts in a time zone
+ */
+const partsFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check for an IANA time zone name the runtime knows (e.g. 'Asia/Kolkata')
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        partsFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * A user's time zone setting, falling back to UTC
+ */
+const userTimeZone = (user) => user?.settings?.timezone || DEFAULT_TIME_ZONE;
+
+/**
+ * Wall-clock { year, month (1-12), day, hour, minute, second } of a date in a time zone
+ */
+const zonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = {};
+    partsFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    });
+    return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const timeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const time = new Date(date).getTime();
+    const { year, month, day, hour, minute, second } = zonedParts(time, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * The instant local midnight starts on a calendar date in a time zone.
+ * Month and day may overflow (month -1 is December of the year before), as with Date.UTC.
+ */
+const zonedMidnight = (year, monthIndex, day, timeZone = DEFAULT_TIME_ZONE) => {
+    const utcMidnight = Date.UTC(year, monthIndex, day);
+    // Correct with the offset at the guess, then again in case the guess crossed a DST change
+    const guess = utcMidnight - timeZoneOffset(utcMidnight, timeZone);
+    return new Date(utcMidnight - timeZoneOffset(guess, timeZone));
+};
+
+/**
+ * Start of the local day containing a date
+ */
+const startOfLocalDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return zonedMidnight(year, month - 1, day, timeZone);
+};
+
+/**
+ * Local calendar date of an instant as YYYY-MM-DD
+ */
+const localDateString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * ISO 8601 local time with its UTC offset, e.g. 2026-03-01T20:00:00+05:30
+ */
+const localDateTimeString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    if (!date) {
+        return null;
+    }
+
+    const { hour, minute, second } = zonedParts(date, timeZone);
+    const offsetMinutes = Math.round(timeZoneOffset(date, timeZone) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return `${localDateString(date, timeZone)}T${pad(hour)}:${pad(minute)}:${pad(second)}`
+        + `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    userTimeZone,
+    zonedParts,
+    timeZoneOffset,
+    zonedMidnight,
+    startOfLocalDay,
+    localDateString,
+    localDateTimeString
+};
@@ -6,54 +6,8 @@ let charts = {};
 let currentEventFilter = 'all';
 let isTyping = false;
 
-// Mock Data
-const mockData = {
-    all: {
-        problems: [487, 312, 298, 150],
-        platforms: ['LeetCode', 'Codeforces', 'HackerRank', 'CodeChef'],
-        progress: [120, 245, 389, 567, 734, 892, 1247],
-        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-        difficulty: [623, 458, 166],
-        languages: [35, 28, 20, 12, 3, 2],
-        languageNames: ['Python', 'C++', 'Java', 'JavaScript', 'Go', 'Rust']
-    },
-    leetcode: {
-        problems: [487],
-        platforms: ['LeetCode'],
-        progress: [45, 89, 156, 234, 312, 398, 487],
-        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-        difficulty: [267, 165, 55],
-        languages: [40, 30, 20, 8, 2],
-        languageNames: ['Python', 'C++', 'Java', 'JavaScript', 'Go']
-    },
-    codeforces: {
-        problems: [312],
-        platforms: ['Codeforces'],
-        progress: [23, 67, 123, 178, 234, 278, 312],
-        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-        difficulty: [156, 112, 44],
-        languages: [45, 35, 15, 5],
-        languageNames: ['C++', 'Python', 'Java', 'C']
-    },
-    hackerrank: {
-        problems: [298],
-        platforms: ['HackerRank'],
-        progress: [34, 78, 134, 189, 234, 267, 298],
-        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-        difficulty: [178, 89, 31],
-        languages: [50, 25, 15, 10],
-        languageNames: ['Python', 'Java', 'JavaScript', 'SQL']
-    },
-    codechef: {
-        problems: [150],
-        platforms: ['CodeChef'],
-        progress: [12, 34, 67, 89, 112, 134, 150],
-        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
-        difficulty: [89, 45, 16],
-        languages: [60, 30, 10],
-        languageNames: ['C++', 'Python', 'Java']
-    }
-};
+// Chart data per platform ('all' combines them), loaded from the chart API
+const chartDataCache = {};
 
 const leaderboardData = [
     { rank: 1, username: 'CodeMaster_Pro', cscore: 3245, problems: 1867, badges: ['🥇', '🏆', '⭐'] },
@@ -248,8 +202,53 @@ function switchPlatform(platform) {
     updateChartsData();
 }
 
-function updateChartsData() {
-    const data = mockData[currentPlatform];
+// Fetch one chart's Chart.js data for a platform, or null when the API has none
+async function fetchChartData(chart, platform) {
+    const response = await fetch(`/api/charts/${chart}?platform=${encodeURIComponent(platform)}`);
+    if (!response.ok) {
+        return null;
+    }
+    const result = await response.json();
+    return result.data.chartData;
+}
+
+// Load (and cache) the problems, progress, difficulty and language charts for a platform
+async function loadChartData(platform) {
+    if (chartDataCache[platform]) {
+        return chartDataCache[platform];
+    }
+
+    const [comparison, progress, difficulty, languages] = await Promise.all([
+        fetchChartData('platform-comparison', platform),
+        fetchChartData('problems-over-time', platform === 'all' ? 'overall' : platform),
+        fetchChartData('problem-distribution', platform),
+        fetchChartData('language-distribution', platform)
+    ]);
+
+    // The comparison lists every linked platform; a single platform keeps only its own bar
+    const displayName = platformRegistry.find(item => item.id === platform)?.displayName;
+    const platforms = (comparison?.labels || []).filter(label => platform === 'all' || label === displayName);
+
+    chartDataCache[platform] = {
+        platforms,
+        problems: platforms.map(label => comparison.datasets[0].data[comparison.labels.indexOf(label)]),
+        dates: progress?.labels || [],
+        progress: progress?.datasets[0].data || [],
+        difficulty: difficulty?.datasets[0].data || [],
+        languageNames: languages?.labels || [],
+        languages: languages?.datasets[0].data || []
+    };
+    return chartDataCache[platform];
+}
+
+async function updateChartsData() {
+    let data;
+    try {
+        data = await loadChartData(currentPlatform);
+    } catch (error) {
+        console.error('Failed to load chart data:', error);
+        return;
+    }
     
     // Update each chart
     if (charts.problemsChart) {
@@ -259,7 +258,7 @@ function updateChartsData() {
     }
     
     if (charts.progressChart) {
-        charts.progressChart.data.labels = data.months;
+        charts.progressChart.data.labels = data.dates;
         charts.progressChart.data.datasets[0].data = data.progress;
         charts.progressChart.update('active');
     }
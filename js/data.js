@@ -1,5 +1,24 @@
 // CodeTrackPro - Data Management Module
 
+// Platform registry (ids, names, colours, capabilities) served by GET /api/platforms
+let platformRegistry = [];
+
+async function loadPlatformRegistry() {
+    try {
+        const response = await fetch('/api/platforms');
+        const result = await response.json();
+        platformRegistry = result.data.platforms;
+    } catch (error) {
+        console.error('Failed to load platform registry:', error);
+    }
+    return platformRegistry;
+}
+
+function getPlatformColor(platform) {
+    const entry = platformRegistry.find(item => item.id === platform);
+    return entry ? entry.color : '#6366F1'; // Indigo for 'all' and unknown platforms
+}
+
 // Leaderboard Management
 function populateLeaderboard() {
     const tbody = document.getElementById('leaderboard-body');
@@ -37,16 +56,9 @@ function populateEvents() {
         const eventCard = document.createElement('div');
         eventCard.className = 'bg-gray-800 rounded-2xl p-6 shadow-lg hover:shadow-indigo-500/20 transition-all duration-300 hover:scale-105';
         
-        const platformColors = {
-            leetcode: 'bg-yellow-500',
-            codeforces: 'bg-blue-500',
-            hackerrank: 'bg-green-500',
-            codechef: 'bg-orange-500'
-        };
-        
         eventCard.innerHTML = `
             <div class="flex items-center mb-4">
-                <div class="w-3 h-3 ${platformColors[event.platform]} rounded-full mr-3"></div>
+                <div class="w-3 h-3 rounded-full mr-3" style="background-color: ${getPlatformColor(event.platform)}"></div>
                 <span class="text-sm text-gray-400 capitalize">${event.platform}</span>
             </div>
             <h3 class="text-xl font-bold mb-2">${event.title}</h3>
@@ -90,16 +102,8 @@ function populateTimeline() {
         const timelineItem = document.createElement('div');
         timelineItem.className = 'flex-shrink-0 text-center';
         
-        const platformColors = {
-            leetcode: 'bg-yellow-500',
-            codeforces: 'bg-blue-500',
-            hackerrank: 'bg-green-500',
-            codechef: 'bg-orange-500',
-            all: 'bg-indigo-500'
-        };
-        
         timelineItem.innerHTML = `
-            <div class="timeline-dot w-4 h-4 ${platformColors[item.platform]} rounded-full mx-auto mb-2"></div>
+            <div class="timeline-dot w-4 h-4 rounded-full mx-auto mb-2" style="background-color: ${getPlatformColor(item.platform)}"></div>
             <div class="bg-gray-700 rounded-lg p-4 w-64 hover:bg-gray-600 transition-colors duration-300">
                 <p class="text-sm font-semibold mb-1">${item.event}</p>
                 <p class="text-xs text-gray-400">${formatDate(item.date)}</p>
@@ -175,28 +179,38 @@ function importData(file) {
     reader.readAsText(file);
 }
 
-// Statistics Calculator
+// Statistics Calculator, over the combined chart data once js/app.js has loaded it
 function calculateStatistics() {
+    const data = chartDataCache.all;
+    if (!data || data.problems.length === 0 || data.progress.length === 0) {
+        return null;
+    }
+
     const stats = {
-        totalProblems: mockData.all.problems.reduce((a, b) => a + b, 0),
-        averageProgress: mockData.all.progress.reduce((a, b) => a + b, 0) / mockData.all.progress.length,
-        strongestPlatform: mockData.all.platforms[mockData.all.problems.indexOf(Math.max(...mockData.all.problems))],
-        improvementRate: (mockData.all.progress[mockData.all.progress.length - 1] - mockData.all.progress[0]) / mockData.all.progress.length
+        totalProblems: data.problems.reduce((a, b) => a + b, 0),
+        averageProgress: data.progress.reduce((a, b) => a + b, 0) / data.progress.length,
+        strongestPlatform: data.platforms[data.problems.indexOf(Math.max(...data.problems))],
+        improvementRate: (data.progress[data.progress.length - 1] - data.progress[0]) / data.progress.length
     };
     
     return stats;
 }
 
-// Real-time Data Updates (mock)
-function simulateRealTimeUpdates() {
-    setInterval(() => {
-        // Simulate small updates to progress
-        const progressElements = document.querySelectorAll('[id$="-problems"]');
-        progressElements.forEach(element => {
-            const currentValue = parseInt(element.textContent.replace(',', ''));
-            if (Math.random() > 0.95) { // 5% chance of update
-                element.textContent = (currentValue + 1).toLocaleString();
+// Real-time Data Updates from the shared sync progress stream (js/syncEvents.js)
+function subscribeToLiveUpdates() {
+    // Apply solve-count changes as each platform's sync is saved
+    return onSyncEvent((event) => {
+        const solved = event.stage === 'saved' && event.deltas.totalProblemsSolved;
+        if (!solved) {
+            return;
+        }
+
+        [`${event.platform}-problems`, 'total-problems'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                const currentValue = parseInt(element.textContent.replace(/,/g, ''));
+                element.textContent = (currentValue + solved).toLocaleString();
             }
         });
-    }, 30000); // Check every 30 seconds
+    });
 }
@@ -11,8 +11,10 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Populate data
     populateLeaderboard();
-    populateEvents();
-    populateTimeline();
+    loadPlatformRegistry().then(() => {
+        populateEvents();
+        populateTimeline();
+    });
     
     // Initialize UI features
     initMobileMenu();
@@ -32,8 +34,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load saved profile
     loadProfile();
     
-    // Start real-time updates simulation
-    simulateRealTimeUpdates();
+    // Follow live sync progress
+    subscribeToLiveUpdates();
     
     // Add keyboard shortcuts
     initKeyboardShortcuts();
@@ -63,8 +65,8 @@ function initKeyboardShortcuts() {
         }
         
         // Number keys to switch platforms
-        if (e.key >= '1' && e.key <= '5') {
-            const platforms = ['all', 'leetcode', 'codeforces', 'hackerrank', 'codechef'];
+        if (e.key >= '1' && e.key <= '9') {
+            const platforms = ['all', ...platformRegistry.map(item => item.id)];
             const platform = platforms[parseInt(e.key) - 1];
             if (platform) {
                 switchPlatform(platform);
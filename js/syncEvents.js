@@ -0,0 +1,28 @@
+// CodeTrackPro - Sync Progress Stream
+
+// Stages streamed by GET /api/stats/sync/events
+const SYNC_STAGES = ['queued', 'fetching', 'parsed', 'saved', 'sync-error'];
+
+// One EventSource per page, shared by every listener
+let syncEventSource = null;
+const syncEventListeners = new Set();
+
+// Call listener with each sync progress event; returns a function that stops listening
+function onSyncEvent(listener) {
+    syncEventListeners.add(listener);
+
+    if (!syncEventSource && typeof EventSource !== 'undefined') {
+        syncEventSource = new EventSource('/api/stats/sync/events');
+        SYNC_STAGES.forEach(stage => {
+            syncEventSource.addEventListener(stage, (message) => {
+                if (!message.data) {
+                    return;
+                }
+                const event = JSON.parse(message.data);
+                syncEventListeners.forEach(callback => callback(event));
+            });
+        });
+    }
+
+    return () => syncEventListeners.delete(listener);
+}